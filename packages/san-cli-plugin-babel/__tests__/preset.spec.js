@@ -27,3 +27,10 @@ test('添加 plugin', () => {
     const plugins = preset({plugins: [{id: 'a'}]}).plugins;
     expect(plugins.length).toBe(7);
 });
+
+test('typescript', () => {
+    const presets = preset({}, {typescript: true}).presets;
+    expect(presets.length).toBe(2);
+    expect(presets[1][1]).toEqual({allExtensions: true});
+    expect(preset({}, {}).presets.length).toBe(1);
+});
@@ -35,38 +35,63 @@ module.exports = {
         const transpileDepRegex = genTranspileDepRegex(transpileDependencies);
         api.chainWebpack(webpackConfig => {
             webpackConfig.resolveLoader.modules.prepend(path.join(cliPath, 'node_modules'));
-            const jsRule = webpackConfig.module
-                .rule('js')
-                .test(/\.m?js?$/)
-                .exclude.add(filepath => {
-                    // 包含 .san 的路径
-                    if (/\.san$/.test(filepath)) {
-                        return false;
-                    }
+            const exclude = filepath => {
+                // 包含 .san 的路径
+                if (/\.san$/.test(filepath)) {
+                    return false;
+                }
 
-                    // TODO： 这里注掉，包含 docit-theme 目录
-                    // if (/(node_modules|packages)\/(@[^\/]+\/|)[^\/@]*?docit-theme/.test(filepath)) {
-                    //     return false;
-                    // }
-                    // 单独排除 san-cli 路径
-                    if (filepath.startsWith(cliPath)) {
-                        return true;
-                    }
-                    // 不排除白名单
-                    if (transpileDepRegex && transpileDepRegex.test(filepath)) {
-                        return false;
-                    }
-                    // 默认不编译 node_modules，如果要编译使用排除
-                    return /node_modules/.test(filepath);
-                })
-                .end();
+                // TODO： 这里注掉，包含 docit-theme 目录
+                // if (/(node_modules|packages)\/(@[^\/]+\/|)[^\/@]*?docit-theme/.test(filepath)) {
+                //     return false;
+                // }
+                // 单独排除 san-cli 路径
+                if (filepath.startsWith(cliPath)) {
+                    return true;
+                }
+                // 不排除白名单
+                if (transpileDepRegex && transpileDepRegex.test(filepath)) {
+                    return false;
+                }
+                // 默认不编译 node_modules，如果要编译使用排除
+                return /node_modules/.test(filepath);
+            };
 
-            jsRule
-                .use('babel-loader')
-                .loader('babel-loader')
-                .options({
-                    presets: [[require.resolve('./preset'), loaderOptions]]
-                });
+            // .ts 文件和 .san 文件中 lang="ts" 的 script 代码块（san-loader 按 x.san.ts 匹配 rule）
+            [['js', /\.m?js?$/, {}], ['ts', /\.ts$/, {typescript: true}]].forEach(([name, test, presetOptions]) => {
+                const rule = webpackConfig.module
+                    .rule(name)
+                    .test(test)
+                    .exclude.add(exclude)
+                    .end();
+
+                // 开启 cache 后使用持久化缓存，babel 配置和 browserslist 变化时缓存失效
+                const cacheConfig = api.genCacheConfig(
+                    'babel-loader',
+                    Object.assign(
+                        {
+                            'babel-loader': require('babel-loader/package.json').version,
+                            '@babel/core': require('@babel/core/package.json').version,
+                            loaderOptions
+                        },
+                        presetOptions
+                    ),
+                    ['babel.config.js', '.babelrc', '.browserslistrc']
+                );
+                rule
+                    .use('babel-loader')
+                    .loader('babel-loader')
+                    .options(
+                        Object.assign(
+                            {
+                                presets: [
+                                    [require.resolve('./preset'), Object.assign({}, loaderOptions, presetOptions)]
+                                ]
+                            },
+                            cacheConfig
+                        )
+                    );
+            });
         });
     }
 };
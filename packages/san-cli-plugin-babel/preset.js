@@ -22,7 +22,13 @@ module.exports = (context, options = {}) => {
         ignoreBrowserslistConfig,
         // 这个是plugins数组
         plugins = [],
-        targets
+        targets,
+        // 是否添加 san-hmr 插件，默认开发环境添加
+        hmr,
+        // 是否将 ES Module 转成 CommonJS，组件库 ESM 打包时需要保留 export 交给 webpack 分析
+        commonjs = true,
+        // 是否编译 TypeScript，.ts 文件和 .san 文件中 lang="ts" 的 script 代码块开启
+        typescript = false
     } = options;
     if (debugLogger.enabled) {
         // 使用DEBUG=san-cli:babel 开启
@@ -32,13 +38,7 @@ module.exports = (context, options = {}) => {
 
     const isProd = process.env.NODE_ENV === 'production';
 
-    const isModernBundle = process.env.SAN_CLI_MODERN_BUILD;
-
-    if (isModernBundle) {
-        // 这个是 modern 打包
-        targets = {esmodules: true};
-    }
-    if (!isProd && !plugins.includes(sanHmrPlugin)) {
+    if ((hmr === undefined ? !isProd : hmr) && !plugins.includes(sanHmrPlugin)) {
         // 添加 san-hmr 插件
         plugins.push(sanHmrPlugin);
     }
@@ -56,7 +56,10 @@ module.exports = (context, options = {}) => {
                     targets,
                     modules
                 }
-            ]
+            ],
+            // preset 从后往前执行，先去掉类型再交给 preset-env
+            // .san 文件的 script 代码块文件名不是 .ts，所以需要 allExtensions
+            ...(typescript ? [[require('@babel/preset-typescript'), {allExtensions: true}]] : [])
         ],
         plugins: [
             ...plugins,
@@ -64,7 +67,7 @@ module.exports = (context, options = {}) => {
             require('@babel/plugin-syntax-import-meta'),
             [require('@babel/plugin-proposal-class-properties'), {loose}],
             require('@babel/plugin-transform-new-target'),
-            require('@babel/plugin-transform-modules-commonjs'),
+            ...(commonjs ? [require('@babel/plugin-transform-modules-commonjs')] : []),
             [
                 require('@babel/plugin-transform-runtime'),
                 {
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file jest plugin test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {getJestConfig} = require('../index');
+const sanTransformer = require('../lib/sanTransformer');
+
+const fixture = path.join(__dirname, 'fixtures/hello.san');
+
+describe('sanTransformer', () => {
+    const transformer = sanTransformer.createTransformer();
+    const {code} = transformer.process(fs.readFileSync(fixture, 'utf-8'), fixture, {rootDir: __dirname}, {});
+
+    test('template and style module', () => {
+        expect(code).toContain('lib/runtime/normalize');
+        expect(code).toContain(JSON.stringify('\n    <div class="{{$style.hello}}">hello {{name}}</div>\n'));
+        expect(code).toContain(`[require(${JSON.stringify(require.resolve('../lib/styleMock'))})]`);
+    });
+
+    test('keep line number of script in source map', () => {
+        const base64 = code.match(/sourceMappingURL=data:application\/json;charset=utf-8;base64,(\S+)/)[1];
+        const map = JSON.parse(Buffer.from(base64, 'base64').toString());
+        const lines = map.sourcesContent[0].split('\n');
+        expect(lines.findIndex(line => /initData/.test(line))).toBe(6);
+    });
+
+    test('cache key', () => {
+        const source = fs.readFileSync(fixture, 'utf-8');
+        const key = transformer.getCacheKey(source, fixture, '', {instrument: false});
+        expect(key).toBe(transformer.getCacheKey(source, fixture, '', {instrument: false}));
+        expect(key).not.toBe(transformer.getCacheKey(source, fixture, '', {instrument: true}));
+    });
+});
+
+describe('getJestConfig', () => {
+    const webpack = require('webpack');
+    const api = {
+        getCwd: () => __dirname,
+        resolve: p => path.resolve(__dirname, p),
+        getWebpackConfig: () => ({
+            resolve: {
+                alias: {
+                    '@': '/project/src',
+                    'san$': '/project/node_modules/san/dist/san.dev.js'
+                }
+            },
+            plugins: [
+                new webpack.DefinePlugin({
+                    HELLO: '"hello"',
+                    TIMEOUT: '3000',
+                    'process.env.NODE_ENV': '"test"'
+                })
+            ]
+        })
+    };
+
+    test('alias to moduleNameMapper', () => {
+        const {moduleNameMapper} = getJestConfig(api, {outputDir: 'output'});
+        expect(moduleNameMapper['^@$']).toBe('/project/src');
+        expect(moduleNameMapper['^@/(.*)$']).toBe('/project/src/$1');
+        expect(moduleNameMapper['^san$']).toBe('/project/node_modules/san/dist/san.dev.js');
+        expect(moduleNameMapper['^san/(.*)$']).toBeUndefined();
+    });
+
+    test('DefinePlugin to globals', () => {
+        const {globals, testPathIgnorePatterns} = getJestConfig(api, {outputDir: 'output'});
+        expect(globals).toEqual({HELLO: 'hello', TIMEOUT: 3000});
+        expect(testPathIgnorePatterns).toContain('<rootDir>/output/');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file cli-plugin-jest，根据 webpack 配置生成 jest 配置
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// webpack resolve.alias → jest moduleNameMapper
+function genModuleNameMapper(alias = {}) {
+    const mapper = {};
+    Object.keys(alias).forEach(key => {
+        // webpack 中 key$ 表示精确匹配
+        const exact = /\$$/.test(key);
+        const name = escapeRegExp(exact ? key.slice(0, -1) : key);
+        mapper[`^${name}$`] = alias[key];
+        if (!exact) {
+            mapper[`^${name}/(.*)$`] = `${alias[key]}/$1`;
+        }
+    });
+    return mapper;
+}
+
+// DefinePlugin 的变量 → jest globals，process.env.XXX 已经在 process.env 中了
+function genGlobals(plugins = []) {
+    const globals = {};
+    plugins
+        .filter(plugin => plugin.constructor && plugin.constructor.name === 'DefinePlugin')
+        .forEach(({definitions}) => {
+            Object.keys(definitions)
+                .filter(key => !/^process\.env\./.test(key))
+                .forEach(key => {
+                    try {
+                        globals[key] = JSON.parse(definitions[key]);
+                    }
+                    catch (e) {
+                        // 不是 JSON 的表达式，跳过
+                    }
+                });
+        });
+    return globals;
+}
+
+/**
+ * 生成 jest 配置，alias 和 SAN_VAR_* 等变量跟 webpack 配置保持一致
+ *
+ * @param {Object} api Service 的 PluginAPI 实例
+ * @param {Object} projectOptions san.config.js 的配置
+ * @return {Object} jest 配置，项目中的 jest.config.js 会覆盖这里的配置
+ */
+exports.getJestConfig = (api, projectOptions = {}) => {
+    const webpackConfig = api.getWebpackConfig();
+    const transformerOptions = {presetOptions: projectOptions.loaderOptions || {}};
+    const config = {
+        rootDir: api.getCwd(),
+        testEnvironment: 'jsdom',
+        moduleFileExtensions: ['js', 'mjs', 'json', 'san'],
+        transform: {
+            '^.+\\.san$': [require.resolve('./lib/sanTransformer'), transformerOptions],
+            '^.+\\.m?js$': [require.resolve('./lib/babelTransformer'), transformerOptions]
+        },
+        // san-loader 的 runtime 是 ES Module，需要编译
+        transformIgnorePatterns: ['/node_modules/(?!san-loader/lib/runtime/)'],
+        moduleNameMapper: Object.assign(
+            {
+                '\\.(css|less|styl(us)?|s[ac]ss)$': require.resolve('./lib/styleMock'),
+                '\\.(png|jpe?g|gif|webp|svg|mp4|webm|ogg|mp3|wav|flac|aac|woff2?|eot|ttf|otf)$': require.resolve(
+                    './lib/fileMock'
+                )
+            },
+            genModuleNameMapper(webpackConfig.resolve && webpackConfig.resolve.alias)
+        ),
+        globals: genGlobals(webpackConfig.plugins),
+        testPathIgnorePatterns: ['/node_modules/', `<rootDir>/${projectOptions.outputDir || 'output'}/`],
+        collectCoverageFrom: ['src/**/*.{js,mjs,san}']
+    };
+
+    const userConfigFile = api.resolve('jest.config.js');
+    if (fs.existsSync(userConfigFile)) {
+        Object.assign(config, require(userConfigFile));
+    }
+    return config;
+};
+
+/**
+ * 运行 jest
+ *
+ * @param {Object} api Service 的 PluginAPI 实例
+ * @param {Object} projectOptions san.config.js 的配置
+ * @param {Object} argv jest 的命令行参数，例如 {watch, coverage, testPathPattern}
+ * @return {Promise<Object>} jest 的运行结果
+ */
+exports.run = async (api, projectOptions, argv = {}) => {
+    // eslint-disable-next-line jest/no-jest-import
+    const {runCLI} = require('jest');
+    const config = exports.getJestConfig(api, projectOptions);
+    const {results} = await runCLI(
+        Object.assign({}, argv, {
+            config: JSON.stringify(config)
+        }),
+        [path.resolve(api.getCwd())]
+    );
+    return results;
+};
@@ -0,0 +1,30 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file js 的 jest transformer，跟 webpack 中的 babel-loader 使用同一个 preset
+ * @author ksky521
+ */
+
+const babelJest = require('babel-jest');
+
+/**
+ * @param {Object} options {presetOptions}，presetOptions 为 san-cli-plugin-babel/preset 的参数
+ * @return {Object} babel-jest transformer
+ */
+exports.createTransformer = ({presetOptions = {}} = {}) =>
+    babelJest.createTransformer({
+        presets: [
+            [
+                require.resolve('san-cli-plugin-babel/preset'),
+                Object.assign({}, presetOptions, {
+                    // jest 运行在 node 中，不需要 polyfill 和热更新代码
+                    targets: {node: 'current'},
+                    useBuiltIns: false,
+                    hmr: false
+                })
+            ]
+        ]
+    });
@@ -0,0 +1,11 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 图片、字体等文件的 mock
+ * @author ksky521
+ */
+
+module.exports = 'test-file-stub';
@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file .san 文件的 jest transformer
+ * 使用 san-loader 解析代码块，script 使用 babel 编译，最后调用 san-loader 的 runtime/normalize 生成组件
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const parse = require('san-loader/lib/utils/parse');
+const {getContent} = require('san-loader/lib/utils/codegen');
+const {getContentRange} = require('san-loader/lib/utils/helper');
+const babelTransformer = require('./babelTransformer');
+
+const normalizePath = require.resolve('san-loader/lib/runtime/normalize');
+const stylePath = require.resolve('./styleMock');
+const {version} = require('../package.json');
+
+function getTemplate(descriptor, source, filename) {
+    const template = descriptor.template && descriptor.template[0];
+    if (!template) {
+        return;
+    }
+    if (template.attribs.src) {
+        return fs.readFileSync(path.resolve(path.dirname(filename), template.attribs.src), 'utf-8');
+    }
+    return getContent(source, template, {}).code;
+}
+
+// 保留 script 前面的行数，这样 source map 中报错和覆盖率的行号跟 .san 文件一致
+function getScript(descriptor, source) {
+    const script = descriptor.script && descriptor.script[0];
+    if (!script || script.attribs.src) {
+        return '';
+    }
+    const {startIndex} = getContentRange(script, source);
+    const lines = source.slice(0, startIndex).split('\n').length - 1;
+    return '\n'.repeat(lines) + getContent(source, script, {}).code;
+}
+
+exports.createTransformer = (options = {}) => {
+    const babel = babelTransformer.createTransformer(options);
+    return {
+        canInstrument: true,
+        getCacheKey(source, filename, configString, {instrument}) {
+            return crypto
+                .createHash('md5')
+                .update([source, filename, configString, instrument, version, JSON.stringify(options)].join('\0'))
+                .digest('hex');
+        },
+        process(source, filename, config, transformOptions) {
+            const {descriptor} = parse(source, ['template', 'script', 'style']);
+            const script = descriptor.script && descriptor.script[0];
+            const template = getTemplate(descriptor, source, filename);
+            // <style module> 使用 styleMock，$style.foo 返回 'foo'
+            const injectStyles = (descriptor.style || [])
+                .filter(style => style.attribs.module !== undefined)
+                .map(() => `require(${JSON.stringify(stylePath)})`);
+
+            const result = babel.process(getScript(descriptor, source), filename, config, transformOptions);
+            const code = typeof result === 'string' ? result : result.code;
+            const scriptModule = script && script.attribs.src
+                ? `require(${JSON.stringify(script.attribs.src)})`
+                : 'module.exports';
+
+            return {
+                code: `${code}
+;var __sanNormalize = require(${JSON.stringify(normalizePath)}).default;
+var __sanScript = ${scriptModule};
+var __sanComponent = __sanNormalize(
+    (__sanScript && __sanScript.__esModule ? __sanScript.default : __sanScript) || {},
+    ${JSON.stringify(template)},
+    [${injectStyles.join(', ')}]
+);
+if (module.exports.__esModule) {
+    module.exports.default = __sanComponent;
+}
+else {
+    module.exports = {__esModule: true, default: __sanComponent};
+}
+`,
+                map: typeof result === 'string' ? null : result.map
+            };
+        }
+    };
+};
@@ -0,0 +1,18 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 样式文件的 mock，css modules 的 class 名直接返回 key
+ * @author ksky521
+ */
+
+module.exports = new Proxy(
+    {},
+    {
+        get(target, key) {
+            return key === '__esModule' ? false : key;
+        }
+    }
+);
@@ -8,7 +8,9 @@
  * inspired by https://github.com/vuejs/vue-cli/blob/dev/packages/%40vue/cli-service/lib/PluginAPI.js
  */
 
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const {getScopeLogger} = require('san-cli-utils/ttyLogger');
 const argsert = require('san-cli-utils/argsert');
 module.exports = class PluginAPI {
@@ -53,8 +55,72 @@ module.exports = class PluginAPI {
         argsert('<function>', [fn], arguments.length);
         this.service.webpackRawConfigFns.push(fn);
     }
+    /**
+     * 生成 loader/plugin 使用的持久化缓存配置
+     *
+     * @param {string} id 缓存目录名，例如 babel-loader
+     * @param {Object} partialIdentifier 参与计算缓存 key 的额外信息，例如 loader 版本
+     * @param {string|Array} configFiles 参与计算缓存 key 的配置文件，相对项目根目录
+     * @return {Object|boolean} {cacheDirectory, cacheIdentifier}，未开启 cache 时返回 false
+     */
+    genCacheConfig(id, partialIdentifier, configFiles = []) {
+        argsert('<string> [object] [string|array]', [id, partialIdentifier, configFiles], arguments.length);
+        const {cache} = this.service.projectOptions || {};
+        if (!cache) {
+            return false;
+        }
+
+        const cacheDirectory = path.resolve(this.service.cwd, cache.cacheDirectory, id);
+        const variables = {
+            partialIdentifier,
+            mode: this.service.mode || process.env.NODE_ENV,
+            'san-cli-service': require('./package.json').version
+        };
+        // .env 和 san.config.js 变化时缓存失效
+        const files = [].concat(configFiles).map(file => this.resolve(file));
+        files.push(...this.service.envFiles);
+        if (this.service.configFilePath) {
+            files.push(this.service.configFilePath);
+        }
+        variables.files = files.map(file => {
+            try {
+                return fs.readFileSync(file, 'utf-8');
+            }
+            catch (e) {
+                return '';
+            }
+        });
+
+        const cacheIdentifier = crypto
+            .createHash('md5')
+            .update(JSON.stringify(variables))
+            .digest('hex');
+        return {cacheDirectory, cacheIdentifier};
+    }
     middleware(middlewareFactory) {
         argsert('<function>', [middlewareFactory], arguments.length);
         this.service.devServerMiddlewares.push(middlewareFactory);
     }
+    /**
+     * 注册 CLI 命令，命令执行时 Service 已经初始化完成
+     *
+     * @param {string} command 命令，跟 yargs 的 command 格式相同，例如 `deploy [target]`
+     * @param {Object} [options] {description, builder}，builder 为 yargs 的 options 对象或者函数
+     * @param {Function} handler 命令的处理函数，接收命令行参数 argv，可以返回 Promise
+     */
+    registerCommand(command, options, handler) {
+        if (typeof options === 'function') {
+            handler = options;
+            options = {};
+        }
+        argsert('<string> <object> <function>', [command, options, handler], 3);
+        const name = command.split(/\s+/)[0];
+        const {registeredCommands} = this.service;
+        if (registeredCommands.has(name)) {
+            const {id} = registeredCommands.get(name);
+            this.log.warn(`Command \`${name}\` has been registered by ${id}, override it.`);
+        }
+        const {description = '', builder = {}} = options;
+        registeredCommands.set(name, {id: this.id, command, description, builder, handler});
+    }
 };
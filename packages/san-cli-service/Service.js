@@ -10,6 +10,7 @@
 
 const {resolve, isAbsolute, join, dirname} = require('path');
 const EventEmitter = require('events').EventEmitter;
+const {AsyncSeriesHook} = require('tapable');
 const {logger: consola, time, timeEnd, chalk, getDebugLogger} = require('san-cli-utils/ttyLogger');
 
 const importLazy = require('import-lazy')(require);
@@ -23,14 +24,26 @@ const dotenv = require('dotenv');
 
 const SError = require('san-cli-utils/SError');
 const PluginAPI = require('./PluginAPI');
+const sortPlugins = require('./sortPlugins');
+const loadConfig = require('./loadConfig');
+const discoverPages = require('./discoverPages');
 const {findExisting} = require('san-cli-utils/path');
 const {textColor} = require('san-cli-utils/randomColor');
 const argsert = require('san-cli-utils/argsert');
 const readPkg = require('san-cli-utils/readPkg');
 
-const {defaults: defaultConfig, validateSync: validateOptions} = require('./options');
+const {
+    defaults: defaultConfig,
+    validateSync: validateOptions,
+    validatePluginOptions,
+    cacheOptions,
+    ssrOptions,
+    typescriptOptions
+} = require('./options');
+const validateEnv = require('./envSchema');
 
-const BUILDIN_PLUGINS = ['base', 'css', 'app', 'optimization'];
+const {CONFIG_FILES} = loadConfig;
+const BUILDIN_PLUGINS = ['base', 'css', 'app', 'optimization', 'mock', 'smarty', 'ssr', 'typescript'];
 
 const logger = consola.withTag('Service');
 const debug = getDebugLogger('service');
@@ -80,19 +93,53 @@ module.exports = class Service extends EventEmitter {
 
         this.initialized = false;
         this._initProjectOptions = projectOptions;
+        // 加载到的 .env 文件和 san.config.js，用于计算缓存 key
+        this.envFiles = [];
+        this.configFilePath = undefined;
+        // .env 文件设置的环境变量，close 时还原
+        this.envKeys = [];
+        // 本地的插件文件，serve 时变化会重启 dev server
+        this.pluginFiles = [];
+        // pages 为 'auto' 或者 glob 时的查找规则和结果，serve 时页面变化会重启 dev server
+        this.pagesPattern = undefined;
+        this.pagesSignature = undefined;
+        // 按照 env 配置转换类型后的环境变量，client 为注入到前端代码中的
+        this.env = {values: {}, client: {}};
         // webpack chain & merge array
         this.webpackChainFns = [];
         this.webpackRawConfigFns = [];
         this.devServerMiddlewares = [];
+        // 创建出来的中间件，close 时停止中间件中的监听
+        this.middlewareInstances = [];
+        // 插件通过 api.registerCommand 注册的命令
+        this.registeredCommands = new Map();
+        // 生命周期钩子，插件通过 api.hooks.xxx.tapPromise 注册，build 和 serve 命令中调用
+        this.hooks = {
+            // webpack 配置生成之后，开始编译之前
+            configResolved: new AsyncSeriesHook(['webpackConfig']),
+            // 创建 compiler 之后，可以在这里注册 webpack 的钩子
+            beforeBuild: new AsyncSeriesHook(['compiler']),
+            // 每次编译完成，watch 和 serve 时每次重新编译都会调用
+            compileDone: new AsyncSeriesHook(['stats']),
+            // build 完成，产出已经写入硬盘
+            afterBuild: new AsyncSeriesHook(['stats']),
+            // dev server 启动完成
+            serveReady: new AsyncSeriesHook(['info']),
+            // build 失败或者 serve 编译出错
+            compileError: new AsyncSeriesHook(['error'])
+        };
         // 插件
         this.plugins = this.resolvePlugins(plugins, useBuiltInPlugin);
     }
     loadEnv(mode) {
+        this.envFiles = [];
+        this.envKeys = [];
         const load = envPath => {
             let env = {};
             try {
                 const content = fs.readFileSync(envPath);
                 env = dotenv.parse(content) || {};
+                this.envFiles.push(envPath);
                 debug('loadEnv envPath %s', envPath);
                 debug('loadEnv env object %O', env);
             }
@@ -111,6 +158,7 @@ module.exports = class Service extends EventEmitter {
             Object.keys(obj).forEach(key => {
                 if (!process.env.hasOwnProperty(key)) {
                     process.env[key] = obj[key];
+                    this.envKeys.push(key);
                 }
             });
         };
@@ -137,11 +185,6 @@ module.exports = class Service extends EventEmitter {
         defaultEnv = Object.assign(defaultEnv, load(envPath));
 
         const envObj = Object.assign(defaultEnv, localEnv);
-        Object.keys(envObj).forEach(key => {
-            if (!process.env.hasOwnProperty(key)) {
-                process.env[key] = envObj[key];
-            }
-        });
         merge(envObj);
         if (mode) {
             const defaultNodeEnv = mode === 'production' ? mode : 'development';
@@ -187,7 +230,11 @@ module.exports = class Service extends EventEmitter {
             try {
                 // 是从工作目录开始的
                 // san cli 内部使用 require
-                let plugin = require(resolvePlugin(p, this.cwd));
+                const pluginPath = resolvePlugin(p, this.cwd);
+                if (!/node_modules/.test(pluginPath)) {
+                    this.pluginFiles.push(require.resolve(pluginPath));
+                }
+                let plugin = require(pluginPath);
                 if (plugin.__esModule) {
                     // 重新赋值 esmodule
                     plugin = plugin.default;
@@ -234,12 +281,14 @@ module.exports = class Service extends EventEmitter {
     init(mode) {
         if (this.initialized) {
             // 初始化过一次之后就不需要二次了
-            // 注意这里会导致 configFile 这类二次修改不会生效
+            // 配置修改后需要 close 之后重新创建 Service，见 serve 命令的重启
             return this;
         }
         this.initialized = true;
         this.mode = mode;
 
+        // 按照插件声明的 after/before 调整顺序
+        this.plugins = sortPlugins(this.plugins);
         this.plugins.forEach(plugin => {
             this.initPlugin(plugin);
         });
@@ -259,7 +308,7 @@ module.exports = class Service extends EventEmitter {
             get(target, prop) {
                 // 传入配置的自定义 pluginAPI 方法
 
-                if (['on', 'emit', 'addPlugin', 'getWebpackChainConfig', 'getWebpackConfig'].includes(prop)) {
+                if (['on', 'emit', 'hooks', 'addPlugin', 'getWebpackChainConfig', 'getWebpackConfig'].includes(prop)) {
                     if (typeof self[prop] === 'function') {
                         return self[prop].bind(self);
                     }
@@ -272,10 +321,13 @@ module.exports = class Service extends EventEmitter {
     initPlugin(plugin) {
         let options = {};
         if (Array.isArray(plugin)) {
-            options = plugin[1];
+            options = plugin[1] || {};
             plugin = plugin[0];
         }
         const {id, apply} = plugin;
+        if (plugin.schema) {
+            options = validatePluginOptions(plugin, options);
+        }
         const api = this._getApiInstance(id);
 
         // 传入配置的 options
@@ -296,16 +348,16 @@ module.exports = class Service extends EventEmitter {
         let config = defaultsDeep(this._initProjectOptions, defaultConfig);
         let result = {
             filepath: originalConfigFile,
-            config: configFile ? require(configFile) : false
+            config: false
         };
         if (!configFile && this.autoLoadConfigFile) {
-            // 主动查找 cwd 目录的.san
-            result.filepath = findExisting(['san.config.js', '.san.config.js'], this.cwd);
-
-            if (result.filepath) {
-                // 加载 config 文件
-                result.config = require(result.filepath);
-            }
+            // 主动查找 cwd 目录的 san.config.{js,ts,mjs} 和 .san.config.js
+            configFile = findExisting(CONFIG_FILES, this.cwd);
+            result.filepath = configFile;
+        }
+        if (configFile) {
+            // 配置可以是导出函数，传入 mode 和当前命令
+            result.config = await loadConfig(configFile, {mode: this.mode, command: this.name});
         }
         if (result && result.config) {
             let configPath = result.filepath;
@@ -324,6 +376,7 @@ module.exports = class Service extends EventEmitter {
                 }
             }
             debug('loadProjectOptions from %s', configPath);
+            this.configFilePath = isAbsolute(configPath) ? configPath : resolve(this.cwd, configPath);
             // 这里特殊处理下 plugins 字段吧
             // if (result.config.plugins && result.config.plugins.length) {
             //     result.config.plugins = result.config.plugins.map(k =>
@@ -347,10 +400,57 @@ module.exports = class Service extends EventEmitter {
         }
         removeSlash(config, 'outputDir');
 
-        // normalize pages
-        const pages = config.pages;
-        if (filepath && pages) {
-            filepath = dirname(filepath);
+        // normalize cache
+        if (config.cache) {
+            config.cache = Object.assign({}, cacheOptions, config.cache === true ? {} : config.cache);
+        }
+
+        // normalize typescript
+        if (config.typescript) {
+            config.typescript = Object.assign(
+                {},
+                typescriptOptions,
+                config.typescript === true ? {} : config.typescript
+            );
+        }
+
+        // normalize ssr
+        if (config.ssr) {
+            config.ssr = Object.assign({}, ssrOptions, config.ssr === true ? {} : config.ssr);
+            removeSlash(config.ssr, 'outputDir');
+        }
+
+        // pages: 'auto' 或者 glob，按照目录约定查找页面
+        if (typeof config.pages === 'string') {
+            this.pagesPattern = config.pages;
+            config.pages = this.discoverPages(config);
+            this.pagesSignature = JSON.stringify(config.pages);
+        }
+
+        if (config.pages) {
+            this.normalizePages(config.pages, filepath);
+        }
+        return config;
+    }
+
+    /**
+     * 处理 pages 中的路径：publicPath、outputDir 的斜杠，entry、template 相对于配置文件
+     *
+     * @param {Object} pages 页面配置
+     * @param {string} [filepath] 配置文件路径
+     * @return {Object} pages
+     */
+    normalizePages(pages, filepath) {
+        Object.keys(pages).forEach(name => {
+            const page = pages[name];
+            if (page && typeof page === 'object' && !Array.isArray(page)) {
+                // pageGroups 中使用的单个 page 配置
+                ensureSlash(page, 'publicPath');
+                removeSlash(page, 'outputDir');
+            }
+        });
+        if (filepath) {
+            const dir = dirname(filepath);
             Object.keys(pages).forEach(p => {
                 const page = pages[p];
                 // 相对于 san.config.js
@@ -358,16 +458,16 @@ module.exports = class Service extends EventEmitter {
                     if (page[key]) {
                         if (Array.isArray(page[key])) {
                             // 处理成相对 san.config.js
-                            page[key] = page[key].map(p => (isAbsolute(p) ? p : resolve(filepath, p)));
+                            page[key] = page[key].map(p => (isAbsolute(p) ? p : resolve(dir, p)));
                         }
                         else {
-                            page[key] = resolve(filepath, page[key]);
+                            page[key] = resolve(dir, page[key]);
                         }
                     }
                 });
             });
         }
-        return config;
+        return pages;
     }
 
     async run(callback) {
@@ -384,6 +484,18 @@ module.exports = class Service extends EventEmitter {
         timeEnd('loadProjectOptions');
 
         this.projectOptions = projectOptions;
+        // 校验环境变量，必填的变量不存在时直接报错，避免打包出 undefined
+        if (projectOptions.env) {
+            // default 写回 process.env 的变量同样在 close 时还原，重启后使用修改后的 default
+            const unsetKeys = Object.keys(projectOptions.env).filter(key => process.env[key] === undefined);
+            try {
+                this.env = validateEnv(projectOptions.env);
+            }
+            finally {
+                unsetKeys.filter(key => process.env[key] !== undefined).forEach(key => this.envKeys.push(key));
+            }
+            debug('env: %O', this.env);
+        }
         // 添加插件
         if (Array.isArray(projectOptions.plugins) && projectOptions.plugins.length) {
             projectOptions.plugins.forEach(p => this.addPlugin(p));
@@ -410,6 +522,95 @@ module.exports = class Service extends EventEmitter {
             timeEnd('callback');
         }
     }
+    /**
+     * 调用生命周期钩子，同时触发同名事件，兼容 api.on 的监听方式
+     *
+     * @param {string} name 钩子名称
+     * @param {...*} args 参数
+     * @return {Promise} 所有插件执行完成
+     */
+    callHook(name, ...args) {
+        if (!this.hooks[name]) {
+            return Promise.reject(new SError(`Unknown hook \`${name}\`.`));
+        }
+        this.emit(name, ...args);
+        return this.hooks[name].promise(...args);
+    }
+    /**
+     * 获取影响项目配置的文件：配置文件及其引用的本地模块、.env 文件和本地插件
+     *
+     * @return {Array<string>} 文件的绝对路径，不存在的 .env 文件也会返回，方便监听新建
+     */
+    getConfigFiles() {
+        const files = new Set();
+        const addModule = file => {
+            if (files.has(file) || /node_modules/.test(file)) {
+                return;
+            }
+            files.add(file);
+            const m = require.cache[file];
+            if (m) {
+                m.children.forEach(child => addModule(child.filename));
+            }
+        };
+        if (this.configFilePath) {
+            addModule(this.configFilePath);
+        }
+        this.pluginFiles.forEach(addModule);
+        // 跟 loadEnv 查找的文件保持一致
+        const modeEnvName = `.env${this.mode ? `.${this.mode}` : ''}`;
+        ['.env', modeEnvName, `${modeEnvName}.local`].forEach(name => files.add(join(this.cwd, name)));
+        return [...files];
+    }
+    discoverPages(config) {
+        return discoverPages(this.pagesPattern, {
+            cwd: this.cwd,
+            templateExt: config.templateEngine === 'smarty' ? '.tpl' : '.html',
+            cacheDir: resolve(this.cwd, (config.cache || cacheOptions).cacheDirectory)
+        });
+    }
+    /**
+     * pages 为 'auto' 或者 glob 时页面所在的目录，serve 时监听这个目录
+     *
+     * @return {string|null} 绝对路径，pages 不是 'auto' 或者 glob 时返回 null
+     */
+    getPagesDir() {
+        return this.pagesPattern ? resolve(this.cwd, discoverPages.getBaseDir(this.pagesPattern)) : null;
+    }
+    /**
+     * 重新查找页面，新增、删除页面或者修改 page.json 之后跟上次的结果不同时更新 projectOptions.pages，
+     * 修改页面代码不会改变结果；查找出错时（例如 page.json 格式错误）抛出错误，保留原来的 pages
+     *
+     * @return {boolean} 页面是否变化
+     */
+    pagesChanged() {
+        if (!this.pagesPattern) {
+            return false;
+        }
+        const pages = this.discoverPages(this.projectOptions);
+        const signature = JSON.stringify(pages);
+        if (signature === this.pagesSignature) {
+            return false;
+        }
+        this.pagesSignature = signature;
+        this.projectOptions.pages = this.normalizePages(pages, this.configFilePath);
+        return true;
+    }
+    /**
+     * 释放资源：停止中间件中的监听，还原 .env 文件和 env default 设置的环境变量，清除配置文件和本地插件的 require 缓存，
+     * 之后重新创建的 Service 会读取最新的配置
+     */
+    close() {
+        this.middlewareInstances.forEach(middleware => {
+            if (middleware && typeof middleware.close === 'function') {
+                middleware.close();
+            }
+        });
+        this.middlewareInstances = [];
+        this.envKeys.forEach(key => delete process.env[key]);
+        this.envKeys = [];
+        this.getConfigFiles().forEach(file => delete require.cache[file]);
+    }
     addPlugin(name, options = {}) {
         argsert('<string|array|object> [object|undefined]', [name, options], arguments.length);
 
@@ -461,15 +662,21 @@ module.exports = class Service extends EventEmitter {
         let before = config.devServer.before;
         if (this.devServerMiddlewares.length) {
             /* eslint-disable space-before-function-paren */
-            before = (function(before, devServerMiddlewares) {
+            before = (function(before, devServerMiddlewares, middlewareInstances) {
                 /* eslint-enable space-before-function-paren */
                 return (app, server) => {
                     // 因为一些中间件存在监听等逻辑，所以这里包了一层 fn
-                    devServerMiddlewares.forEach(fn => typeof fn === 'function' && app.use(fn()));
+                    devServerMiddlewares.forEach(fn => {
+                        if (typeof fn === 'function') {
+                            const middleware = fn();
+                            middlewareInstances.push(middleware);
+                            app.use(middleware);
+                        }
+                    });
                     // 还原配置的 before
                     typeof before === 'function' && before(app, server);
                 };
-            })(before, this.devServerMiddlewares);
+            })(before, this.devServerMiddlewares, this.middlewareInstances);
         }
         config.devServer.before = before;
         if (debug.enabled || showConfig.enabled) {
@@ -510,3 +717,11 @@ function ensureSlash(config, key) {
         config[key] = val.replace(/([^/])$/, '$1/');
     }
 }
+
+/**
+ * 定义 san.config 配置，原样返回，用来在 TypeScript 和编辑器中获得类型提示
+ *
+ * @param {Object|Function} config 配置对象或者返回配置的函数
+ * @return {Object|Function} config
+ */
+module.exports.defineConfig = config => config;
@@ -16,6 +16,7 @@ beforeEach(() => {
         mode: 'production',
         webpackChainFns: [],
         webpackRawConfigFns: [],
+        registeredCommands: new Map(),
         cwd: 'user/yyt'
     });
 });
@@ -39,3 +40,32 @@ test('测试configWebpack', () => {
 test('测试resolve', () => {
     expect(pluginApi.resolve('index.js')).toMatch('user/yyt/index.js');
 });
+
+test('测试genCacheConfig', () => {
+    expect(pluginApi.genCacheConfig('babel-loader')).toBe(false);
+
+    pluginApi.service.projectOptions = {cache: {cacheDirectory: 'node_modules/.cache/san-cli'}};
+    pluginApi.service.envFiles = [];
+    const cacheConfig = pluginApi.genCacheConfig('babel-loader', {a: 1});
+    expect(cacheConfig.cacheDirectory).toMatch('user/yyt/node_modules/.cache/san-cli/babel-loader');
+    // 相同输入 cache key 不变，不同输入 cache key 变化
+    expect(pluginApi.genCacheConfig('babel-loader', {a: 1}).cacheIdentifier).toBe(cacheConfig.cacheIdentifier);
+    expect(pluginApi.genCacheConfig('babel-loader', {a: 2}).cacheIdentifier).not.toBe(cacheConfig.cacheIdentifier);
+    pluginApi.service.mode = 'development';
+    expect(pluginApi.genCacheConfig('babel-loader', {a: 1}).cacheIdentifier).not.toBe(cacheConfig.cacheIdentifier);
+});
+
+test('测试registerCommand', () => {
+    const handler = jest.fn();
+    pluginApi.registerCommand('deploy [target]', {description: 'deploy', builder: {dry: {type: 'boolean'}}}, handler);
+    expect(pluginApi.service.registeredCommands.get('deploy')).toEqual({
+        id: 'plugin-yyt',
+        command: 'deploy [target]',
+        description: 'deploy',
+        builder: {dry: {type: 'boolean'}},
+        handler
+    });
+    // options 可以省略
+    pluginApi.registerCommand('storybook', handler);
+    expect(pluginApi.service.registeredCommands.get('storybook').builder).toEqual({});
+});
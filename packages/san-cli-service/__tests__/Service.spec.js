@@ -85,7 +85,7 @@ describe('e2e 测试', () => {
                         '@app': cwd + '/src/lib/App.js',
                         '@store': cwd + '/src/lib/Store.js'
                     },
-                    extensions: ['.js', '.css', '.less', '.san'],
+                    extensions: ['.js', '.ts', '.css', '.less', '.san'],
                     modules: [
                         'node_modules',
                         cwd + '/node_modules',
@@ -180,9 +180,9 @@ describe('e2e 测试', () => {
                 output: {
                     path: cwd + '/output',
                     jsonpFunction: 'HK3',
-                    filename: 'static/san-cli/js/[name].[hash:8].js',
+                    filename: 'static/san-cli/js/[name].[contenthash:8].js',
                     publicPath: 'https://s.bdstatic.com/',
-                    chunkFilename: 'static/san-cli/js/[name].[hash:8].js'
+                    chunkFilename: 'static/san-cli/js/[name].[contenthash:8].js'
                 },
                 resolve: {
                     symlinks: false,
@@ -195,7 +195,7 @@ describe('e2e 测试', () => {
                         '@app': cwd + '/src/lib/App.js',
                         '@store': cwd + '/src/lib/Store.js'
                     },
-                    extensions: ['.js', '.css', '.less', '.san'],
+                    extensions: ['.js', '.ts', '.css', '.less', '.san'],
                     modules: [
                         'node_modules',
                         cwd + '/node_modules',
@@ -267,6 +267,10 @@ describe('constructor resolvePlugins _loadPlugin', () => {
             'built-in:css',
             'built-in:app',
             'built-in:optimization',
+            'built-in:mock',
+            'built-in:smarty',
+            'built-in:ssr',
+            'built-in:typescript',
             'san-cli-plugin-babel',
             'yyt-plugin',
             'yyt1-plugin',
@@ -294,7 +298,17 @@ describe('constructor resolvePlugins _loadPlugin', () => {
                 }
                 return item.id;
             })
-        ).toEqual(['built-in:base', 'built-in:css', 'built-in:app', 'built-in:optimization', 'san-cli-plugin-babel']);
+        ).toEqual([
+            'built-in:base',
+            'built-in:css',
+            'built-in:app',
+            'built-in:optimization',
+            'built-in:mock',
+            'built-in:smarty',
+            'built-in:ssr',
+            'built-in:typescript',
+            'san-cli-plugin-babel'
+        ]);
     });
     test('useBuiltInPlugin为false', () => {
         const service = new Service('name', {
@@ -360,7 +374,70 @@ describe('loadProjectOptions', () => {
         // 会去自动查找项目中的san.config.js，查验一下是否找到了并返回正确的配置项
         expect(config.templateDir).toBe('template');
     });
+    test('san.config.ts 导出函数时传入 mode 和 command', async () => {
+        const service = new Service('build', {
+            cwd: __dirname + '/mock/ts',
+            mode: 'production'
+        });
+        const config = await service.loadProjectOptions();
+        expect(config.outputDir).toBe('output');
+        expect(config.command).toBe('build');
+        expect(service.configFilePath).toBe(__dirname + '/mock/ts/san.config.ts');
+    });
+    test('san.config.mjs 使用 export default', async () => {
+        const service = new Service('serve', {
+            cwd: __dirname + '/mock/mjs'
+        });
+        const config = await service.loadProjectOptions();
+        expect(config.outputDir).toBe('esm-output');
+    });
+    test('budgets 的大小格式错误时加载配置就报错', async () => {
+        const service = new Service('build', {
+            cwd: __dirname + '/mock/budgets'
+        });
+        await expect(service.loadProjectOptions()).rejects.toThrow(
+            '"budgets.initial.js" must be bytes or a string like `200kb`'
+        );
+    });
+});
+
+describe('getConfigFiles close', () => {
+    test('返回影响配置的文件，close 时还原环境变量', async () => {
+        const cwd = __dirname + '/mock';
+        delete process.env.TEST_ENV_PRODUCTION_PATH;
+        const service = new Service('serve', {
+            cwd,
+            mode: 'production',
+            useBuiltInPlugin: false,
+            plugins: ['./yyt-plugin.js']
+        });
+        service.loadEnv('production');
+        await service.loadProjectOptions();
+        expect(service.getConfigFiles()).toEqual([
+            cwd + '/san.config.js',
+            cwd + '/yyt-plugin.js',
+            cwd + '/.env',
+            cwd + '/.env.production',
+            cwd + '/.env.production.local'
+        ]);
+        expect(process.env.TEST_ENV_PRODUCTION_PATH).toBe('/home/work/env/production');
 
+        service.close();
+        expect(process.env.TEST_ENV_PRODUCTION_PATH).toBeUndefined();
+    });
+    test('close 时还原 env 的 default', async () => {
+        const service = new Service('serve', {
+            cwd: __dirname + '/mock',
+            autoLoadConfigFile: false,
+            useBuiltInPlugin: false,
+            useProgress: false,
+            projectOptions: {env: {TEST_ENV_DEFAULT_PORT: {type: 'number', default: 3000}}}
+        });
+        await service.run();
+        expect(process.env.TEST_ENV_DEFAULT_PORT).toBe('3000');
+        service.close();
+        expect(process.env.TEST_ENV_DEFAULT_PORT).toBeUndefined();
+    });
 });
 
 describe('initPlugin', () => {
@@ -412,6 +489,65 @@ describe('initPlugin', () => {
     });
 });
 
+describe('plugin schema', () => {
+    const service = new Service('name', {
+        cwd: __dirname + '/mock'
+    });
+    const plugin = {
+        id: 'schema-plugin',
+        schema: joi =>
+            joi.object({
+                dir: joi.string().required(),
+                dry: joi.boolean().default(false)
+            }),
+        apply: jest.fn()
+    };
+    test('校验通过时使用补全默认值之后的参数', () => {
+        service.initPlugin([plugin, {dir: 'output'}]);
+        expect(plugin.apply.mock.calls[0][2]).toEqual({dir: 'output', dry: false});
+    });
+    test('校验失败时报错中包含插件 id', () => {
+        expect(() => service.initPlugin([plugin, {dry: 1}])).toThrow(
+            'Invalid options for plugin `schema-plugin`: "dir" is required'
+        );
+        expect(() => service.initPlugin(plugin)).toThrow('schema-plugin');
+    });
+});
+
+describe('callHook', () => {
+    test('插件通过 api.hooks 注册，按顺序等待执行', async () => {
+        const service = new Service('name', {
+            cwd: __dirname + '/mock'
+        });
+        const calls = [];
+        service.initPlugin({
+            id: 'hook-plugin',
+            apply: api => {
+                api.hooks.afterBuild.tapPromise('hook-plugin', async stats => {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    calls.push(['async', stats]);
+                });
+                api.hooks.afterBuild.tap('hook-plugin', stats => calls.push(['sync', stats]));
+                api.on('afterBuild', stats => calls.push(['event', stats]));
+            }
+        });
+        await service.callHook('afterBuild', 'stats');
+        expect(calls).toEqual([
+            ['event', 'stats'],
+            ['async', 'stats'],
+            ['sync', 'stats']
+        ]);
+    });
+    test('钩子抛出错误和未知的钩子', async () => {
+        const service = new Service('name', {
+            cwd: __dirname + '/mock'
+        });
+        service.hooks.compileDone.tapPromise('hook-plugin', () => Promise.reject(new Error('upload failed')));
+        await expect(service.callHook('compileDone', {})).rejects.toThrow('upload failed');
+        await expect(service.callHook('unknown')).rejects.toThrow('Unknown hook');
+    });
+});
+
 // describe('registerCommand', () => {
 //     let service = null;
 //     beforeEach(() => {
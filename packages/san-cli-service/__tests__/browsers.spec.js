@@ -0,0 +1,132 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file targets/browsers test
+ */
+
+const Config = require('webpack-chain');
+const {MODERN_TARGETS, normalizeBrowserTargets, applyBrowserTarget} = require('../targets/browsers');
+
+class HTMLPlugin {
+    constructor(options) {
+        this.options = options;
+    }
+}
+class CopyPlugin {}
+
+function getChainConfig() {
+    const chainConfig = new Config();
+    chainConfig.output.filename('js/[name].js').chunkFilename('js/[name].js');
+    chainConfig.module
+        .rule('js')
+        .use('babel-loader')
+        .loader('babel-loader')
+        .options({presets: [['preset', {}]], cacheIdentifier: 'abc'});
+    chainConfig.plugin('html-index').use(HTMLPlugin, [{filename: 'index.html', alwaysWriteToDisk: true}]);
+    chainConfig.plugin('html-about').use(HTMLPlugin, [{filename: 'about/index.html'}]);
+    chainConfig.plugin('copy-webpack-plugin').use(CopyPlugin);
+    return chainConfig;
+}
+const getBabelOptions = config => config.module.rules[0].use[0].options;
+const getPlugin = (config, name) => config.plugins.find(p => p.__pluginName === name);
+
+describe('targets/browsers', () => {
+    test('normalizeBrowserTargets', () => {
+        expect(normalizeBrowserTargets(MODERN_TARGETS)).toEqual({
+            mode: 'module',
+            targets: [
+                {name: 'legacy', browsers: undefined, module: false, primary: false},
+                {name: 'modern', browsers: undefined, module: true, primary: true}
+            ]
+        });
+
+        const {mode, targets} = normalizeBrowserTargets({
+            legacy: 'ie 11',
+            modern: ['chrome >= 61'],
+            evergreen: {browsers: 'last 1 chrome version', module: true}
+        });
+        expect(mode).toBe('userAgent');
+        expect(targets.map(({browsers}) => browsers)).toEqual(['ie 11', ['chrome >= 61'], 'last 1 chrome version']);
+        expect(targets.map(({primary}) => primary)).toEqual([true, false, false]);
+    });
+
+    test('applyBrowserTarget module mode', () => {
+        const {mode, targets} = normalizeBrowserTargets(MODERN_TARGETS);
+        const options = {mode, targets, cwd: __dirname, store: {}};
+        const [legacy, modern] = targets.map(target => {
+            const chainConfig = getChainConfig();
+            applyBrowserTarget(chainConfig, target, options);
+            return chainConfig.toConfig();
+        });
+
+        expect(getBabelOptions(legacy)).toEqual({presets: [['preset', {hmr: false}]], cacheIdentifier: 'abc-legacy'});
+        expect(getBabelOptions(modern).presets[0][1].targets).toEqual({esmodules: true});
+        expect(legacy.output).toEqual({filename: 'js/[name]-legacy.js', chunkFilename: 'js/[name]-legacy.js'});
+        expect(modern.output).toEqual({filename: 'js/[name].js', chunkFilename: 'js/[name].js'});
+
+        // legacy 不产出 html 和 copy
+        expect(getPlugin(legacy, 'copy-webpack-plugin')).toBeUndefined();
+        expect(getPlugin(legacy, 'html-index').options).toEqual({filename: 'index.html', alwaysWriteToDisk: false});
+        expect(getPlugin(modern, 'html-index').options).toEqual({filename: 'index.html', alwaysWriteToDisk: true});
+
+        const legacyPlugin = getPlugin(legacy, 'browser-target');
+        const modernPlugin = getPlugin(modern, 'browser-target');
+        expect(legacyPlugin).toMatchObject({name: 'legacy', mode: 'module', primary: false, manifest: null});
+        expect(modernPlugin).toMatchObject({name: 'modern', mode: 'module', primary: true, module: true});
+        expect(legacyPlugin.store).toBe(modernPlugin.store);
+    });
+
+    test('applyBrowserTarget userAgent mode', () => {
+        const {mode, targets} = normalizeBrowserTargets({
+            legacy: 'ie 11',
+            modern: {browsers: 'chrome 80', module: true},
+            evergreen: 'chrome 81'
+        });
+        const options = {mode, targets, cwd: __dirname, store: {}};
+        const [legacy, modern] = targets.map(target => {
+            const chainConfig = getChainConfig();
+            applyBrowserTarget(chainConfig, target, options);
+            return chainConfig.toConfig();
+        });
+
+        expect(getBabelOptions(legacy).presets[0][1].targets).toEqual({browsers: ['ie 11']});
+        expect(legacy.output.filename).toBe('js/[name].js');
+        expect(modern.output.filename).toBe('js/[name]-modern.js');
+        expect(getPlugin(modern, 'html-about').options).toEqual({filename: 'about/index-modern.html'});
+
+        expect(getPlugin(modern, 'browser-target').manifest).toBeNull();
+        expect(getPlugin(legacy, 'browser-target').manifest).toEqual({
+            default: 'legacy',
+            targets: {
+                legacy: {
+                    browsers: ['ie 11'],
+                    module: false,
+                    pages: {'index.html': 'index.html', 'about/index.html': 'about/index.html'}
+                },
+                modern: {
+                    browsers: ['chrome 80'],
+                    module: true,
+                    pages: {'index.html': 'index-modern.html', 'about/index.html': 'about/index-modern.html'}
+                },
+                evergreen: {
+                    browsers: ['chrome 81'],
+                    module: false,
+                    pages: {'index.html': 'index-evergreen.html', 'about/index.html': 'about/index-evergreen.html'}
+                }
+            }
+        });
+    });
+
+    test('applyBrowserTarget single target', () => {
+        const chainConfig = getChainConfig();
+        const target = {name: 'modern', module: true, primary: true};
+        applyBrowserTarget(chainConfig, target, {mode: 'module', targets: [target], cwd: __dirname, store: {}});
+        const config = chainConfig.toConfig();
+        expect(getBabelOptions(config).presets[0][1].targets).toEqual({esmodules: true});
+        expect(getPlugin(config, 'browser-target')).toBeUndefined();
+        expect(getPlugin(config, 'copy-webpack-plugin')).toBeDefined();
+    });
+});
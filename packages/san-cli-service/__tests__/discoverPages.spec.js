@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file discoverPages test
+ */
+
+const os = require('os');
+const path = require('path');
+// __mocks__ 中的 fs-extra 不会真正删除文件
+const fs = jest.requireActual('fs-extra');
+const discoverPages = require('../discoverPages');
+const Service = require('../Service');
+
+const cwd = path.join(__dirname, 'pages');
+const pagesDir = path.join(cwd, 'src/pages');
+const cacheDir = path.join(os.tmpdir(), 'san-cli-discover-pages');
+
+afterAll(() => fs.removeSync(cacheDir));
+
+describe('discoverPages', () => {
+    test('getBaseDir', () => {
+        const {getBaseDir} = discoverPages;
+        expect(getBaseDir('auto')).toBe('src/pages');
+        expect(getBaseDir('src/views/**/entry.js')).toBe('src/views');
+        expect(getBaseDir('src/{a,b}/main.js')).toBe('src');
+        expect(getBaseDir('*.js')).toBe('.');
+    });
+
+    test('auto', () => {
+        const pages = discoverPages('auto', {cwd, cacheDir});
+        expect(Object.keys(pages)).toEqual(['about', 'detail', 'index']);
+        expect(pages.index).toEqual({
+            entry: path.join(pagesDir, 'index/main.js'),
+            template: path.join(pagesDir, 'index/index.html'),
+            filename: 'index.html',
+            title: 'index'
+        });
+        // main.ts 优先于 index.san
+        expect(pages.about.entry).toBe(path.join(pagesDir, 'about/main.ts'));
+        expect(pages.about.template).toBeUndefined();
+
+        // 只有 index.san 时生成入口，page.json 覆盖约定的配置
+        expect(pages.detail).toEqual({
+            entry: path.join(cacheDir, 'pages/detail.js'),
+            filename: 'detail.html',
+            title: '详情',
+            chunks: ['vendors', 'detail']
+        });
+        expect(fs.readFileSync(pages.detail.entry, 'utf-8')).toBe(
+            `import App from ${JSON.stringify(path.join(pagesDir, 'detail/index.san'))};\n\n`
+            + 'new App().attach(document.getElementById(\'app\') || document.body);\n'
+        );
+    });
+
+    test('glob', () => {
+        const pages = discoverPages('src/pages/**/main.js', {cwd, cacheDir, templateExt: '.tpl'});
+        expect(pages).toEqual({
+            index: {entry: path.join(pagesDir, 'index/main.js'), filename: 'index.tpl', title: 'index'},
+            'user/list': {
+                entry: path.join(pagesDir, 'user/list/main.js'),
+                filename: 'user/list.tpl',
+                title: 'user/list'
+            }
+        });
+        expect(() => discoverPages('src/views/*/main.js', {cwd, cacheDir})).toThrow(
+            'No pages found by `src/views/*/main.js`.'
+        );
+    });
+
+    test('Service', async () => {
+        const service = new Service('serve', {
+            cwd,
+            autoLoadConfigFile: false,
+            useBuiltInPlugin: false,
+            useProgress: false,
+            projectOptions: {pages: 'auto', cache: {cacheDirectory: cacheDir}}
+        });
+        service.projectOptions = await service.loadProjectOptions();
+        expect(Object.keys(service.projectOptions.pages)).toEqual(['about', 'detail', 'index']);
+        expect(service.getPagesDir()).toBe(pagesDir);
+        // 修改页面代码时不变
+        expect(service.pagesChanged()).toBe(false);
+
+        const dir = path.join(pagesDir, 'added');
+        fs.outputFileSync(path.join(dir, 'main.js'), '');
+        try {
+            expect(service.pagesChanged()).toBe(true);
+            expect(service.pagesChanged()).toBe(false);
+            expect(service.projectOptions.pages.added.entry).toBe(path.join(dir, 'main.js'));
+        }
+        finally {
+            fs.removeSync(dir);
+        }
+        expect(service.pagesChanged()).toBe(true);
+        expect(Object.keys(service.projectOptions.pages)).toEqual(['about', 'detail', 'index']);
+    });
+});
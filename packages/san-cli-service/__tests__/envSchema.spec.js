@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file envSchema test
+ * @author ksky521
+ */
+
+const validateEnv = require('../envSchema');
+
+describe('validateEnv', () => {
+    test('转换类型和默认值', () => {
+        const env = {PORT: '8080', SAN_VAR_DEBUG: 'false', SAN_VAR_API: '/api'};
+        const {values, client} = validateEnv(
+            {
+                PORT: 'number',
+                SAN_VAR_DEBUG: {type: 'boolean'},
+                SAN_VAR_API: {type: 'string', client: false},
+                TIMEOUT: {type: 'number', default: 3000, client: true}
+            },
+            env
+        );
+        expect(values).toEqual({PORT: 8080, SAN_VAR_DEBUG: false, SAN_VAR_API: '/api', TIMEOUT: 3000});
+        // SAN_VAR_* 默认注入前端代码，其他的需要 client: true
+        expect(client).toEqual({SAN_VAR_DEBUG: false, TIMEOUT: 3000});
+        // 默认值写回 env
+        expect(env.TIMEOUT).toBe('3000');
+    });
+    test('default 同样转换类型并校验', () => {
+        const env = {};
+        expect(validateEnv({PORT: {type: 'number', default: '3000'}}, env).values).toEqual({PORT: 3000});
+        expect(() =>
+            validateEnv({DEBUG: {type: 'boolean', default: 'maybe'}, TARGET: {allowed: ['web'], default: 'ie'}}, env)
+        ).toThrow(/DEBUG: default should be a boolean[\s\S]*TARGET: "ie" is not allowed/);
+        // 校验失败的 default 不写回 env
+        expect(env).toEqual({PORT: '3000'});
+    });
+    test('校验失败时列出所有错误', () => {
+        expect(() =>
+            validateEnv(
+                {
+                    API_URL: {required: true},
+                    PORT: 'number',
+                    DEBUG: 'boolean',
+                    TARGET: {allowed: ['web', 'node']}
+                },
+                {PORT: 'abc', DEBUG: 'maybe', TARGET: 'ie'}
+            )
+        ).toThrow(
+            new RegExp(
+                [
+                    'API_URL: is required',
+                    'PORT: should be a number',
+                    'DEBUG: should be a boolean',
+                    'TARGET: "ie" is not allowed'
+                ].join('[\\s\\S]*')
+            )
+        );
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file targets/lib test
+ */
+
+const path = require('path');
+const Config = require('webpack-chain');
+const {FORMATS, getLibName, getLibChainConfig, getPackageFields} = require('../targets/lib');
+
+const cwd = '/project';
+// typescript.js 添加的类型检查插件
+class TypeCheckPlugin {}
+const api = {
+    getWebpackChainConfig: () => {
+        const config = new Config();
+        config.plugin('type-check').use(TypeCheckPlugin);
+        return config;
+    },
+    resolve: p => path.resolve(cwd, p)
+};
+
+describe('targets/lib', () => {
+    test('getLibName', () => {
+        expect(getLibName({name: '@team/san-button'}, 'src/index.js')).toBe('san-button');
+        expect(getLibName({name: 'button'}, 'src/index.js')).toBe('button');
+        expect(getLibName({}, 'src/Button.san')).toBe('Button');
+    });
+
+    test('getLibChainConfig', () => {
+        const options = {entry: 'src/Button.san', name: 'btn', targetDir: '/project/dist', mode: 'production'};
+        const configs = FORMATS.reduce((configs, format) => {
+            configs[format] = getLibChainConfig(api, {}, {...options, format}).toConfig();
+            return configs;
+        }, {});
+        expect(FORMATS).toEqual(['umd', 'commonjs', 'esm']);
+
+        expect(configs.umd.entry).toEqual({btn: ['/project/src/Button.san']});
+        expect(configs.umd.output).toMatchObject({
+            filename: 'btn.umd.js',
+            library: 'btn',
+            libraryTarget: 'umd',
+            libraryExport: 'default'
+        });
+        expect(configs.umd.externals).toEqual({san: {root: 'san', commonjs: 'san', commonjs2: 'san', amd: 'san'}});
+        expect(configs.umd.optimization.minimize).toBe(true);
+        // 按组件产出 css，文件名相对入口所在的目录
+        const componentCSS = configs.umd.plugins.find(p => p.__pluginName === 'component-css');
+        expect(componentCSS.__pluginArgs).toEqual([{context: '/project/src', dir: 'css'}]);
+        // 只在 UMD 打包时做类型检查
+        expect(configs.umd.plugins.map(p => p.__pluginName)).toContain('type-check');
+        expect(configs.commonjs.plugins).toBeUndefined();
+        expect(configs.esm.plugins.map(p => p.__pluginName)).toEqual(['esm-library']);
+
+        expect(configs.commonjs.output).toMatchObject({filename: 'btn.common.js', libraryTarget: 'commonjs2'});
+        expect(configs.commonjs.externals).toEqual(['san']);
+        expect(configs.commonjs.optimization.minimize).toBe(false);
+
+        expect(configs.esm.output).toMatchObject({filename: 'btn.mjs', libraryTarget: 'var'});
+        expect(configs.esm.output.libraryExport).toBeUndefined();
+        expect(configs.esm.plugins.map(p => p.__pluginName)).toContain('esm-library');
+    });
+
+    test('getPackageFields', () => {
+        const fields = getPackageFields({
+            name: 'btn',
+            targetDir: '/project/dist',
+            cwd,
+            pkg: {dependencies: {san: '^3.8.0'}}
+        });
+        expect(fields).toMatchObject({
+            main: './dist/btn.common.js',
+            module: './dist/btn.mjs',
+            unpkg: './dist/btn.umd.js',
+            style: './dist/btn.css',
+            peerDependencies: {san: '^3.8.0'}
+        });
+        expect(fields.exports['.']).toEqual({import: './dist/btn.mjs', require: './dist/btn.common.js'});
+        expect(fields.exports['./css/*']).toBe('./dist/css/*');
+        expect(getPackageFields({name: 'btn', targetDir: '/project/dist', cwd}).peerDependencies).toEqual({san: '*'});
+    });
+});
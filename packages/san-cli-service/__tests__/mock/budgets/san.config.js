@@ -0,0 +1,5 @@
+module.exports = {
+    budgets: {
+        initial: {js: '200 kilobytes'}
+    }
+};
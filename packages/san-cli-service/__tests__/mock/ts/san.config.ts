@@ -0,0 +1,8 @@
+import {defineConfig} from '../../../Service';
+
+type Mode = 'development' | 'production';
+
+export default defineConfig(async ({mode, command}: {mode: Mode, command: string}) => ({
+    outputDir: mode === 'production' ? 'output' : 'dist',
+    command
+}));
@@ -0,0 +1,3 @@
+import App from './App.san';
+
+new App().attach(document.getElementById('app'));
@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file sortPlugins test
+ */
+
+const sortPlugins = require('../sortPlugins');
+
+const plugin = (id, order = {}) => Object.assign({id, apply() {}}, order);
+const ids = plugins => plugins.map(p => (Array.isArray(p) ? p[0] : p).id);
+
+describe('sortPlugins', () => {
+    const builtIns = ['built-in:base', 'built-in:css', 'built-in:app'].map(id => plugin(id));
+
+    test('没有声明顺序时保持原来的顺序', () => {
+        expect(ids(sortPlugins([...builtIns, plugin('a'), plugin('b')]))).toEqual([
+            'built-in:base',
+            'built-in:css',
+            'built-in:app',
+            'a',
+            'b'
+        ]);
+    });
+
+    test('after 和 before', () => {
+        const plugins = [
+            ...builtIns,
+            [plugin('a', {after: 'b'}), {x: 1}],
+            plugin('b'),
+            plugin('c', {before: 'built-in:css'}),
+            plugin('d', {before: ['built-in:base'], after: []})
+        ];
+        expect(ids(sortPlugins(plugins))).toEqual([
+            'd',
+            'built-in:base',
+            'c',
+            'built-in:css',
+            'built-in:app',
+            'b',
+            'a'
+        ]);
+        // [plugin, options] 保持原样
+        expect(sortPlugins(plugins)[6]).toBe(plugins[3]);
+    });
+
+    test('依赖不存在', () => {
+        expect(() => sortPlugins([...builtIns, plugin('a', {after: 'built-in:ssr'})])).toThrow(
+            'Plugin `a` should run after `built-in:ssr`, but `built-in:ssr` is not found.'
+        );
+    });
+
+    test('循环依赖', () => {
+        const plugins = [plugin('a', {after: 'c'}), plugin('b', {after: 'a'}), plugin('c', {after: 'b'})];
+        expect(() => sortPlugins(plugins)).toThrow('Plugin order has a cycle: a -> c -> b -> a.');
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file targets/wc test
+ */
+
+const path = require('path');
+const {getCustomElements, genEntry} = require('../targets/wc');
+
+const cwd = path.join(__dirname, 'wc');
+
+describe('targets/wc', () => {
+    test('getCustomElements', () => {
+        expect(getCustomElements('Button.san', 'san-button', cwd)).toEqual([
+            {tagName: 'san-button', file: path.join(cwd, 'Button.san')}
+        ]);
+        expect(getCustomElements('*.san', 'ui', cwd).map(({tagName}) => tagName)).toEqual(['ui-button', 'ui-my-card']);
+        expect(getCustomElements('Button.san, MyCard.san', 'ui', cwd)).toHaveLength(2);
+        expect(() => getCustomElements('Button.san', 'button', cwd)).toThrow(/not a valid custom element name/);
+        expect(() => getCustomElements('*.js', 'ui', cwd)).toThrow(/Cannot find any \.san component/);
+    });
+
+    test('genEntry', () => {
+        const elements = getCustomElements('*.san', 'ui', cwd);
+        const entry = genEntry(elements, false);
+        expect(entry).toMatch(/^import \{defineCustomElement\} from ".+customElement\.js";/);
+        expect(entry).toContain(`import Component1 from ${JSON.stringify(path.join(cwd, 'MyCard.san'))};`);
+        expect(entry).toContain('defineCustomElement("ui-my-card", Component1);');
+
+        const asyncEntry = genEntry(elements, true);
+        expect(asyncEntry).not.toContain('import Component');
+        expect(asyncEntry).toContain(
+            `defineAsyncCustomElement("ui-button", function () { return import(/* webpackChunkName: "ui-button" */ ${
+                JSON.stringify(path.join(cwd, 'Button.san'))
+            }); });`
+        );
+    });
+});
@@ -12,7 +12,8 @@ const path = require('path');
 const fs = require('fs');
 const minify = require('html-minifier-terser').minify;
 const lMerge = require('lodash.merge');
-const {terserOptions: defaultTerserOptions, htmlMinifyOptions} = require('../options');
+const {terserOptions: defaultTerserOptions, htmlMinifyOptions, smartyOptions} = require('../options');
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 module.exports = {
     id: 'built-in:app',
     apply(api, options) {
@@ -20,11 +21,18 @@ module.exports = {
             const isProd = api.isProd();
             const outputDir = api.resolve(options.outputDir);
             const terserOptions = Object.assign(defaultTerserOptions, options.terserOptions);
+            // smarty 模式：产出 tpl 到 templateDir，js、css 插入到 head、body block 中
+            const smarty = options.templateEngine === 'smarty'
+                ? Object.assign({}, smartyOptions, options.smarty)
+                : null;
+            const templateExt = smarty ? '.tpl' : '.html';
 
             // 1. 判断 pages
             // 2. build 做的事情是判断 serve 对象
             const htmlOptions = {
                 inject: true,
+                // 默认模板中的标题，pages 中没有配置 title 时也使用它
+                title: 'San App',
                 templateParameters: (...args) => {
                     /* eslint-disable one-var */
                     let compilation, assets, assetTags, pluginOptions;
@@ -63,23 +71,38 @@ module.exports = {
                 lMerge(htmlOptions, {
                     minify: htmlMinifyOptions
                 });
+                if (smarty) {
+                    // 自定义的定界符也不压缩
+                    const [l, r] = [smarty.leftDelimiter, smarty.rightDelimiter].map(escapeRegExp);
+                    htmlOptions.minify.ignoreCustomFragments = htmlMinifyOptions.ignoreCustomFragments.concat(
+                        new RegExp(`${l}[\\s\\S]*?${r}`)
+                    );
+                }
             }
 
             // resolve HTML file(s)
             const multiPageConfig = options.pages;
             const HTMLPlugin = require('html-webpack-plugin');
             const SanHtmlPlugin = require('san-cli-webpack/lib/HTMLPlugin');
-            const htmlPath = api.resolve('public/index.html');
-            // 默认路径
-            const defaultHtmlPath = require.resolve('../template/index.html');
-            const publicCopyIgnore = ['index.html', '.DS_Store'];
+            const htmlPath = api.resolve(`public/index${templateExt}`);
+            // 默认路径，项目中的 .html 使用 html-loader 处理，默认模板使用 html-webpack-plugin 的 loader 才能输出 title
+            const defaultHtmlPath = `!!${require.resolve('html-webpack-plugin/lib/loader')}!${require.resolve(
+                '../template/index.html'
+            )}`;
+            const publicCopyIgnore = [`index${templateExt}`, '.DS_Store'];
             let useHtmlPlugin = false;
             if (!multiPageConfig) {
                 // default, single page setup.
                 htmlOptions.alwaysWriteToDisk = true;
                 htmlOptions.inject = true;
                 htmlOptions.template = fs.existsSync(htmlPath) ? htmlPath : defaultHtmlPath;
+                if (smarty) {
+                    htmlOptions.filename = ensureRelative(outputDir, path.join(smarty.templateDir, 'index.tpl'));
+                }
                 webpackConfig.plugin('html').use(HTMLPlugin, [htmlOptions]);
+                if (smarty) {
+                    webpackConfig.plugin('san-html').use(SanHtmlPlugin, [{smarty}]);
+                }
                 useHtmlPlugin = true;
             }
             else {
@@ -105,9 +128,9 @@ module.exports = {
                 pages.forEach(name => {
                     let pageConfig = normalizePageConfig(multiPageConfig[name]);
                     let {
-                        title,
+                        title = htmlOptions.title,
                         entry,
-                        template = `public/${name}.html`,
+                        template = `public/${name}${templateExt}`,
                         filename,
                         // 这里需要跟 mode 里面的 splitChunks 遥相呼应
                         chunks = [name]
@@ -124,10 +147,12 @@ module.exports = {
                             filename = path.basename(template);
                         }
                         else {
-                            filename = `${name}.html`;
+                            filename = `${name}${templateExt}`;
                         }
                     }
-                    // filename = path.join(options.templateDir, filename);
+                    if (smarty) {
+                        filename = path.join(smarty.templateDir, filename);
+                    }
                     // resolve page index template
                     const hasDedicatedTemplate = fs.existsSync(api.resolve(template));
                     if (hasDedicatedTemplate) {
@@ -139,13 +164,17 @@ module.exports = {
                             ? htmlPath
                             : defaultHtmlPath;
 
+                    // pageGroups 使用的配置，不需要传给 html-webpack-plugin
+                    /* eslint-disable no-unused-vars */
+                    const {publicPath, outputDir: pageOutputDir, splitChunks, ...pageHtmlConfig} = pageConfig;
+                    /* eslint-enable no-unused-vars */
                     // inject html plugin for the page
                     const pageHtmlOptions = Object.assign(
                         {
                             alwaysWriteToDisk: true
                         },
                         htmlOptions,
-                        pageConfig,
+                        pageHtmlConfig,
                         {
                             chunks,
                             entry: name,
@@ -156,7 +185,7 @@ module.exports = {
                         }
                     );
                     webpackConfig.plugin(`html-${name}`).use(HTMLPlugin, [pageHtmlOptions]);
-                    webpackConfig.plugin(`san-html-${name}`).use(SanHtmlPlugin);
+                    webpackConfig.plugin(`san-html-${name}`).use(SanHtmlPlugin, [{smarty}]);
                 });
                 useHtmlPlugin = true;
             }
@@ -238,6 +267,25 @@ module.exports = {
             if (copyArgs.length) {
                 webpackConfig.plugin('copy-webpack-plugin').use(require('copy-webpack-plugin'), [{patterns: copyArgs}]);
             }
+            // html 中的 script、link 标签加上 integrity 和 CSP nonce，需要在 html 插件之后添加
+            if (useHtmlPlugin && (options.sri || options.cspNonce)) {
+                webpackConfig
+                    .plugin('html-security')
+                    .use(require('san-cli-webpack/lib/HTMLSecurityPlugin'), [
+                        {sri: options.sri, nonce: options.cspNonce}
+                    ]);
+            }
+            // 资源 manifest，记录带 hash 的资源地址和 integrity
+            if (options.assetManifest) {
+                const {assetManifest} = options;
+                webpackConfig
+                    .plugin('asset-manifest')
+                    .use(require('san-cli-webpack/lib/AssetManifestPlugin'), [
+                        typeof assetManifest === 'string'
+                            ? {filename: assetManifest}
+                            : typeof assetManifest === 'object' ? assetManifest : {}
+                    ]);
+            }
         });
     }
 };
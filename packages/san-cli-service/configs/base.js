@@ -21,8 +21,6 @@ module.exports = {
     apply(api, projectOptions) {
         api.chainWebpack(webpackConfig => {
             const isProd = api.isProd();
-            // 是 modern 模式，但不是 modern 打包，那么 js 加上 legacy
-            const isLegacyBundle = process.env.SAN_CLI_LEGACY_BUILD;
             // set mode
             webpackConfig.mode(isProd ? 'production' : 'development').context(api.service.cwd);
             // set output
@@ -31,9 +29,7 @@ module.exports = {
                 .path(api.resolve(projectOptions.outputDir))
                 // 留个小彩蛋吧~
                 .jsonpFunction(projectOptions.jsonpFunction || 'HK3')
-                /* eslint-disable max-len */
-                .filename((isLegacyBundle ? '[name]-legacy' : '[name]') + `${projectOptions.filenameHashing ? '.[contenthash:8]' : ''}.js`)
-                /* eslint-enable max-len */
+                .filename(`[name]${projectOptions.filenameHashing ? '.[contenthash:8]' : ''}.js`)
                 .publicPath(projectOptions.publicPath);
 
             // prettier-ignore
@@ -42,7 +38,7 @@ module.exports = {
                 .resolve
                     .set('symlinks', false)
                     // 默认加上 less 吧，less 内部用的最多
-                    .extensions.merge(['.js', '.css', '.less', '.san'])
+                    .extensions.merge(['.js', '.ts', '.css', '.less', '.san'])
                     .end()
                 .plugin('pnp')
                     .use({...require('pnp-webpack-plugin')})
@@ -121,13 +117,68 @@ module.exports = {
                         .end();
                 });
             }
+            // 开启 cache 时，cache-loader 放在最前面缓存 .san 文件的编译结果
+            const cacheLoaders = projectOptions.cache ? ['cache'] : [];
             if (!isProd) {
-                setLoader('san', /\.san$/, ['hmr', 'san']);
+                setLoader('san', /\.san$/, [...cacheLoaders, 'hmr', 'san']);
                 setLoader('js', /\.m?js?$/, ['hmr']);
+                setLoader('ts', /\.ts$/, ['hmr']);
             }
             else {
-                setLoader('san', /\.san$/, ['san']);
+                setLoader('san', /\.san$/, [...cacheLoaders, 'san']);
             }
+            // webpack 5 直接使用内置的文件系统缓存
+            if (projectOptions.cache && parseInt(require('webpack/package.json').version, 10) >= 5) {
+                const {cacheDirectory, cacheIdentifier} = api.genCacheConfig('webpack');
+                webpackConfig.set('cache', {
+                    type: 'filesystem',
+                    cacheDirectory,
+                    version: cacheIdentifier,
+                    buildDependencies: {
+                        config: [__filename].concat(api.service.configFilePath || [])
+                    }
+                });
+            }
+            // lintOnSave：js 和 .san 的 script 代码块在编译前先经过 eslint 检查
+            if (projectOptions.lintOnSave) {
+                const lintError = projectOptions.lintOnSave === 'error';
+                const {loader, options} = require('./loaders/eslint')(
+                    Object.assign({}, loaderOptions.eslint, {
+                        emitWarning: !lintError,
+                        emitError: lintError,
+                        failOnError: lintError
+                    }),
+                    projectOptions,
+                    api
+                );
+                // prettier-ignore
+                /* eslint-disable */
+                webpackConfig.module
+                    .rule('eslint')
+                        .test(/\.(m?js|san)$/)
+                        .pre()
+                        .exclude
+                            .add(/node_modules/)
+                            .end()
+                        // san-loader 拆出来的代码块请求（x.san?san&type=script）不检查，避免重复
+                        .oneOf('san-block')
+                            .resourceQuery(/[?&]san\b/)
+                            .end()
+                        // .san 文件取出 script 代码块检查，行号对应原文件
+                        .oneOf('san')
+                            .test(/\.san$/)
+                            .use('san-eslint-loader')
+                                .loader(require.resolve('san-cli-webpack/lib/sanEslintLoader'))
+                                .options(options)
+                                .end()
+                            .end()
+                        .oneOf('js')
+                            .use('eslint-loader')
+                                .loader(loader)
+                                .options(options);
+                /* eslint-enable */
+            }
+
             setLoader('ejs', /\.ejs$/, 'ejs');
             setLoader('html', /\.html?$/, 'html');
             setLoader('svg', /\.svg(\?.*)?$/, 'svg', {
@@ -166,12 +217,22 @@ module.exports = {
                     PRODUCTION: JSON.stringify(isProd),
                     BASE_URL: JSON.stringify(projectOptions.publicPath)
                 };
+                // san.config.js 中 env 配置过的变量，使用转换类型后的值
+                const {values: envValues, client: clientEnv} = api.service.env;
                 // 这里把var 变量名拆出来
                 const re = /^SAN_VAR_([\w\d\_]+)$/;
                 Object.keys(process.env).forEach(key => {
-                    if (re.test(key)) {
+                    if (re.test(key) && (!envValues.hasOwnProperty(key) || clientEnv.hasOwnProperty(key))) {
                         const name = re.exec(key)[1];
-                        vars[name] = JSON.stringify(process.env[key]);
+                        vars[name] = JSON.stringify(
+                            clientEnv.hasOwnProperty(key) ? clientEnv[key] : process.env[key]
+                        );
+                    }
+                });
+                // 其他配置了 client 的变量，使用 process.env.XXX 访问
+                Object.keys(clientEnv).forEach(key => {
+                    if (!re.test(key)) {
+                        vars[`process.env.${key}`] = JSON.stringify(clientEnv[key]);
                     }
                 });
                 return vars;
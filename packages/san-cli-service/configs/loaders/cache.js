@@ -0,0 +1,22 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file cache-loader，开启 cache 后缓存 san-loader 的编译结果
+ * @author ksky521
+ */
+
+const factory = require('./loaderFactory');
+module.exports = factory((options, projectOptions, api) => ({
+    name: 'cache-loader',
+    loader: require.resolve('cache-loader'),
+    options: Object.assign(
+        api.genCacheConfig('san-loader', {
+            'cache-loader': require('cache-loader/package.json').version,
+            'san-loader': require('san-loader/package.json').version
+        }),
+        options
+    )
+}));
@@ -14,30 +14,33 @@ module.exports = factory(
     options => {
         return {
             name: 'eslint',
-            loader: 'eslint-loader',
+            loader: require.resolve('eslint-loader'),
             options
         };
     },
     {
-        root: true,
-        env: {browser: true, es6: true, node: true, worker: true, commonjs: true},
-        parser: 'babel-eslint',
-        parserOptions: {
-            allowImportExportEverywhere: true,
-            sourceType: 'module'
-        },
-        rules: {
-            'no-console': 2,
-            'no-debugger': 2,
-            'no-alert': 2,
-            'no-unused-vars': 2,
-            'no-undef': 2
+        // 作为基础配置，项目中的 .eslintrc 优先级更高
+        baseConfig: {
+            root: true,
+            env: {browser: true, es6: true, node: true, worker: true, commonjs: true},
+            parser: require.resolve('babel-eslint'),
+            parserOptions: {
+                allowImportExportEverywhere: true,
+                sourceType: 'module'
+            },
+            rules: {
+                'no-console': 2,
+                'no-debugger': 2,
+                'no-alert': 2,
+                'no-unused-vars': 2,
+                'no-undef': 2
+            }
         },
         // configFile: false,
         cache: false,
-        emitError: 'error',
+        emitError: true,
         failOnError: true,
         eslintPath: require.resolve('eslint'),
-        formatter: require('eslint/lib/formatters/codeframe')
+        formatter: require('eslint').CLIEngine.getFormatter('codeframe')
     }
 );
@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file serve 时的 mock 数据
+ * @author ksky521
+ */
+
+const {mockOptions} = require('../options');
+module.exports = {
+    id: 'built-in:mock',
+    apply(api, options) {
+        const mock = options.mock;
+        if (!mock) {
+            return;
+        }
+        // mock: 'mock' 简写为目录
+        const {dir, delay, watch} = Object.assign(
+            {},
+            mockOptions,
+            typeof mock === 'string' ? {dir: mock} : mock === true ? {} : mock
+        );
+        // 通过 devServerMiddlewares 挂到 devServer.before，在 devServer.proxy 之前执行
+        api.middleware(() =>
+            require('san-cli-webpack/lib/mockMiddleware')({
+                dir: api.resolve(dir),
+                delay,
+                watch
+            })
+        );
+    }
+};
@@ -22,12 +22,10 @@ module.exports = {
             }
 
             const {assetsDir, splitChunks, terserOptions = {}} = options;
-            // 是 modern 模式，但不是 modern 打包，那么 js 加上 legacy
-            const isLegacyBundle = parseInt(process.env.SAN_CLI_LEGACY_BUILD, 10) === 1;
             // sourcemap
             const filename = getAssetPath(
                 assetsDir,
-                `js/[name]${isLegacyBundle ? '-legacy' : ''}${options.filenameHashing ? '.[hash:8]' : ''}.js`
+                `js/[name]${options.filenameHashing ? '.[contenthash:8]' : ''}.js`
             );
             // 条件判断sourcemap是否开启，san.config.js传入
             let ifSourcemap = false;
@@ -117,12 +115,19 @@ module.exports = {
             if (splitChunks) {
                 webpackConfig.optimization.splitChunks(splitChunks);
             }
+            // 开启 cache 时缓存放到统一的缓存目录，跟随 cache key 失效
+            const cacheConfig = api.genCacheConfig('terser-webpack-plugin', {
+                'terser-webpack-plugin': require('terser-webpack-plugin/package.json').version,
+                terserOptions
+            });
             webpackConfig.optimization.minimizer('js').use(
                 new TerserPlugin({
                     extractComments: false,
                     sourceMap: ifSourcemap,
                     parallel: true,
-                    cache: true,
+                    cache: cacheConfig ? cacheConfig.cacheDirectory : true,
+                    cacheKeys: defaultCacheKeys =>
+                        Object.assign(defaultCacheKeys, cacheConfig ? {san: cacheConfig.cacheIdentifier} : {}),
                     terserOptions: Object.assign(defaultTerserOptions, terserOptions)
                 })
             );
@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file smarty 模板：产出 FIS 格式的资源表，serve 时使用 mock 数据渲染 tpl
+ * @author ksky521
+ */
+
+const {smartyOptions, cacheOptions} = require('../options');
+module.exports = {
+    id: 'built-in:smarty',
+    apply(api, options) {
+        if (options.templateEngine !== 'smarty') {
+            return;
+        }
+        const smarty = Object.assign({}, smartyOptions, options.smarty);
+        if (smarty.resourceMap) {
+            api.chainWebpack(webpackConfig => {
+                webpackConfig
+                    .plugin('smarty-resource-map')
+                    .use(require('san-cli-webpack/lib/SmartyResourceMapPlugin'), [
+                        {
+                            filename: smarty.resourceMap,
+                            namespace: smarty.namespace,
+                            templateDir: smarty.templateDir
+                        }
+                    ]);
+            });
+        }
+        api.middleware(() => {
+            const path = require('path');
+            const outputDir = api.resolve(options.outputDir);
+            const cacheDirectory = (options.cache && options.cache.cacheDirectory) || cacheOptions.cacheDirectory;
+            return require('san-cli-webpack/lib/smartyMiddleware')({
+                router: smarty.router,
+                templateDir: path.join(outputDir, smarty.templateDir),
+                dataDir: api.resolve(smarty.dataDir),
+                render: smarty.render,
+                bin: smarty.bin,
+                smartyDir: smarty.smartyDir,
+                pluginsDir: smarty.pluginsDir,
+                leftDelimiter: smarty.leftDelimiter,
+                rightDelimiter: smarty.rightDelimiter,
+                compileDir: api.resolve(path.join(cacheDirectory, 'smarty')),
+                cwd: api.getCwd()
+            });
+        });
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 服务端渲染：客户端产出 client manifest，serve 时使用服务端打包渲染页面
+ * @author ksky521
+ */
+
+module.exports = {
+    id: 'built-in:ssr',
+    apply(api, options) {
+        api.chainWebpack(webpackConfig => {
+            // build --target ssr 会在 init 之后设置 options.ssr，所以这里不能提前判断
+            if (options.ssr) {
+                webpackConfig.plugin('ssr-client').use(require('san-cli-webpack/lib/SSRClientPlugin'));
+            }
+        });
+        if (!options.ssr) {
+            return;
+        }
+        api.middleware(() => {
+            const webpack = require('webpack');
+            const {getServerEntries, getServerChainConfig} = require('../targets/ssr');
+            const serverConfig = api.getWebpackConfig(getServerChainConfig(api, options));
+            // html-webpack-plugin 产出的文件名，用作渲染的模板
+            const templates = {};
+            const pages = options.pages || {};
+            Object.keys(getServerEntries(options.ssr)).forEach(name => {
+                const page = pages[name];
+                templates[name] = (page && typeof page === 'object' && !Array.isArray(page) && page.filename)
+                    || `${name}.html`;
+            });
+            return require('san-cli-webpack/lib/ssrMiddleware')({
+                compiler: webpack(serverConfig),
+                templateDir: api.resolve(options.outputDir),
+                templates,
+                cwd: api.getCwd()
+            });
+        });
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file TypeScript：没有 tsconfig 时生成一份，编译时在子进程中做类型检查
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {info} = require('san-cli-utils/ttyLogger');
+const {textColor} = require('san-cli-utils/randomColor');
+
+module.exports = {
+    id: 'built-in:typescript',
+    apply(api, options) {
+        // .ts 文件的编译在 san-cli-plugin-babel 中，这里只处理类型检查
+        if (!options.typescript) {
+            return;
+        }
+        const {typeCheck, tsconfig} = options.typescript;
+        const tsconfigPath = api.resolve(tsconfig);
+        if (!fs.existsSync(tsconfigPath)) {
+            fs.writeFileSync(tsconfigPath, fs.readFileSync(path.join(__dirname, '../template/tsconfig.json')));
+            info(`Generated ${textColor(tsconfig)} for TypeScript.`);
+        }
+        if (!typeCheck) {
+            return;
+        }
+        api.chainWebpack(webpackConfig => {
+            webpackConfig.plugin('type-check').use(require('san-cli-webpack/lib/TypeCheckPlugin'), [
+                {
+                    tsconfig: tsconfigPath,
+                    cwd: api.getCwd()
+                }
+            ]);
+        });
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file pages 为 'auto' 或者 glob 时，按照目录约定查找页面
+ * @author ksky521
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const globby = require('globby');
+const SError = require('san-cli-utils/SError');
+
+// src/pages/[name]/main.js，没有 main.js 时使用 main.ts 或者 index.san
+const AUTO_PATTERN = 'src/pages/*/{main.js,main.ts,index.san}';
+const ENTRY_PRIORITY = ['main.js', 'main.ts', 'index.san'];
+// 页面目录下的配置，会覆盖约定的 entry、template、filename、title 等
+const PAGE_CONFIG = 'page.json';
+
+const toPosix = file => file.split(path.sep).join('/');
+const getPriority = file => {
+    const index = ENTRY_PRIORITY.indexOf(path.basename(file));
+    return index === -1 ? ENTRY_PRIORITY.length : index;
+};
+
+/**
+ * glob 中第一个特殊字符之前的目录，页面名是入口所在目录相对这个目录的路径
+ *
+ * @param {string} pattern 'auto' 或者匹配页面入口的 glob
+ * @return {string} 例如 src/pages
+ */
+function getBaseDir(pattern) {
+    const segments = (pattern === 'auto' ? AUTO_PATTERN : pattern).split('/');
+    const index = segments.findIndex(segment => /[*?{}[\]()!]/.test(segment));
+    return segments.slice(0, index === -1 ? segments.length - 1 : index).join('/') || '.';
+}
+
+// 只有 index.san 的页面，生成挂载组件的入口文件
+function writeSanEntry(name, component, cacheDir) {
+    const file = path.join(cacheDir, 'pages', `${name}.js`);
+    const content = [
+        `import App from ${JSON.stringify(component)};`,
+        '',
+        'new App().attach(document.getElementById(\'app\') || document.body);',
+        ''
+    ].join('\n');
+    // 内容不变时不写，避免 serve 时触发重新编译
+    if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== content) {
+        fs.outputFileSync(file, content);
+    }
+    return file;
+}
+
+/**
+ * 查找页面，返回跟 san.config.js 中 pages 相同格式的配置
+ * src/pages/about/main.js → {about: {entry, template: src/pages/about/index.html, filename: about.html, title: about}}
+ *
+ * @param {string} pattern 'auto' 或者匹配页面入口的 glob
+ * @param {Object} options 参数
+ * @param {string} options.cwd 项目根目录
+ * @param {string} [options.templateExt] 页面模板的扩展名，smarty 时是 .tpl
+ * @param {string} options.cacheDir 生成的入口文件的存放目录
+ * @return {Object} {name: pageConfig}
+ */
+function discoverPages(pattern, {cwd, templateExt = '.html', cacheDir}) {
+    const glob = pattern === 'auto' ? AUTO_PATTERN : pattern;
+    const baseDir = path.resolve(cwd, getBaseDir(pattern));
+    // 目录不存在时 globby 会报错
+    const files = fs.existsSync(baseDir)
+        ? globby
+            .sync(glob, {cwd, absolute: true, ignore: ['**/node_modules/**']})
+            .map(path.normalize)
+            .sort()
+        : [];
+    if (!files.length) {
+        throw new SError(`No pages found by \`${glob}\`.`);
+    }
+
+    // 同一个目录中有多个入口时，按照 main.js、main.ts、index.san 的顺序使用第一个
+    const entries = {};
+    files.forEach(file => {
+        const dir = path.dirname(file);
+        const name = toPosix(path.relative(baseDir, dir)) || path.basename(file, path.extname(file));
+        if (!entries[name] || getPriority(file) < getPriority(entries[name])) {
+            entries[name] = file;
+        }
+    });
+
+    const pages = {};
+    Object.keys(entries)
+        .sort()
+        .forEach(name => {
+            const entry = entries[name];
+            const dir = path.dirname(entry);
+            // 没有模板时使用 configs/app.js 的默认模板
+            const page = {entry, filename: `${name}${templateExt}`, title: name};
+            const template = path.join(dir, `index${templateExt}`);
+            if (fs.existsSync(template)) {
+                page.template = template;
+            }
+            const configFile = path.join(dir, PAGE_CONFIG);
+            if (fs.existsSync(configFile)) {
+                let config;
+                try {
+                    config = fs.readJsonSync(configFile);
+                }
+                catch (e) {
+                    throw new SError(`${path.relative(cwd, configFile)}: ${e.message}`);
+                }
+                // 相对于页面目录
+                if (config.entry) {
+                    config.entry = Array.isArray(config.entry)
+                        ? config.entry.map(file => path.resolve(dir, file))
+                        : path.resolve(dir, config.entry);
+                }
+                if (config.template) {
+                    config.template = path.resolve(dir, config.template);
+                }
+                Object.assign(page, config);
+            }
+            if (typeof page.entry === 'string' && path.extname(page.entry) === '.san') {
+                page.entry = writeSanEntry(name, page.entry, cacheDir);
+            }
+            pages[name] = page;
+        });
+    return pages;
+}
+
+module.exports = discoverPages;
+module.exports.getBaseDir = getBaseDir;
+module.exports.AUTO_PATTERN = AUTO_PATTERN;
@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 按照 san.config.js 中的 env 配置校验环境变量，并转换成对应的类型
+ * @author ksky521
+ */
+
+const SError = require('san-cli-utils/SError');
+
+const TYPES = ['string', 'number', 'boolean'];
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off', ''];
+
+// 'number' 简写成 {type: 'number'}
+const normalizeRule = (rule, key) => {
+    rule = typeof rule === 'string' ? {type: rule} : Object.assign({}, rule);
+    rule.type = rule.type || 'string';
+    if (rule.client === undefined) {
+        // 兼容之前的逻辑：SAN_VAR_* 默认会注入到前端代码中
+        rule.client = /^SAN_VAR_/.test(key);
+    }
+    return rule;
+};
+
+function coerce(value, type) {
+    switch (type) {
+        case 'number': {
+            const num = Number(value);
+            if (value.trim() === '' || isNaN(num)) {
+                throw new Error(`should be a number, got ${JSON.stringify(value)}`);
+            }
+            return num;
+        }
+        case 'boolean': {
+            const v = value.trim().toLowerCase();
+            if (TRUE_VALUES.includes(v)) {
+                return true;
+            }
+            if (FALSE_VALUES.includes(v)) {
+                return false;
+            }
+            throw new Error(`should be a boolean, got ${JSON.stringify(value)}`);
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * 校验环境变量
+ *
+ * @param {Object} schema san.config.js 中的 env，例如 {API_URL: {type: 'string', required: true}}
+ * @param {Object} env 环境变量，默认是 process.env，使用 default 的值会写回到 env 中
+ * @return {Object} {values, client}，values 为转换类型后的值，client 为需要注入前端代码的值
+ */
+module.exports = function validateEnv(schema = {}, env = process.env) {
+    const values = {};
+    const client = {};
+    const errors = [];
+    Object.keys(schema).forEach(key => {
+        const rule = normalizeRule(schema[key], key);
+        if (!TYPES.includes(rule.type)) {
+            errors.push(`${key}: unknown type \`${rule.type}\`, expected one of ${TYPES.join(', ')}`);
+            return;
+        }
+
+        // 没有设置时使用 default，default 跟环境变量一样转换类型并校验
+        let raw = env[key];
+        const useDefault = raw === undefined && rule.default !== undefined;
+        if (useDefault) {
+            raw = String(rule.default);
+        }
+        else if (raw === undefined) {
+            if (rule.required) {
+                errors.push(`${key}: is required but not set`);
+            }
+            return;
+        }
+
+        let value;
+        try {
+            value = coerce(raw, rule.type);
+        }
+        catch (e) {
+            errors.push(`${key}: ${useDefault ? 'default ' : ''}${e.message}`);
+            return;
+        }
+
+        if (Array.isArray(rule.allowed) && !rule.allowed.includes(value)) {
+            errors.push(
+                `${key}: ${JSON.stringify(value)} is not allowed, expected one of ${rule.allowed
+                    .map(v => JSON.stringify(v))
+                    .join(', ')}`
+            );
+            return;
+        }
+        if (useDefault) {
+            env[key] = raw;
+        }
+        values[key] = value;
+        if (rule.client) {
+            client[key] = value;
+        }
+    });
+
+    if (errors.length) {
+        throw new SError(
+            `Invalid environment variables, check your .env files or process.env:\n${errors
+                .map(e => `  - ${e}`)
+                .join('\n')}`,
+            'EnvError'
+        );
+    }
+    return {values, client};
+};
@@ -0,0 +1,219 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file san.config 的类型定义，跟 options.js 中的 schema 保持一致
+ * @author ksky521
+ */
+
+import ChainConfig = require('webpack-chain');
+
+type StringOrArray = string | string[];
+
+interface CopyOptions {
+    from?: string;
+    to?: string;
+    compress?: boolean;
+    ignore?: string | RegExp;
+    [key: string]: any;
+}
+
+interface PageOptions {
+    entry: StringOrArray;
+    chunks?: StringOrArray;
+    // 下面三项只在 pageGroups 打包时生效
+    publicPath?: string;
+    outputDir?: string;
+    splitChunks?: Record<string, any>;
+    [key: string]: any;
+}
+
+type IntegrityAlgorithm = 'sha256' | 'sha384' | 'sha512';
+
+type EnvType = 'string' | 'number' | 'boolean';
+
+interface EnvOptions {
+    type?: EnvType;
+    required?: boolean;
+    default?: string | number | boolean;
+    allowed?: Array<string | number | boolean>;
+    // 是否注入到前端代码中
+    client?: boolean;
+    description?: string;
+}
+
+interface DeployFile {
+    file: string;
+    remote: string;
+    content: Buffer;
+    hash: string;
+}
+
+interface DeployTransport {
+    id: string;
+    upload(file: DeployFile): Promise<void>;
+    // 读取远程文件的 md5，不支持时使用本地记录的 hash
+    getHash?(remote: string): Promise<string | null>;
+    close?(): void | Promise<void>;
+}
+
+interface DeployTarget {
+    transport?: 'http' | 'fsr' | 'local' | 'sftp' | 's3' | string | ((options: any) => DeployTransport);
+    to?: string | Record<string, string>;
+    include?: StringOrArray;
+    exclude?: StringOrArray;
+    replace?: {
+        from: string | RegExp;
+        to: string;
+    };
+    onlyChanged?: boolean;
+    concurrency?: number;
+    retry?: number;
+    [key: string]: any;
+}
+
+interface SmartyRenderContext {
+    templateDir: string;
+    template: string;
+    data: Record<string, any>;
+    req: any;
+}
+
+interface SmartyOptions {
+    headBlock?: string;
+    bodyBlock?: string;
+    leftDelimiter?: string;
+    rightDelimiter?: string;
+    templateDir?: string;
+    resourceMap?: string | false;
+    namespace?: string;
+    router?: string;
+    dataDir?: string;
+    bin?: string;
+    smartyDir?: string;
+    pluginsDir?: StringOrArray;
+    render?: (context: SmartyRenderContext) => string | Promise<string>;
+}
+
+interface ServicePlugin {
+    id: string;
+    apply(api: any, projectOptions: ProjectOptions, options: any): void;
+    schema?: any;
+    after?: StringOrArray;
+    before?: StringOrArray;
+    [key: string]: any;
+}
+
+export interface ProjectOptions {
+    jsonpFunction?: string;
+    transpileDependencies?: Array<string | RegExp>;
+    copy?: CopyOptions | CopyOptions[];
+    plugins?: Array<string | ServicePlugin | [string | ServicePlugin, any]>;
+    publicPath?: string;
+    outputDir?: string;
+    assetsDir?: string;
+    // 'auto' 或者 glob 时按照目录约定查找页面
+    pages?: 'auto' | string | Record<string, string | string[] | PageOptions>;
+    pageGroups?: boolean | number | Record<string, string[]>;
+    polyfill?: boolean;
+    terserOptions?: Record<string, any>;
+    sourceMap?: boolean | string;
+    filenameHashing?: boolean;
+    largeAssetSize?: number;
+    assetManifest?:
+        | boolean
+        | string
+        | {
+              filename?: string;
+              integrity?: false | IntegrityAlgorithm | IntegrityAlgorithm[];
+          };
+    sri?: boolean | IntegrityAlgorithm | IntegrityAlgorithm[];
+    cspNonce?: boolean | string;
+    budgets?: {
+        compression?: 'gzip' | 'brotli' | 'none';
+        entries?: Record<string, number | string>;
+        assets?: Record<string, number | string>;
+        initial?: {
+            js?: number | string;
+            css?: number | string;
+        };
+        report?: string | false;
+    };
+    env?: Record<string, EnvType | EnvOptions>;
+    lintOnSave?: boolean | 'warning' | 'error';
+    mock?:
+        | boolean
+        | string
+        | {
+              dir?: string;
+              delay?: number;
+              watch?: boolean;
+          };
+    cache?:
+        | boolean
+        | {
+              cacheDirectory?: string;
+          };
+    typescript?:
+        | boolean
+        | {
+              typeCheck?: boolean;
+              tsconfig?: string;
+          };
+    browserTargets?: Record<
+        string,
+        | string
+        | string[]
+        | {
+              browsers?: string | string[];
+              module?: boolean;
+          }
+    >;
+    deploy?: Record<string, DeployTarget>;
+    templateEngine?: 'html' | 'smarty';
+    smarty?: SmartyOptions;
+    ssr?:
+        | boolean
+        | {
+              entry?: string | Record<string, string>;
+              outputDir?: string;
+              nodeExternals?: boolean;
+          };
+    css?: {
+        cssnanoOptions?: Record<string, any>;
+        cssPreprocessor?: 'less' | 'sass' | 'stylus';
+        extract?: boolean;
+        sourceMap?: boolean;
+        requireModuleExtension?: boolean;
+        loaderOptions?: {
+            css?: Record<string, any>;
+            sass?: Record<string, any>;
+            less?: Record<string, any>;
+            stylus?: Record<string, any>;
+            postcss?: Record<string, any>;
+        };
+    };
+    alias?: Record<string, string>;
+    loaderOptions?: Record<string, any>;
+    splitChunks?: Record<string, any>;
+    chainWebpack?: (config: ChainConfig) => void;
+    configWebpack?: Record<string, any> | ((config: Record<string, any>) => Record<string, any> | void);
+    devServer?: {
+        port?: number;
+        [key: string]: any;
+    };
+    // 为了方便自定义扩展
+    [key: string]: any;
+}
+
+export interface ConfigContext {
+    mode: string;
+    command: string;
+}
+
+export type ConfigFn = (context: ConfigContext) => ProjectOptions | Promise<ProjectOptions>;
+
+export function defineConfig(config: ProjectOptions): ProjectOptions;
+export function defineConfig(config: ConfigFn): ConfigFn;
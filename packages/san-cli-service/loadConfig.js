@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 加载 san.config 配置文件，支持 .js、.ts、.mjs 和导出函数的配置
+ * @author ksky521
+ */
+
+const path = require('path');
+const fs = require('fs');
+const NativeModule = require('module');
+const SError = require('san-cli-utils/SError');
+
+// 默认查找的配置文件，按顺序优先
+const CONFIG_FILES = ['san.config.js', 'san.config.ts', 'san.config.mjs', '.san.config.js'];
+
+// .ts 和 .mjs 使用 babel 转成 commonjs 之后执行
+function compile(filepath) {
+    const babel = require('@babel/core');
+    const isTS = path.extname(filepath) === '.ts';
+    const {code} = babel.transformSync(fs.readFileSync(filepath, 'utf-8'), {
+        filename: filepath,
+        babelrc: false,
+        configFile: false,
+        sourceMaps: 'inline',
+        presets: isTS ? [require.resolve('@babel/preset-typescript')] : [],
+        plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')]
+    });
+    const m = new NativeModule(filepath, module);
+    m.filename = filepath;
+    m.paths = NativeModule._nodeModulePaths(path.dirname(filepath));
+    // 跟 require 一样放到缓存中，方便查找配置文件引用的模块
+    require.cache[filepath] = m;
+    m._compile(code, filepath);
+    return m.exports;
+}
+
+/**
+ * 加载配置文件，配置可以是对象或者返回对象（Promise）的函数
+ *
+ * @param {string} filepath 配置文件的绝对路径
+ * @param {Object} context 传给配置函数的参数
+ * @param {string} context.mode 当前的 mode
+ * @param {string} context.command 当前执行的命令，例如 build、serve
+ * @return {Promise<Object>} 配置
+ */
+async function loadConfig(filepath, {mode, command} = {}) {
+    let exported;
+    try {
+        exported = /\.(ts|mjs)$/.test(filepath) ? compile(filepath) : require(filepath);
+    }
+    catch (e) {
+        throw new SError(`Failed to load config file \`${filepath}\`: ${e.message}`);
+    }
+    // export default 导出的配置
+    let config = exported && exported.__esModule ? exported.default : exported;
+    if (typeof config === 'function') {
+        config = await config({mode, command});
+    }
+    return config;
+}
+
+module.exports = loadConfig;
+module.exports.CONFIG_FILES = CONFIG_FILES;
@@ -9,6 +9,16 @@
  */
 
 const joi = require('@hapi/joi');
+const SError = require('san-cli-utils/SError');
+
+// 体积预算的大小：字节数或者带单位的字符串，跟 san-cli-webpack/lib/budgets 的 parseSize 一致
+const budgetSize = joi.alternatives().try(
+    joi.number(),
+    joi
+        .string()
+        .pattern(/^\d+(\.\d+)?\s*(b|kb|kib|mb|mib)?$/i)
+        .message('"{{#label}}" must be bytes or a string like `200kb`')
+);
 
 const schema = joi
     .object({
@@ -42,8 +52,8 @@ const schema = joi
         publicPath: joi.string().allow(''),
         outputDir: joi.string(),
         assetsDir: joi.string().allow(''),
-        // 多页配置
-        pages: joi.object().pattern(
+        // 多页配置，'auto' 或者 glob 时按照目录约定查找页面
+        pages: joi.alternatives().try(joi.string(), joi.object().pattern(
             /\w+/,
             joi.alternatives().try(
                 joi.string().required(),
@@ -57,17 +67,159 @@ const schema = joi
                             .required(),
                         chunks: joi
                             .alternatives()
-                            .try(joi.string().required(), joi.array().items(joi.string().required()))
+                            .try(joi.string().required(), joi.array().items(joi.string().required())),
+                        // 下面三项只在 pageGroups 打包时生效
+                        publicPath: joi.string().allow(''),
+                        outputDir: joi.string(),
+                        splitChunks: joi.object()
                     })
                     .unknown(true)
             )
-        ),
+        )),
+        // pages 分组打包：true 每个 page 一组，number 每组 page 数，object 手动分组
+        pageGroups: joi
+            .alternatives()
+            .try(
+                joi.boolean(),
+                joi.number().integer().min(1),
+                joi.object().pattern(/\w+/, joi.array().items(joi.string().required()))
+            ),
         // 生产环境优化相关
         polyfill: joi.boolean(),
         terserOptions: joi.object(),
         sourceMap: joi.alternatives().try(joi.boolean(), joi.string()),
         filenameHashing: joi.boolean(),
         largeAssetSize: joi.number(),
+        // 资源 manifest，字符串为文件名
+        assetManifest: joi.alternatives().try(
+            joi.boolean(),
+            joi.string(),
+            joi.object({
+                filename: joi.string(),
+                integrity: joi.alternatives().try(
+                    joi.boolean().valid(false),
+                    joi.string().valid('sha256', 'sha384', 'sha512'),
+                    joi.array().items(joi.string().valid('sha256', 'sha384', 'sha512'))
+                )
+            })
+        ),
+        // html 中的 script、link 标签加上 integrity
+        sri: joi.alternatives().try(
+            joi.boolean(),
+            joi.string().valid('sha256', 'sha384', 'sha512'),
+            joi.array().items(joi.string().valid('sha256', 'sha384', 'sha512'))
+        ),
+        // CSP nonce 的占位符，true 时使用 __CSP_NONCE__
+        cspNonce: joi.alternatives().try(joi.boolean(), joi.string()),
+        // 体积预算，超出时 san build 失败
+        budgets: joi.object({
+            compression: joi.string().valid('gzip', 'brotli', 'none'),
+            entries: joi.object().pattern(/./, budgetSize),
+            assets: joi.object().pattern(/./, budgetSize),
+            initial: joi.object({
+                js: budgetSize,
+                css: budgetSize
+            }),
+            report: joi.alternatives().try(joi.string(), joi.boolean().valid(false))
+        }),
+        // 环境变量的类型和校验规则
+        env: joi.object().pattern(
+            joi.string(),
+            joi.alternatives().try(
+                joi.string().valid('string', 'number', 'boolean'),
+                joi.object({
+                    type: joi.string().valid('string', 'number', 'boolean'),
+                    required: joi.boolean(),
+                    default: joi.alternatives().try(joi.string(), joi.number(), joi.boolean()),
+                    allowed: joi.array().items(joi.string(), joi.number(), joi.boolean()),
+                    // 是否注入到前端代码中
+                    client: joi.boolean(),
+                    description: joi.string()
+                })
+            )
+        ),
+        // 编译时使用 eslint 检查代码，true 等同于 warning
+        lintOnSave: joi.alternatives().try(joi.boolean(), joi.string().valid('warning', 'error')),
+        // serve 时的 mock 数据
+        mock: joi.alternatives().try(
+            joi.boolean(),
+            joi.string(),
+            joi.object({
+                dir: joi.string(),
+                delay: joi.number(),
+                watch: joi.boolean()
+            })
+        ),
+        // 持久化缓存
+        cache: joi.alternatives().try(
+            joi.boolean(),
+            joi.object({
+                cacheDirectory: joi.string()
+            })
+        ),
+        // TypeScript 类型检查
+        typescript: joi.alternatives().try(
+            joi.boolean(),
+            joi.object({
+                typeCheck: joi.boolean(),
+                tsconfig: joi.string()
+            })
+        ),
+        // 按浏览器分别打包，{name: browserslist 查询}
+        browserTargets: joi.object().min(1).pattern(
+            /^[\w-]+$/,
+            joi.alternatives().try(
+                joi.string(),
+                joi.array().items(joi.string()),
+                joi.object({
+                    browsers: joi.alternatives().try(joi.string(), joi.array().items(joi.string())),
+                    module: joi.boolean()
+                })
+            )
+        ),
+        // 部署，{name: target}
+        deploy: joi.object().pattern(
+            /^[\w-]+$/,
+            joi.object({
+                transport: joi.alternatives().try(joi.string(), joi.func()),
+                to: joi.alternatives().try(joi.string(), joi.object().pattern(/./, joi.string())),
+                include: joi.alternatives().try(joi.string(), joi.array().items(joi.string())),
+                exclude: joi.alternatives().try(joi.string(), joi.array().items(joi.string())),
+                replace: joi.object({
+                    from: joi.alternatives().try(joi.string(), joi.object().instance(RegExp)),
+                    to: joi.string()
+                }),
+                onlyChanged: joi.boolean(),
+                concurrency: joi.number().integer().min(1),
+                retry: joi.number().integer().min(0)
+            }).unknown(true)
+        ),
+        // 模板引擎，smarty 时 html-webpack-plugin 产出 tpl 模板
+        templateEngine: joi.string().valid('html', 'smarty'),
+        smarty: joi.object({
+            headBlock: joi.string(),
+            bodyBlock: joi.string(),
+            leftDelimiter: joi.string(),
+            rightDelimiter: joi.string(),
+            templateDir: joi.string(),
+            resourceMap: joi.alternatives().try(joi.string(), joi.boolean().valid(false)),
+            namespace: joi.string().allow(''),
+            router: joi.string(),
+            dataDir: joi.string(),
+            bin: joi.string(),
+            smartyDir: joi.string(),
+            pluginsDir: joi.alternatives().try(joi.string(), joi.array().items(joi.string())),
+            render: joi.func()
+        }),
+        // 服务端渲染
+        ssr: joi.alternatives().try(
+            joi.boolean(),
+            joi.object({
+                entry: joi.alternatives().try(joi.string(), joi.object().pattern(/\w+/, joi.string())),
+                outputDir: joi.string(),
+                nodeExternals: joi.boolean()
+            })
+        ),
         // css 相关
         css: joi.object({
             cssnanoOptions: joi.object(),
@@ -110,6 +262,24 @@ exports.validateSync = async (value, options) => {
     return rs;
 };
 
+/**
+ * 校验插件的参数，插件通过 schema 声明参数格式
+ *
+ * @param {Object} plugin 插件，schema 可以是 joi schema 或者 joi => schema 的函数
+ * @param {Object} options 插件的参数
+ * @return {Object} 补全默认值之后的参数
+ */
+exports.validatePluginOptions = ({id, schema: pluginSchema}, options) => {
+    if (typeof pluginSchema === 'function') {
+        pluginSchema = pluginSchema(joi);
+    }
+    const {error, value} = pluginSchema.validate(options);
+    if (error) {
+        throw new SError(`Invalid options for plugin \`${id}\`: ${error.message}`);
+    }
+    return value;
+};
+
 exports.defaults = {
     polyfill: true,
     pages: undefined,
@@ -142,6 +312,43 @@ exports.defaults = {
     sourceMap: false
 };
 
+exports.mockOptions = {
+    // 相对于项目根目录
+    dir: 'mock',
+    delay: 0,
+    watch: true
+};
+
+exports.cacheOptions = {
+    // 相对于项目根目录
+    cacheDirectory: 'node_modules/.cache/san-cli'
+};
+
+exports.typescriptOptions = {
+    // 在子进程中做类型检查
+    typeCheck: true,
+    // 相对于项目根目录
+    tsconfig: 'tsconfig.json'
+};
+
+exports.smartyOptions = {
+    // 插入 css、js 标签的 block 名
+    headBlock: '__head_asset',
+    bodyBlock: '__body_asset',
+    leftDelimiter: '{%',
+    rightDelimiter: '%}',
+    // tpl 产出目录，相对于 outputDir
+    templateDir: 'template',
+    // 资源表，相对于 outputDir
+    resourceMap: 'config/map.json',
+    namespace: '',
+    // serve 时渲染 tpl 的路由前缀
+    router: '/template',
+    // 渲染模板使用的数据，相对于项目根目录
+    dataDir: 'mock/_data_',
+    bin: 'php'
+};
+
 exports.cssnanoOptions = {
     mergeLonghand: false,
     cssDeclarationSorter: false,
@@ -197,3 +404,12 @@ exports.eslintOptions = {
     'no-unused-vars': 2,
     'no-undef': 2
 };
+
+exports.ssrOptions = {
+    // 服务端入口，多页时使用 {page: entry}
+    entry: 'src/entry-server.js',
+    // 相对于 outputDir
+    outputDir: 'server',
+    // node_modules 中的模块不打包到服务端产出中
+    nodeExternals: true
+};
@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 按照插件声明的 after/before 调整插件的执行顺序
+ * @author ksky521
+ */
+
+const SError = require('san-cli-utils/SError');
+
+// plugin 或者 [plugin, options]
+const getPlugin = item => (Array.isArray(item) ? item[0] : item);
+const toArray = value => (value ? [].concat(value) : []);
+
+/**
+ * 插件排序，没有声明顺序的插件保持原来的顺序
+ * 例如 {id: 'my-plugin', after: 'built-in:css'} 会保证在 built-in:css 之后执行
+ *
+ * @param {Array} plugins 插件列表
+ * @return {Array} 排序之后的插件列表
+ */
+module.exports = plugins => {
+    const nodes = plugins.map(plugin => ({plugin, id: getPlugin(plugin).id, deps: []}));
+    const findNodes = (id, node, key) => {
+        const found = nodes.filter(item => item.id === id);
+        if (!found.length) {
+            throw new SError(`Plugin \`${node.id}\` should run ${key} \`${id}\`, but \`${id}\` is not found.`);
+        }
+        return found;
+    };
+    // deps 是需要在这个插件之前执行的插件
+    nodes.forEach(node => {
+        const {after, before} = getPlugin(node.plugin);
+        toArray(after).forEach(id =>
+            findNodes(id, node, 'after').forEach(dep => dep !== node && node.deps.push(dep))
+        );
+        toArray(before).forEach(id =>
+            findNodes(id, node, 'before').forEach(dep => dep !== node && dep.deps.push(node))
+        );
+    });
+
+    // 按原来的顺序深度优先遍历，先输出依赖，这样插件只在必要的时候移动位置
+    const sorted = [];
+    const visited = new Set();
+    const visiting = [];
+    const visit = node => {
+        if (visited.has(node)) {
+            return;
+        }
+        const index = visiting.indexOf(node);
+        if (index > -1) {
+            const cycle = visiting.slice(index).concat(node).map(item => item.id);
+            throw new SError(`Plugin order has a cycle: ${cycle.join(' -> ')}.`);
+        }
+        visiting.push(node);
+        nodes.filter(item => node.deps.includes(item)).forEach(visit);
+        visiting.pop();
+        visited.add(node);
+        sorted.push(node.plugin);
+    };
+    nodes.forEach(visit);
+    return sorted;
+};
@@ -0,0 +1,161 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 按浏览器分别打包（differential serving），browserTargets 中的每个 target 使用自己的 browserslist 查询
+ * 所有 target 在同一个进程中使用 MultiCompiler 打包
+ * @author ksky521
+ */
+
+const path = require('path');
+const {tapBabelOptions} = require('./utils');
+
+// --modern 等同于这个配置：legacy 使用项目的 browserslist 配置，modern 使用支持 <script type="module"> 的浏览器
+const MODERN_TARGETS = {
+    legacy: {},
+    modern: {module: true}
+};
+// 没有配置 browsers 的 module target 对应的查询，跟 preset-env 的 targets.esmodules 一致
+const ESMODULES_QUERY = 'supports es6-module';
+// userAgent 模式下产出的 manifest，服务端按照 user agent 选择 html
+const MANIFEST_FILENAME = 'browser-targets.json';
+
+/**
+ * 规范化 browserTargets
+ * 1. 两个 target 且只有一个是 module 时为 module 模式，使用 module/nomodule 加载，只产出一份 html
+ * 2. 其他情况为 userAgent 模式，每个 target 产出自己的 html，另外产出 manifest
+ * 主 target 的文件名不加后缀：module 模式下是 module target，userAgent 模式下是第一个 target
+ *
+ * @param {Object} browserTargets {name: query | [query] | {browsers, module}}
+ * @return {Object} {mode, targets}，targets 为 [{name, browsers, module, primary}]
+ */
+function normalizeBrowserTargets(browserTargets) {
+    const targets = Object.keys(browserTargets).map(name => {
+        const target = browserTargets[name];
+        const {browsers, module = false} = typeof target === 'string' || Array.isArray(target)
+            ? {browsers: target}
+            : target;
+        return {name, browsers, module};
+    });
+    const mode = targets.length === 2 && targets.filter(({module}) => module).length === 1 ? 'module' : 'userAgent';
+    const primary = mode === 'module' ? targets.find(({module}) => module) : targets[0];
+    targets.forEach(target => {
+        target.primary = target === primary;
+    });
+    return {mode, targets};
+}
+
+/**
+ * target 对应的浏览器列表，没有配置 browsers 时使用项目的 browserslist 配置
+ *
+ * @param {Object} target 规范化之后的 target
+ * @param {string} cwd 项目根目录
+ * @return {Array} 浏览器列表，例如 ['chrome 80', 'safari 13']
+ */
+function resolveBrowsers({browsers, module}, cwd) {
+    const browserslist = require('browserslist');
+    return browserslist(browsers || (module ? ESMODULES_QUERY : undefined), {path: cwd});
+}
+
+// 加上 target 后缀：js/[name].js → js/[name]-legacy.js，index.html → index-legacy.html
+const addSuffix = (filename, name) => filename.replace('[name]', `[name]-${name}`);
+const addHTMLSuffix = (filename, name) => {
+    const ext = path.extname(filename);
+    return `${filename.slice(0, filename.length - ext.length)}-${name}${ext}`;
+};
+
+// html-webpack-plugin：没有 pages 时是 html，有 pages 时是 html-[page]
+function getHTMLPlugins(chainConfig) {
+    return chainConfig.plugins
+        .values()
+        .map(plugin => plugin.name)
+        .filter(name => name === 'html' || (/^html-/.test(name) && name !== 'html-webpack-harddisk-plugin'));
+}
+const getHTMLFilename = (chainConfig, name) => chainConfig.plugin(name).get('args')[0].filename || 'index.html';
+
+/**
+ * 修改 target 的 webpack-chain 配置
+ * 1. preset-env 使用 target 的 browserslist，babel-loader 和 cache-loader 的缓存跟其他 target 分开
+ * 2. 非主 target 的 js、manifest 和资源表文件名加上后缀，copy、类型检查等只需要执行一次的插件只在主 target 中执行
+ * 3. module 模式下非主 target 不产出 html，userAgent 模式下非主 target 的 html 文件名加上后缀
+ * 4. 只有一个 target 时只修改 babel 配置，例如 --analyze 时只打包主 target
+ *
+ * @param {Object} chainConfig webpack-chain 配置
+ * @param {Object} target 规范化之后的 target
+ * @param {Object} options 参数
+ * @param {string} options.mode module 或者 userAgent
+ * @param {Array} options.targets 一起打包的 target
+ * @param {string} options.cwd 项目根目录
+ * @param {Object} options.store 同一次打包的 target 之间共享数据，module 模式下传递 nomodule 的 script
+ * @param {string} [options.group] pageGroups 打包时的分组名
+ */
+function applyBrowserTarget(chainConfig, target, {mode, targets, cwd, store, group = ''}) {
+    const {name, browsers, module, primary} = target;
+    const babelTargets = browsers ? {browsers: [].concat(browsers)} : module ? {esmodules: true} : null;
+    tapBabelOptions(chainConfig, name, babelTargets ? {targets: babelTargets} : {});
+    if (targets.length < 2) {
+        return;
+    }
+
+    const htmlPlugins = getHTMLPlugins(chainConfig);
+    if (!primary) {
+        ['filename', 'chunkFilename'].forEach(key => {
+            const filename = chainConfig.output.get(key);
+            if (filename) {
+                chainConfig.output.set(key, addSuffix(filename, name));
+            }
+        });
+        ['copy-webpack-plugin', 'type-check', 'ssr-client'].forEach(plugin => chainConfig.plugins.delete(plugin));
+        [['asset-manifest', 'manifest.json'], ['smarty-resource-map', 'config/map.json']]
+            .filter(([plugin]) => chainConfig.plugins.has(plugin))
+            .forEach(([plugin, defaultFilename]) =>
+                chainConfig
+                    .plugin(plugin)
+                    .tap(([options]) => [
+                        Object.assign({}, options, {filename: addHTMLSuffix(options.filename || defaultFilename, name)})
+                    ])
+            );
+        htmlPlugins.forEach(plugin =>
+            chainConfig.plugin(plugin).tap(([options]) => [
+                Object.assign(
+                    {},
+                    options,
+                    mode === 'module'
+                        ? {alwaysWriteToDisk: false}
+                        : {filename: addHTMLSuffix(options.filename || 'index.html', name)}
+                )
+            ])
+        );
+    }
+
+    let manifest = null;
+    if (mode === 'userAgent' && primary) {
+        // {default, targets: {name: {browsers, module, pages: {默认的 html: target 的 html}}}}
+        manifest = {default: name, targets: {}};
+        targets.forEach(target => {
+            const pages = {};
+            htmlPlugins.forEach(plugin => {
+                const filename = getHTMLFilename(chainConfig, plugin);
+                pages[filename] = target.primary ? filename : addHTMLSuffix(filename, target.name);
+            });
+            manifest.targets[target.name] = {
+                browsers: resolveBrowsers(target, cwd),
+                module: target.module,
+                pages
+            };
+        });
+    }
+    chainConfig
+        .plugin('browser-target')
+        .use(require('san-cli-webpack/lib/ModernModePlugin'), [
+            {name, mode, module, primary, store, group, manifest, manifestFilename: MANIFEST_FILENAME}
+        ]);
+}
+
+exports.MODERN_TARGETS = MODERN_TARGETS;
+exports.MANIFEST_FILENAME = MANIFEST_FILENAME;
+exports.normalizeBrowserTargets = normalizeBrowserTargets;
+exports.resolveBrowsers = resolveBrowsers;
+exports.applyBrowserTarget = applyBrowserTarget;
@@ -0,0 +1,151 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 组件库打包的 webpack 配置，产出 UMD、CommonJS 和 ES Module 三种格式
+ * @author ksky521
+ */
+
+const path = require('path');
+const {removeAppPlugins, tapBabelOptions, onlyCSSLocals, extractCSS} = require('./utils');
+
+// 组件库中不打包的依赖
+const EXTERNALS = ['san'];
+// ESM 打包时 output.library 和 externals 使用的变量名
+const ESM_LIBRARY = '__SAN_LIB__';
+const ESM_EXTERNAL_PREFIX = '__SAN_LIB_EXTERNAL_';
+// 按组件产出 css 的目录
+const CSS_DIR = 'css';
+
+const FORMATS = {
+    umd: {filename: name => `${name}.umd.js`},
+    commonjs: {filename: name => `${name}.common.js`},
+    // .mjs 保证 node 中使用 import 加载时按照 ES Module 处理
+    esm: {filename: name => `${name}.mjs`}
+};
+
+/**
+ * 默认的组件库名称：package.json 的 name（去掉 scope），其次是入口的文件名
+ *
+ * @param {Object} pkg package.json
+ * @param {string} entry 入口
+ * @return {string} 组件库名称
+ */
+function getLibName(pkg, entry) {
+    if (pkg && pkg.name) {
+        return pkg.name.replace(/^@[^/]+\//, '');
+    }
+    return path.basename(entry, path.extname(entry));
+}
+
+/**
+ * 生成一种格式的 webpack-chain 配置
+ *
+ * @param {Object} api PluginAPI 实例
+ * @param {Object} projectOptions 项目配置
+ * @param {Object} options {entry, name, format, targetDir, mode}
+ * @return {Object} webpack-chain 配置
+ */
+function getLibChainConfig(api, projectOptions, {entry, name, format, targetDir, mode}) {
+    const chainConfig = api.getWebpackChainConfig();
+    // .san 入口只导出组件，UMD 和 CommonJS 直接导出组件而不是 {default}
+    const isSanEntry = /\.san$/.test(entry);
+
+    chainConfig.name(format).devtool(projectOptions.sourceMap ? 'source-map' : false);
+    chainConfig.entryPoints.clear();
+    chainConfig.entry(name).add(api.resolve(entry));
+    chainConfig.output
+        .path(targetDir)
+        .filename(FORMATS[format].filename(name))
+        .chunkFilename(`${name}.${format}.[name].js`);
+
+    // 三种格式的代码相同，只在 UMD 打包时做类型检查
+    removeAppPlugins(chainConfig, format === 'umd' ? [] : ['type-check']);
+    chainConfig.optimization
+        .splitChunks(false)
+        .runtimeChunk(false)
+        // CommonJS 和 ESM 会被使用方再次打包，不需要压缩
+        .minimize(format === 'umd' && mode === 'production');
+    // 组件库不注入 polyfill，由使用方决定
+    tapBabelOptions(chainConfig, `lib-${format}`, {useBuiltIns: false, commonjs: false});
+
+    if (format === 'umd') {
+        chainConfig.output
+            .library(name)
+            .libraryTarget('umd')
+            .umdNamedDefine(true)
+            .globalObject('(typeof self !== \'undefined\' ? self : this)');
+        chainConfig.externals(
+            EXTERNALS.reduce((externals, request) => {
+                externals[request] = {root: request, commonjs: request, commonjs2: request, amd: request};
+                return externals;
+            }, {})
+        );
+        // 样式只在 UMD 打包时抽取：全部样式一份 [name].css，每个组件一份 css/[组件].css，
+        // 三种格式共用，其他格式跟 SSR 一样只保留 css modules 的类名
+        extractCSS(chainConfig, `${name}.css`);
+        chainConfig
+            .plugin('component-css')
+            .use(require('san-cli-webpack/lib/ComponentCSSPlugin'), [
+                {context: path.dirname(api.resolve(entry)), dir: CSS_DIR}
+            ]);
+    }
+    else if (format === 'commonjs') {
+        chainConfig.output.libraryTarget('commonjs2');
+        chainConfig.externals(EXTERNALS);
+        onlyCSSLocals(chainConfig);
+    }
+    else {
+        const externals = {};
+        EXTERNALS.forEach((request, i) => (externals[request] = `${ESM_EXTERNAL_PREFIX}${i}__`));
+        chainConfig.output.library(ESM_LIBRARY).libraryTarget('var');
+        chainConfig.externals(externals);
+        chainConfig
+            .plugin('esm-library')
+            .use(require('san-cli-webpack/lib/ESMLibraryPlugin'), [{name: ESM_LIBRARY, externals}]);
+        onlyCSSLocals(chainConfig);
+    }
+    if (isSanEntry && format !== 'esm') {
+        chainConfig.output.libraryExport('default');
+    }
+    return chainConfig;
+}
+
+/**
+ * 生成 package.json 中入口相关字段的建议
+ *
+ * @param {Object} options {name, targetDir, cwd, pkg}
+ * @return {Object} main、module、unpkg、style、exports 等字段，exports 中包括按组件产出的 css
+ */
+function getPackageFields({name, targetDir, cwd, pkg = {}}) {
+    // externals 的依赖需要使用方安装
+    const peerDependencies = {};
+    EXTERNALS.forEach(dep => {
+        const {dependencies = {}, devDependencies = {}, peerDependencies: peers = {}} = pkg;
+        peerDependencies[dep] = peers[dep] || dependencies[dep] || devDependencies[dep] || '*';
+    });
+    const file = filename => `./${path.relative(cwd, path.join(targetDir, filename)).replace(/\\/g, '/')}`;
+    return {
+        main: file(FORMATS.commonjs.filename(name)),
+        module: file(FORMATS.esm.filename(name)),
+        unpkg: file(FORMATS.umd.filename(name)),
+        style: file(`${name}.css`),
+        exports: {
+            '.': {
+                import: file(FORMATS.esm.filename(name)),
+                require: file(FORMATS.commonjs.filename(name))
+            },
+            [`./${name}.css`]: file(`${name}.css`),
+            [`./${CSS_DIR}/*`]: file(`${CSS_DIR}/*`),
+            './package.json': './package.json'
+        },
+        peerDependencies
+    };
+}
+
+exports.FORMATS = Object.keys(FORMATS);
+exports.getLibName = getLibName;
+exports.getLibChainConfig = getLibChainConfig;
+exports.getPackageFields = getPackageFields;
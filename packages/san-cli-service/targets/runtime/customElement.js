@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 把 San 组件包装成 custom element，--target wc 打包的入口中使用
+ * 注意：custom element 需要原生的 class，这个文件只使用浏览器支持 custom element 时就支持的语法
+ * @author ksky521
+ */
+
+// 跟 targets/wc.js 中 style-loader 的 insert 选项保持一致
+const REGISTRY = '__SAN_WC__';
+
+// 异步组件的 chunk 跟入口放在同一个目录，使用入口 script 的地址作为 publicPath
+const currentScript = typeof document !== 'undefined' && document.currentScript;
+if (currentScript && currentScript.src) {
+    // eslint-disable-next-line no-undef, camelcase
+    __webpack_public_path__ = currentScript.src.replace(/[^/]*(\?.*)?$/, '');
+}
+
+// 组件样式不插入页面，由 style-loader 收集到这里，再复制到每个元素的 shadow DOM 中
+function getRegistry() {
+    return window[REGISTRY] || (window[REGISTRY] = {styles: [], hosts: []});
+}
+
+function camelize(str) {
+    return str.replace(/-(\w)/g, (m, c) => c.toUpperCase());
+}
+
+// 属性值按照组件初始数据的类型转换，属性删除时恢复初始值
+function parseAttribute(value, defaultValue) {
+    if (typeof defaultValue === 'boolean') {
+        return value !== null && value !== 'false';
+    }
+    if (value === null) {
+        return defaultValue;
+    }
+    if (typeof defaultValue === 'number' && value.trim() !== '' && !isNaN(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+// 可以通过 attribute 设置的数据：initData 返回的和 dataTypes 声明的字段
+function getDataDefaults(Component) {
+    const proto = Component.prototype;
+    const initData = typeof proto.initData === 'function' ? proto.initData() : {};
+    const defaults = Object.assign({}, proto.dataTypes, initData);
+    Object.keys(defaults).forEach(key => {
+        if (key.charAt(0) === '$') {
+            // san-loader 注入的 $style
+            delete defaults[key];
+        }
+        else if (!(key in initData)) {
+            defaults[key] = undefined;
+        }
+    });
+    return defaults;
+}
+
+function createElementClass(resolveComponent) {
+    let Component = null;
+    let defaults = {};
+    let loading = null;
+
+    class SanElement extends HTMLElement {
+        constructor() {
+            super();
+            this.attachShadow({mode: 'open'});
+            this._props = {};
+            this._component = null;
+            this._styleCount = 0;
+            this._observer = new MutationObserver(records =>
+                records.forEach(({attributeName}) => this._syncAttribute(attributeName))
+            );
+        }
+
+        connectedCallback() {
+            getRegistry().hosts.push(this);
+            this.syncStyles();
+            this._observer.observe(this, {attributes: true});
+            if (Component) {
+                this._mount();
+            }
+            else {
+                load().then(() => this.isConnected && this._mount());
+            }
+        }
+
+        disconnectedCallback() {
+            const {hosts} = getRegistry();
+            hosts.splice(hosts.indexOf(this), 1);
+            this._observer.disconnect();
+            if (this._component) {
+                this._component.dispose();
+                this._component = null;
+            }
+        }
+
+        // 把新收集到的样式复制到 shadow DOM 中，异步组件加载的样式也会同步过来
+        syncStyles() {
+            const {styles} = getRegistry();
+            for (; this._styleCount < styles.length; this._styleCount++) {
+                this.shadowRoot.appendChild(styles[this._styleCount].cloneNode(true));
+            }
+        }
+
+        _mount() {
+            if (this._component) {
+                return;
+            }
+            const data = Object.assign({}, this._props);
+            Array.prototype.forEach.call(this.attributes, ({name, value}) => {
+                const key = camelize(name);
+                if (key in defaults && !(key in this._props)) {
+                    data[key] = parseAttribute(value, defaults[key]);
+                }
+            });
+            const component = new Component({data});
+            // 组件 fire 的事件同时在元素上派发 CustomEvent，事件参数放在 detail 中
+            const host = this;
+            const fire = component.fire;
+            component.fire = function (...args) {
+                host.dispatchEvent(new CustomEvent(args[0], {detail: args[1]}));
+                return fire.apply(this, args);
+            };
+            component.attach(this.shadowRoot);
+            this._component = component;
+        }
+
+        _syncAttribute(name) {
+            const key = camelize(name);
+            if (this._component && key in defaults) {
+                this._component.data.set(key, parseAttribute(this.getAttribute(name), defaults[key]));
+            }
+        }
+    }
+
+    function load() {
+        if (!loading) {
+            loading = Promise.resolve(resolveComponent()).then(exported => {
+                setComponent(exported && exported.default ? exported.default : exported);
+            });
+        }
+        return loading;
+    }
+
+    function setComponent(value) {
+        Component = value;
+        defaults = getDataDefaults(Component);
+        // 数据同时作为元素的 property，已有的 property（title、hidden 等）只能通过 attribute 设置
+        Object.keys(defaults)
+            .filter(key => !(key in SanElement.prototype))
+            .forEach(key => {
+                Object.defineProperty(SanElement.prototype, key, {
+                    get() {
+                        return this._component ? this._component.data.get(key) : this._props[key];
+                    },
+                    set(value) {
+                        this._props[key] = value;
+                        if (this._component) {
+                            this._component.data.set(key, value);
+                        }
+                    },
+                    configurable: true
+                });
+            });
+    }
+
+    return {SanElement, setComponent, load};
+}
+
+/**
+ * 定义 custom element
+ *
+ * @param {string} tagName 元素名称，需要包含 -
+ * @param {Function} Component San 组件
+ */
+export function defineCustomElement(tagName, Component) {
+    const {SanElement, setComponent} = createElementClass();
+    setComponent(Component);
+    customElements.define(tagName, SanElement);
+}
+
+/**
+ * 定义异步加载的 custom element，页面中出现这个元素时才加载组件
+ *
+ * @param {string} tagName 元素名称，需要包含 -
+ * @param {Function} loader 返回 import() 的函数
+ */
+export function defineAsyncCustomElement(tagName, loader) {
+    const {SanElement} = createElementClass(loader);
+    customElements.define(tagName, SanElement);
+}
@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 服务端渲染的 webpack 配置，在客户端配置的基础上生成 node 端的 server bundle
+ * @author ksky521
+ */
+
+const path = require('path');
+const {removeAppPlugins, tapBabelOptions, onlyCSSLocals} = require('./utils');
+
+// 样式和 .san 文件需要经过 loader 处理，不能 external
+const BUNDLED_RE = /\.(css|less|styl(us)?|s[ac]ss|p(ost)?css|san)(\?.*)?$/;
+
+/**
+ * ssr.entry 规范成 {page: entry}，字符串的入口对应 index 页面
+ *
+ * @param {Object} ssrOptions 规范化之后的 ssr 配置
+ * @return {Object} {page: entry}
+ */
+function getServerEntries({entry}) {
+    return typeof entry === 'string' ? {index: entry} : Object.assign({}, entry);
+}
+
+// node_modules 中的模块使用 require 加载，alias 和 transpileDependencies 中的模块打包
+function createExternals(api, projectOptions) {
+    const alias = Object.keys(projectOptions.alias || {}).map(key => key.replace(/\$$/, ''));
+    const transpileDependencies = projectOptions.transpileDependencies || [];
+    const cwd = api.getCwd();
+    return (context, request, callback) => {
+        if (/^[.\/]|^[a-z]:/i.test(request) || BUNDLED_RE.test(request) || request.includes('!')) {
+            return callback();
+        }
+        const name = request.split('/').slice(0, request[0] === '@' ? 2 : 1).join('/');
+        if (alias.includes(name) || alias.includes(request) || transpileDependencies.some(dep => (
+            dep instanceof RegExp ? dep.test(request) : dep === name
+        ))) {
+            return callback();
+        }
+        try {
+            require.resolve(`${name}/package.json`, {paths: [cwd]});
+        }
+        catch (e) {
+            // 找不到的交给 webpack 处理，例如 webpack 中配置的 alias
+            return callback();
+        }
+        callback(null, `commonjs ${request}`);
+    };
+}
+
+/**
+ * 生成服务端打包的 webpack-chain 配置
+ * 1. target 为 node，产出 commonjs2 模块，不分 chunk
+ * 2. 去掉 html、css 抽取、hmr 等浏览器端的插件和 loader，css modules 只保留类名
+ * 3. 产出 ssr-server-manifest.json 给 renderer 使用
+ *
+ * @param {Object} api PluginAPI 实例
+ * @param {Object} projectOptions 项目配置，ssr 需要已经规范化
+ * @param {Object} [chainConfig] 客户端的 webpack-chain 配置，默认使用 api.getWebpackChainConfig()
+ * @return {Object} webpack-chain 配置
+ */
+function getServerChainConfig(api, projectOptions, chainConfig = api.getWebpackChainConfig()) {
+    const ssrOptions = projectOptions.ssr;
+    const entries = getServerEntries(ssrOptions);
+
+    chainConfig
+        .name('server')
+        .target('node')
+        .devtool('source-map');
+    chainConfig.entryPoints.clear();
+    Object.keys(entries).forEach(name => chainConfig.entry(name).add(api.resolve(entries[name])));
+    chainConfig.output
+        .path(path.join(api.resolve(projectOptions.outputDir), ssrOptions.outputDir))
+        .filename('[name].js')
+        .chunkFilename('[name].js')
+        .libraryTarget('commonjs2');
+
+    // 跟客户端打包的代码相同，类型检查只在客户端打包中做
+    removeAppPlugins(chainConfig, ['type-check']);
+    chainConfig.optimization
+        .splitChunks(false)
+        .runtimeChunk(false)
+        .minimize(false);
+    tapBabelOptions(chainConfig, 'ssr', {targets: {node: 'current'}, useBuiltIns: false});
+    onlyCSSLocals(chainConfig);
+
+    if (ssrOptions.nodeExternals) {
+        chainConfig.externals(createExternals(api, projectOptions));
+    }
+    chainConfig.plugin('ssr-server').use(require('san-cli-webpack/lib/SSRServerPlugin'));
+    return chainConfig;
+}
+
+exports.getServerEntries = getServerEntries;
+exports.getServerChainConfig = getServerChainConfig;
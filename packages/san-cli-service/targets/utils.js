@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 各个打包目标共用的 webpack-chain 处理
+ * @author ksky521
+ */
+
+// 只在浏览器端的应用打包中使用的插件
+const APP_PLUGINS = [
+    'hmr',
+    'copy-webpack-plugin',
+    'html-webpack-harddisk-plugin',
+    'ssr-client',
+    'asset-manifest',
+    'smarty-resource-map'
+];
+
+/**
+ * 删除 html、copy、hmr 等应用打包才需要的插件和 loader
+ *
+ * @param {Object} chainConfig webpack-chain 配置
+ * @param {Array} [plugins] 额外需要删除的插件名
+ */
+exports.removeAppPlugins = (chainConfig, plugins = []) => {
+    const names = APP_PLUGINS.concat(plugins);
+    chainConfig.plugins
+        .values()
+        .map(plugin => plugin.name)
+        .filter(name => names.includes(name) || /^(san-)?html(-|$)/.test(name))
+        .forEach(name => chainConfig.plugins.delete(name));
+    ['san', 'js', 'ts'].forEach(name => chainConfig.module.rule(name).uses.delete('hmr'));
+};
+
+/**
+ * 修改 babel-loader 和 cache-loader 的配置，cacheIdentifier 加上后缀跟应用打包的缓存区分开
+ *
+ * @param {Object} chainConfig webpack-chain 配置
+ * @param {string} suffix 缓存后缀
+ * @param {Object} [presetOptions] 覆盖 san-cli-plugin-babel/preset 的参数
+ */
+exports.tapBabelOptions = (chainConfig, suffix, presetOptions = {}) => {
+    ['js', 'ts'].forEach(name => {
+        const rule = chainConfig.module.rule(name);
+        if (rule.uses.has('babel-loader')) {
+            rule.use('babel-loader').tap(options =>
+                Object.assign({}, options, {
+                    presets: (options.presets || []).map(([preset, options]) => [
+                        preset,
+                        Object.assign({}, options, {hmr: false}, presetOptions)
+                    ]),
+                    cacheIdentifier: options.cacheIdentifier && `${options.cacheIdentifier}-${suffix}`
+                })
+            );
+        }
+    });
+    const sanRule = chainConfig.module.rule('san');
+    if (sanRule.uses.has('cache-loader')) {
+        sanRule.use('cache-loader').tap(options =>
+            Object.assign({}, options, {cacheIdentifier: `${options.cacheIdentifier}-${suffix}`})
+        );
+    }
+};
+
+/**
+ * 遍历 css 相关的 rule，替换插入页面和抽取的 loader
+ *
+ * @param {Object} chainConfig webpack-chain 配置
+ * @param {Function} fn (oneOf) => void
+ */
+function eachCSSRule(chainConfig, fn) {
+    chainConfig.module.rules.values().forEach(rule =>
+        rule.oneOfs.values().forEach(oneOf => oneOf.uses.has('css-loader') && fn(oneOf))
+    );
+}
+
+// css 不插入页面也不抽取，css modules 只导出类名
+exports.onlyCSSLocals = chainConfig => {
+    eachCSSRule(chainConfig, oneOf => {
+        oneOf.uses.delete('extract-css-loader');
+        oneOf.uses.delete('style-loader');
+        oneOf.use('css-loader').tap(options => Object.assign({}, options, {onlyLocals: true}));
+    });
+    chainConfig.plugins.delete('extract-css');
+};
+
+/**
+ * css 全部抽取到一个文件中，不管 css.extract 的配置
+ *
+ * @param {Object} chainConfig webpack-chain 配置
+ * @param {string} filename 抽取的 css 文件名
+ */
+exports.extractCSS = (chainConfig, filename) => {
+    const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+    eachCSSRule(chainConfig, oneOf => {
+        if (oneOf.uses.has('style-loader')) {
+            oneOf.uses.delete('style-loader');
+            oneOf
+                .use('extract-css-loader')
+                .loader(MiniCssExtractPlugin.loader)
+                .before('css-loader');
+        }
+        oneOf.use('extract-css-loader').tap(options => Object.assign({}, options, {hmr: false}));
+    });
+    chainConfig.plugin('extract-css').use(MiniCssExtractPlugin, [{filename, chunkFilename: filename}]);
+};
+
+/**
+ * css 全部使用 style-loader 插入，不管 css.extract 的配置
+ *
+ * @param {Object} chainConfig webpack-chain 配置
+ * @param {Object} options style-loader 的参数
+ */
+exports.injectCSS = (chainConfig, options) => {
+    eachCSSRule(chainConfig, oneOf => {
+        if (oneOf.uses.has('extract-css-loader')) {
+            oneOf.uses.delete('extract-css-loader');
+            oneOf
+                .use('style-loader')
+                .loader('style-loader')
+                .before('css-loader');
+        }
+        oneOf.use('style-loader').tap(opts => Object.assign({}, opts, options));
+    });
+    chainConfig.plugins.delete('extract-css');
+};
@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file Web Components 打包的 webpack 配置，把 .san 组件注册成 custom element
+ * @author ksky521
+ */
+
+const path = require('path');
+const fse = require('fs-extra');
+const globby = require('globby');
+const SError = require('san-cli-utils/SError');
+const {removeAppPlugins, tapBabelOptions, injectCSS} = require('./utils');
+
+// style-loader 的 insert 选项，会被转成字符串放到产出中，只能使用 ES5 并且不能引用外部变量
+function insertStyle(style) {
+    // eslint-disable-next-line no-var
+    var registry = window.__SAN_WC__ || (window.__SAN_WC__ = {styles: [], hosts: []});
+    registry.styles.push(style);
+    // 插入时 style 还没有内容，等 style-loader 写入之后再复制到已有的元素中
+    Promise.resolve().then(function () {
+        registry.hosts.forEach(function (host) {
+            host.syncStyles();
+        });
+    });
+}
+
+function hyphenate(str) {
+    return str
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .replace(/[_\s]+/g, '-')
+        .toLowerCase();
+}
+
+/**
+ * 查找入口中的 .san 组件并生成元素名称
+ * 只有一个组件时元素名称是 name，多个组件时是 `${name}-${文件名}`
+ *
+ * @param {string} entry 入口，支持 glob，多个使用英文逗号分隔
+ * @param {string} name 名称
+ * @param {string} cwd 项目根目录
+ * @return {Array} [{tagName, file}]
+ */
+function getCustomElements(entry, name, cwd) {
+    const files = globby.sync(entry.split(',').map(pattern => pattern.trim()), {cwd, absolute: true});
+    const components = files.filter(file => /\.san$/.test(file));
+    if (!components.length) {
+        throw new SError(`Cannot find any .san component from \`${entry}\`, --target wc only accepts .san files.`);
+    }
+    return components.map(file => {
+        const tagName = hyphenate(
+            components.length === 1 ? name : `${name}-${path.basename(file, '.san')}`
+        );
+        if (!/^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(tagName)) {
+            throw new SError(
+                `\`${tagName}\` is not a valid custom element name, it must contain a hyphen, `
+                    + 'use --name to set a prefix.'
+            );
+        }
+        return {tagName, file};
+    });
+}
+
+/**
+ * 生成入口代码
+ *
+ * @param {Array} elements [{tagName, file}]
+ * @param {boolean} async 是否异步加载组件
+ * @return {string} 入口代码
+ */
+function genEntry(elements, async) {
+    const runtime = JSON.stringify(require.resolve('./runtime/customElement'));
+    if (async) {
+        return [
+            `import {defineAsyncCustomElement} from ${runtime};`,
+            ...elements.map(({tagName, file}) => {
+                const chunkName = `/* webpackChunkName: ${JSON.stringify(tagName)} */`;
+                return `defineAsyncCustomElement(${JSON.stringify(tagName)}, function () {`
+                    + ` return import(${chunkName} ${JSON.stringify(file)}); });`;
+            })
+        ].join('\n');
+    }
+    return [
+        `import {defineCustomElement} from ${runtime};`,
+        ...elements.map(({file}, i) => `import Component${i} from ${JSON.stringify(file)};`),
+        ...elements.map(({tagName}, i) => `defineCustomElement(${JSON.stringify(tagName)}, Component${i});`)
+    ].join('\n');
+}
+
+/**
+ * 生成 webpack-chain 配置
+ *
+ * @param {Object} api PluginAPI 实例
+ * @param {Object} projectOptions 项目配置
+ * @param {Object} options {elements, name, async, targetDir, mode}
+ * @return {Object} webpack-chain 配置
+ */
+function getWCChainConfig(api, projectOptions, {elements, name, async, targetDir, mode}) {
+    const chainConfig = api.getWebpackChainConfig();
+    // 入口写到 node_modules/.cache 中，跟项目源码分开
+    const entryFile = api.resolve(`node_modules/.cache/san-cli-wc/${name}.js`);
+    fse.outputFileSync(entryFile, genEntry(elements, async));
+
+    chainConfig.name('wc').devtool(projectOptions.sourceMap ? 'source-map' : false);
+    chainConfig.entryPoints.clear();
+    chainConfig.entry(name).add(entryFile);
+    chainConfig.output
+        .path(targetDir)
+        .filename(`${name}.js`)
+        .chunkFilename(`${name}.[name].js`);
+
+    removeAppPlugins(chainConfig);
+    chainConfig.optimization
+        .splitChunks(false)
+        .runtimeChunk(false)
+        .minimize(mode === 'production');
+    tapBabelOptions(chainConfig, async ? 'wc-async' : 'wc');
+    // 样式由 customElement runtime 插入到 shadow DOM 中
+    injectCSS(chainConfig, {insert: insertStyle});
+    return chainConfig;
+}
+
+exports.getCustomElements = getCustomElements;
+exports.genEntry = genEntry;
+exports.getWCChainConfig = getWCChainConfig;
@@ -0,0 +1,130 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file AssetManifestPlugin test
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const webpack = require('webpack');
+const MemoryFS = require('memory-fs');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const AssetManifestPlugin = require('../lib/AssetManifestPlugin');
+
+const context = path.join(__dirname, 'manifest');
+
+function createCompiler(options, entry = {index: './src/index.js'}) {
+    const compiler = webpack({
+        mode: 'development',
+        devtool: false,
+        context,
+        entry,
+        output: {
+            path: '/output',
+            publicPath: 'https://cdn.com/',
+            // 新版本 Node.js 默认不支持 md4
+            hashFunction: 'sha256',
+            filename: 'js/[name].[contenthash:8].js',
+            chunkFilename: 'js/[name].[contenthash:8].js'
+        },
+        module: {
+            rules: [
+                {test: /\.css$/, use: [MiniCssExtractPlugin.loader, 'css-loader']},
+                {test: /\.svg$/, loader: 'file-loader', options: {name: 'img/[name].[sha256:hash:8].[ext]'}}
+            ]
+        },
+        plugins: [
+            new MiniCssExtractPlugin({filename: 'css/[name].[contenthash:8].css'}),
+            // 模拟 copy-webpack-plugin 添加的文件
+            {
+                apply(compiler) {
+                    compiler.hooks.emit.tap('copy', compilation => {
+                        compilation.assets['robots.txt'] = {source: () => 'User-agent: *', size: () => 13};
+                    });
+                }
+            },
+            new AssetManifestPlugin(options)
+        ]
+    });
+    compiler.outputFileSystem = new MemoryFS();
+    return compiler;
+}
+
+function run(compiler) {
+    const fs = compiler.outputFileSystem;
+    return new Promise((resolve, reject) => {
+        compiler.run((err, stats) => {
+            if (err || stats.hasErrors()) {
+                return reject(err || new Error(stats.toString('errors-only')));
+            }
+            resolve({fs, stats});
+        });
+    });
+}
+
+function compile(options) {
+    return run(createCompiler(options));
+}
+
+describe('AssetManifestPlugin', () => {
+    test('getIntegrity', () => {
+        const sha384 = crypto.createHash('sha384').update('san').digest('base64');
+        expect(AssetManifestPlugin.getIntegrity('san')).toBe(`sha384-${sha384}`);
+        expect(AssetManifestPlugin.getIntegrity('san', ['sha256', 'sha384']).split(' ')[1]).toBe(`sha384-${sha384}`);
+    });
+
+    test('manifest.json', async () => {
+        const {fs} = await compile();
+        const manifest = JSON.parse(fs.readFileSync('/output/manifest.json', 'utf-8'));
+        expect(Object.keys(manifest.assets)).toEqual([
+            'about.js',
+            'index.css',
+            'index.js',
+            'robots.txt',
+            'src/logo.svg'
+        ]);
+        expect(manifest.publicPath).toBe('https://cdn.com/');
+        expect(manifest.entrypoints.index).toEqual({
+            js: [manifest.assets['index.js'].url],
+            css: [manifest.assets['index.css'].url]
+        });
+        expect(manifest.assets['src/logo.svg'].url).toMatch(/^https:\/\/cdn\.com\/img\/logo\.\w{8}\.svg$/);
+        expect(manifest.assets['robots.txt'].url).toBe('https://cdn.com/robots.txt');
+        Object.keys(manifest.assets).forEach(name => {
+            const {url, integrity} = manifest.assets[name];
+            const content = fs.readFileSync(`/output/${url.replace('https://cdn.com/', '')}`);
+            expect(integrity).toBe(AssetManifestPlugin.getIntegrity(content));
+        });
+    });
+
+    test('pageGroups 的 compiler 共享 store 时合并 manifest', async () => {
+        const store = {};
+        // 跟 MultiCompiler 一样先创建全部 compiler
+        const compilers = [createCompiler({store}), createCompiler({store}, {about: './src/about.js'})];
+        // 先完成的分组不产出 manifest，全部分组完成之后产出合并的结果
+        const first = await run(compilers[0]);
+        expect(first.fs.existsSync('/output/manifest.json')).toBe(false);
+        const {fs} = await run(compilers[1]);
+        const manifest = JSON.parse(fs.readFileSync('/output/manifest.json', 'utf-8'));
+        expect(Object.keys(manifest.entrypoints)).toEqual(['index', 'about']);
+        expect(manifest.entrypoints.about.js[0]).toMatch(/^https:\/\/cdn\.com\/js\/about\.\w{8}\.js$/);
+        expect(Object.keys(manifest.assets)).toEqual([
+            'about.js',
+            'index.css',
+            'index.js',
+            'robots.txt',
+            'src/logo.svg'
+        ]);
+        // 同名的以第一个分组为准，这里是 index 中的异步 chunk
+        expect(manifest.assets['about.js'].url).not.toBe(manifest.entrypoints.about.js[0]);
+    });
+
+    test('filename 和 integrity 配置', async () => {
+        const {fs} = await compile({filename: 'assets.json', integrity: false});
+        const {assets} = JSON.parse(fs.readFileSync('/output/assets.json', 'utf-8'));
+        expect(assets['index.js']).toEqual({url: expect.stringMatching(/^https:\/\/cdn\.com\/js\/index\.\w{8}\.js$/)});
+    });
+});
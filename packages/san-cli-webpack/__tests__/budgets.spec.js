@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file budgets test
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs');
+const {parseSize, checkBudgets, formatBudgets} = require('../lib/budgets');
+
+const outputPath = path.join(__dirname, 'budgets');
+const stats = {
+    outputPath,
+    assets: ['js/index.js', 'js/about.js', 'js/vendors.js', 'css/index.css'].map(name => ({name})),
+    entrypoints: {
+        index: {assets: ['js/vendors.js', 'js/index.js', 'js/index.js.map', 'css/index.css']},
+        about: {assets: ['js/vendors.js', 'js/about.js']}
+    }
+};
+
+describe('budgets', () => {
+    test('parseSize', () => {
+        expect(parseSize(100)).toBe(100);
+        expect(parseSize('100')).toBe(100);
+        expect(parseSize('2kb')).toBe(2048);
+        expect(parseSize('1.5 MB')).toBe(1572864);
+        expect(() => parseSize('2 apples')).toThrow('Invalid budget size');
+    });
+
+    test('checkBudgets', () => {
+        const results = checkBudgets(stats, {
+            compression: 'none',
+            entries: {index: 67, about: 50, other: 1},
+            assets: {'js/*.js': 25},
+            initial: {js: 74, css: '1kb'}
+        });
+        expect(results).toEqual([
+            {compiler: undefined, type: 'entry', name: 'index', size: 67, limit: 67, passed: true},
+            {compiler: undefined, type: 'entry', name: 'about', size: 51, limit: 50, passed: false},
+            {compiler: undefined, type: 'asset', name: 'js/index.js', size: 23, limit: 25, passed: true},
+            {compiler: undefined, type: 'asset', name: 'js/about.js', size: 23, limit: 25, passed: true},
+            {compiler: undefined, type: 'asset', name: 'js/vendors.js', size: 28, limit: 25, passed: false},
+            {compiler: undefined, type: 'initial', name: 'js', size: 74, limit: 74, passed: true},
+            {compiler: undefined, type: 'initial', name: 'css', size: 16, limit: 1024, passed: true}
+        ]);
+        expect(formatBudgets(results, {compression: 'none'})).toMatch('2 exceeded');
+    });
+
+    test('compression and MultiCompiler', () => {
+        const child = name => Object.assign({}, stats, {name});
+        const results = checkBudgets(
+            {children: [child('legacy'), child('modern'), child('server')]},
+            {assets: {'css/*.css': 1}}
+        );
+        const gzipped = zlib.gzipSync(fs.readFileSync(path.join(outputPath, 'css/index.css'))).length;
+        expect(results.map(({compiler, size}) => [compiler, size])).toEqual([['legacy', gzipped], ['modern', gzipped]]);
+    });
+});
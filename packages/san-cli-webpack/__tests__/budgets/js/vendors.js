@@ -0,0 +1 @@
+window.vendors = [1, 2, 3];
@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file build test
+ */
+
+const path = require('path');
+const MemoryFS = require('memory-fs');
+const build = require('../build');
+
+describe('build', () => {
+    test('插件的 done 钩子出错时 reject', async () => {
+        const webpackConfig = {
+            mode: 'development',
+            devtool: false,
+            context: path.join(__dirname, 'smarty'),
+            entry: {index: './src/index.js'},
+            // 新版本 Node.js 默认不支持 md4
+            output: {path: '/output', hashFunction: 'sha256'},
+            plugins: []
+        };
+        const compilerCallback = compiler => {
+            compiler.outputFileSystem = new MemoryFS();
+            compiler.hooks.done.tapPromise('test', () => Promise.reject(new Error('upload failed')));
+        };
+        await expect(build({webpackConfig, compilerCallback})).rejects.toEqual({
+            err: new Error('upload failed'),
+            stats: undefined,
+            rawStats: undefined
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file DynamicPagesPlugin test
+ */
+
+const path = require('path');
+const webpack = require('webpack');
+const MemoryFS = require('memory-fs');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const DynamicPagesPlugin = require('../lib/DynamicPagesPlugin');
+const HTMLSecurityPlugin = require('../lib/HTMLSecurityPlugin');
+const {addDevClientToEntry} = require('../utils');
+
+const context = path.join(__dirname, 'dynamicPages');
+
+// 跟 webpack-chain 的 toConfig 一样，插件上带有 __pluginName
+function createPlugin(name) {
+    const plugin = new HtmlWebpackPlugin({filename: `${name}.html`, chunks: [name]});
+    plugin.__pluginName = `html-${name}`;
+    return plugin;
+}
+
+// 生成 app.js 中页面部分的配置
+function createPages(names) {
+    const entry = {};
+    names.forEach(name => {
+        entry[name] = `./src/${name}.js`;
+    });
+    return {entry, plugins: names.map(createPlugin)};
+}
+
+function run(compiler) {
+    return new Promise((resolve, reject) => {
+        compiler.run((err, stats) => {
+            if (err || stats.hasErrors()) {
+                return reject(err || new Error(stats.toString('errors-only')));
+            }
+            const {assets} = stats.compilation;
+            resolve(name => assets[name] && assets[name].source().toString());
+        });
+    });
+}
+
+describe('DynamicPagesPlugin', () => {
+    test('新增、删除页面', async () => {
+        const pages = createPages(['index']);
+        const webpackConfig = {
+            mode: 'development',
+            devtool: false,
+            context,
+            entry: pages.entry,
+            output: {
+                path: '/output',
+                // 新版本 Node.js 默认不支持 md4
+                hashFunction: 'sha256'
+            },
+            // html 插件之后的插件使用 html-webpack-plugin 在 compilation 中创建的钩子
+            plugins: pages.plugins.concat(new HTMLSecurityPlugin({sri: true}))
+        };
+        const plugin = DynamicPagesPlugin.inject(webpackConfig, ['index']);
+        expect(webpackConfig.plugins[0]).toBe(plugin);
+        // serve 时添加的 dev client
+        addDevClientToEntry(webpackConfig, ['./src/client.js']);
+
+        const compiler = webpack(webpackConfig);
+        compiler.outputFileSystem = new MemoryFS();
+        let read = await run(compiler);
+        expect(read('index.html')).toMatch(/<script type="text\/javascript" src="index.js" integrity="sha384-/);
+        expect(read('index.js')).toMatch('window.client = true;');
+
+        plugin.update(createPages(['about']), ['about']);
+        read = await run(compiler);
+        expect(read('index.html')).toBeUndefined();
+        expect(read('index.js')).toBeUndefined();
+        expect(read('about.html')).toMatch(/<script type="text\/javascript" src="about.js" integrity="sha384-/);
+        expect(read('about.js')).toMatch('window.client = true;');
+        expect(read('about.js')).toMatch('window.page = \'about\';');
+    });
+});
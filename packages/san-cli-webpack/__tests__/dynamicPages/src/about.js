@@ -0,0 +1 @@
+window.page = 'about';
@@ -0,0 +1 @@
+window.client = true;
@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file HTMLSecurityPlugin test
+ */
+
+const path = require('path');
+const webpack = require('webpack');
+const MemoryFS = require('memory-fs');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const HTMLSecurityPlugin = require('../lib/HTMLSecurityPlugin');
+const ModernModePlugin = require('../lib/ModernModePlugin');
+const SanHtmlPlugin = require('../lib/HTMLPlugin');
+const {getIntegrity} = require('../lib/AssetManifestPlugin');
+
+const source = content => ({source: () => content, size: () => content.length});
+const compilation = {
+    assets: {
+        'js/index.js': source('window.page = "index";'),
+        'js/vendors.js': source('window.vendors = true;'),
+        'css/index.css': source('body{color:red}')
+    }
+};
+const getTags = () => [
+    {tagName: 'script', attributes: {src: 'https://cdn.com/static/js/index.js?v=1'}},
+    {tagName: 'script', attributes: {src: '/js/vendors.js', crossorigin: 'use-credentials'}},
+    {tagName: 'link', attributes: {rel: 'stylesheet', href: 'css/index.css'}},
+    {tagName: 'script', attributes: {src: 'https://other.com/sdk.js'}},
+    {tagName: 'script', innerHTML: 'console.log(1)'},
+    {tagName: 'meta', attributes: {charset: 'utf-8'}}
+];
+
+describe('HTMLSecurityPlugin', () => {
+    test('sri', () => {
+        const tags = getTags();
+        new HTMLSecurityPlugin({sri: true}).alterAssetTags(compilation, tags);
+        expect(tags[0].attributes).toEqual({
+            src: 'https://cdn.com/static/js/index.js?v=1',
+            integrity: getIntegrity('window.page = "index";', 'sha384'),
+            crossorigin: 'anonymous'
+        });
+        // 已有的 crossorigin 不覆盖
+        expect(tags[1].attributes.crossorigin).toBe('use-credentials');
+        expect(tags[2].attributes.integrity).toBe(getIntegrity('body{color:red}', 'sha384'));
+        // 不是产出的文件不处理
+        expect(tags[3].attributes).toEqual({src: 'https://other.com/sdk.js'});
+        expect(tags[4].attributes).toEqual({});
+
+        const multiple = getTags();
+        new HTMLSecurityPlugin({sri: ['sha256', 'sha512']}).alterAssetTags(compilation, multiple);
+        expect(multiple[0].attributes.integrity).toMatch(/^sha256-\S+ sha512-\S+$/);
+    });
+
+    test('cspNonce', () => {
+        const tags = getTags();
+        new HTMLSecurityPlugin({nonce: true}).alterAssetTags(compilation, tags);
+        expect(tags.map(tag => tag.attributes.nonce)).toEqual([
+            HTMLSecurityPlugin.NONCE_PLACEHOLDER,
+            HTMLSecurityPlugin.NONCE_PLACEHOLDER,
+            HTMLSecurityPlugin.NONCE_PLACEHOLDER,
+            HTMLSecurityPlugin.NONCE_PLACEHOLDER,
+            HTMLSecurityPlugin.NONCE_PLACEHOLDER,
+            undefined
+        ]);
+        expect(tags[0].attributes.integrity).toBeUndefined();
+
+        const smartyTags = getTags();
+        new HTMLSecurityPlugin({nonce: '{%$nonce%}'}).alterAssetTags(compilation, smartyTags);
+        expect(smartyTags[4].attributes.nonce).toBe('{%$nonce%}');
+    });
+});
+
+// 插件顺序跟 san.config.js 生成的配置一致：html 插件、html-security，然后是 browser-target
+function compile({context, entry, template, filename, filenamePrefix = '', plugins = []}) {
+    const compiler = webpack({
+        mode: 'development',
+        devtool: false,
+        context,
+        entry: {index: entry},
+        output: {
+            path: '/output',
+            publicPath: '/static/',
+            // 新版本 Node.js 默认不支持 md4
+            hashFunction: 'sha256',
+            filename: `js/${filenamePrefix}[name].js`
+        },
+        module: {
+            rules: [{test: /\.css$/, use: [MiniCssExtractPlugin.loader, 'css-loader']}]
+        },
+        plugins: [
+            new MiniCssExtractPlugin({filename: 'css/[name].css'}),
+            new HtmlWebpackPlugin(template ? {template, filename} : {filename}),
+            ...plugins
+        ]
+    });
+    compiler.outputFileSystem = new MemoryFS();
+    return new Promise((resolve, reject) => {
+        compiler.run((err, stats) => {
+            if (err || stats.hasErrors()) {
+                return reject(err || new Error(stats.toString('errors-only')));
+            }
+            const {assets} = stats.compilation;
+            resolve(name => assets[name] && assets[name].source().toString());
+        });
+    });
+}
+
+describe('HTMLSecurityPlugin build', () => {
+    test('browserTargets module 模式，legacy 的 nomodule 标签保留 integrity', async () => {
+        const store = {};
+        const options = {
+            context: path.join(__dirname, 'manifest'),
+            entry: './src/about.js',
+            filename: 'index.html'
+        };
+        const security = () => new HTMLSecurityPlugin({sri: true});
+        // 主 target 最后打包
+        const legacy = await compile(
+            Object.assign({}, options, {
+                filenamePrefix: 'legacy-',
+                plugins: [
+                    // 让 legacy 的产出跟 modern 不同
+                    new webpack.BannerPlugin('legacy'),
+                    security(),
+                    new ModernModePlugin({name: 'legacy', mode: 'module', store})
+                ]
+            })
+        );
+        const modern = await compile(
+            Object.assign({}, options, {
+                plugins: [
+                    security(),
+                    new ModernModePlugin({name: 'modern', mode: 'module', module: true, primary: true, store})
+                ]
+            })
+        );
+        expect(legacy('index.html')).toBeUndefined();
+        const html = modern('index.html');
+        const integrity = file => getIntegrity(file, 'sha384');
+        expect(html).toContain(
+            `<script type="module" src="/static/js/index.js" integrity="${integrity(modern('js/index.js'))}"`
+        );
+        expect(html).toContain(
+            '<script type="text/javascript" src="/static/js/legacy-index.js" '
+                + `integrity="${integrity(legacy('js/legacy-index.js'))}" crossorigin="anonymous" nomodule></script>`
+        );
+    });
+
+    test('smarty 模板', async () => {
+        const smarty = {
+            headBlock: '__head_asset',
+            bodyBlock: '__body_asset',
+            leftDelimiter: '{%',
+            rightDelimiter: '%}'
+        };
+        const read = await compile({
+            context: path.join(__dirname, 'smarty'),
+            entry: './src/index.js',
+            template: path.join(__dirname, 'smarty/template/index.tpl'),
+            filename: 'template/index.tpl',
+            plugins: [new SanHtmlPlugin({smarty}), new HTMLSecurityPlugin({sri: true, nonce: '{%$nonce%}'})]
+        });
+        const tpl = read('template/index.tpl');
+        const integrity = getIntegrity(read('js/index.js'), 'sha384');
+        expect(tpl).toContain(
+            `<script type="text/javascript" src="/static/js/index.js" nonce="{%$nonce%}" integrity="${integrity}"`
+        );
+        // css 插入到 head block 中
+        expect(tpl).toMatch(/{%block name="__head_asset"%}<link href="\/static\/css\/index.css" [^>]*integrity="/);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file lintSan test
+ * @author ksky521
+ */
+
+const {CLIEngine} = require('eslint');
+const {extractScript, lintSan} = require('../lib/lintSan');
+
+const source = `<template>
+    <div>{{name}}</div>
+</template>
+
+<script>
+export default {
+    initData() {
+        return {name: foo}
+    }
+};
+</script>
+`;
+
+const createEngine = fix =>
+    new CLIEngine({
+        useEslintrc: false,
+        parserOptions: {ecmaVersion: 2018, sourceType: 'module'},
+        fix,
+        rules: {'no-undef': 2, semi: 2}
+    });
+
+describe('lintSan', () => {
+    test('extractScript', () => {
+        const block = extractScript(source);
+        expect(block.line).toBe(4);
+        expect(block.content).toMatch(/^\nexport default/);
+        expect(extractScript('<template><div></div></template>')).toBeNull();
+        expect(extractScript('<script src="./a.js"></script>')).toBeNull();
+    });
+    test('行号对应原文件', () => {
+        const {results, errorCount} = lintSan(createEngine(false), source, '/a/b.san');
+        expect(errorCount).toBe(2);
+        expect(results[0].filePath).toBe('/a/b.san');
+        expect(results[0].messages.map(m => [m.ruleId, m.line, m.column])).toEqual([
+            ['no-undef', 8, 23],
+            ['semi', 8, 27]
+        ]);
+    });
+    test('fix 只修改 script 代码块', () => {
+        const {results} = lintSan(createEngine(true), source, '/a/b.san');
+        expect(results[0].output).toBe(source.replace('{name: foo}', '{name: foo};'));
+    });
+});
@@ -0,0 +1,3 @@
+require('./style.css');
+window.logo = require('./logo.svg');
+import(/* webpackChunkName: "about" */ './about');
@@ -0,0 +1,4 @@
+module.exports = {
+    'GET /api/user/:id': (req, res) => res.json({id: req.params.id}),
+    'POST /api/user': {ok: true}
+};
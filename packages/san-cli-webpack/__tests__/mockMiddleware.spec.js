@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file mockMiddleware test
+ * @author ksky521
+ */
+
+const path = require('path');
+const createMockMiddleware = require('../lib/mockMiddleware');
+
+const request = (middleware, method, url) =>
+    new Promise(resolve => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+            },
+            setHeader() {},
+            json(data) {
+                resolve({status: this.statusCode, data});
+            }
+        };
+        middleware({method, url, headers: {}, body: {}}, res, () => resolve('next'));
+    });
+
+describe('mockMiddleware', () => {
+    const middleware = createMockMiddleware({dir: path.join(__dirname, 'mock'), watch: false});
+
+    test('读取目录下的 js/json 路由', () => {
+        const routes = createMockMiddleware.loadRoutes(path.join(__dirname, 'mock'));
+        expect(routes.map(r => `${r.method} ${r.path}`)).toEqual([
+            '* /api/list',
+            'GET /api/user/:id',
+            'POST /api/user'
+        ]);
+    });
+    test('匹配 method 和 path 参数', async () => {
+        expect(await request(middleware, 'GET', '/api/user/42?a=1')).toEqual({status: 200, data: {id: '42'}});
+        expect(await request(middleware, 'POST', '/api/user')).toEqual({status: 200, data: {ok: true}});
+        expect(await request(middleware, 'DELETE', '/api/list')).toEqual({status: 200, data: [1, 2, 3]});
+    });
+    test('没有匹配的请求交给下一个中间件', async () => {
+        expect(await request(middleware, 'PUT', '/api/user')).toBe('next');
+        expect(await request(middleware, 'GET', '/other')).toBe('next');
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file smarty 模板相关的插件和中间件 test
+ */
+
+const path = require('path');
+const webpack = require('webpack');
+const MemoryFS = require('memory-fs');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const SanHtmlPlugin = require('../lib/HTMLPlugin');
+const SmartyResourceMapPlugin = require('../lib/SmartyResourceMapPlugin');
+const createSmartyMiddleware = require('../lib/smartyMiddleware');
+
+const context = path.join(__dirname, 'smarty');
+const smarty = {headBlock: '__head_asset', bodyBlock: '__body_asset', leftDelimiter: '{%', rightDelimiter: '%}'};
+
+// page 是 template 目录中模板的路径，也作为 entry 名
+function createCompiler({page = 'index', store} = {}) {
+    const compiler = webpack({
+        mode: 'development',
+        devtool: false,
+        context,
+        entry: {[page]: './src/index.js'},
+        output: {
+            path: '/output',
+            publicPath: '/static/',
+            // 新版本 Node.js 默认不支持 md4
+            hashFunction: 'sha256',
+            filename: 'js/[name].[contenthash:8].js'
+        },
+        module: {
+            rules: [{test: /\.css$/, use: [MiniCssExtractPlugin.loader, 'css-loader']}]
+        },
+        plugins: [
+            new MiniCssExtractPlugin({filename: 'css/[name].[contenthash:8].css'}),
+            new HtmlWebpackPlugin({
+                template: path.join(context, `template/${page}.tpl`),
+                filename: `template/${page}.tpl`,
+                chunks: [page]
+            }),
+            new SanHtmlPlugin({smarty}),
+            new SmartyResourceMapPlugin({namespace: 'home', store})
+        ]
+    });
+    compiler.outputFileSystem = new MemoryFS();
+    return compiler;
+}
+
+function run(compiler) {
+    const fs = compiler.outputFileSystem;
+    return new Promise((resolve, reject) => {
+        compiler.run((err, stats) => {
+            if (err || stats.hasErrors()) {
+                return reject(err || new Error(stats.toString('errors-only')));
+            }
+            resolve(fs);
+        });
+    });
+}
+
+function compile() {
+    return run(createCompiler());
+}
+
+function request(middleware, url) {
+    const [pathname, query = ''] = url.split('?');
+    const req = {method: 'GET', url, path: pathname, query: require('querystring').parse(query)};
+    return new Promise(resolve => {
+        const res = {
+            headers: {},
+            statusCode: 200,
+            setHeader(key, value) {
+                this.headers[key] = value;
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            send(body) {
+                this.end(body);
+            },
+            end(body) {
+                resolve({status: this.statusCode, headers: this.headers, body});
+            }
+        };
+        middleware(req, res, () => resolve(null));
+    });
+}
+
+describe('smarty', () => {
+    test('addAssetBlocks', () => {
+        const {addAssetBlocks} = SanHtmlPlugin;
+        expect(addAssetBlocks('{%block name="__head_asset"%}<meta>{%/block%}', smarty)).toBe(
+            '{%block name="__head_asset"%}<meta><head></head>{%/block%}'
+            + '{%block name="__body_asset"%}<body></body>{%/block%}'
+        );
+        // 完整的页面插入到 </head>、</body> 前面
+        const html = '<html><head></head><body></body></html>';
+        expect(addAssetBlocks(html, smarty)).toBe(html);
+        expect(
+            addAssetBlocks('', Object.assign({}, smarty, {headBlock: 'css', leftDelimiter: '<{', rightDelimiter: '}>'}))
+        ).toBe('<{block name="css"}><head></head><{/block}><{block name="__body_asset"}><body></body><{/block}>');
+    });
+
+    test('tpl 和资源表', async () => {
+        const fs = await compile();
+        const tpl = fs.readFileSync('/output/template/index.tpl', 'utf-8');
+        const {res, pkg} = JSON.parse(fs.readFileSync('/output/config/map.json', 'utf-8'));
+        const [css, js] = ['home:index.css', 'home:index.js'].map(id => res[id].uri);
+        expect(tpl).toMatch(`{%block name="__head_asset"%}<link href="${css}" rel="stylesheet">{%/block%}`);
+        expect(tpl).toMatch(`{%block name="__body_asset"%}<script type="text/javascript" src="${js}"></script>`);
+        expect(tpl).not.toMatch(/<\/?(head|body)>/);
+
+        expect(pkg).toEqual({});
+        expect(Object.keys(res)).toEqual(['home:index.css', 'home:index.js', 'home:index.tpl']);
+        expect(res['home:index.js']).toEqual({
+            uri: expect.stringMatching(/^\/static\/js\/index\.\w{8}\.js$/),
+            type: 'js',
+            deps: ['home:index.css']
+        });
+        expect(res['home:index.tpl']).toEqual({
+            uri: 'index.tpl',
+            type: 'tpl',
+            deps: ['home:index.css', 'home:index.js']
+        });
+    });
+
+    test('pageGroups 的 compiler 共享 store 时合并资源表', async () => {
+        const store = {};
+        const compilers = [createCompiler({store}), createCompiler({store, page: 'user/detail'})];
+        expect((await run(compilers[0])).existsSync('/output/config/map.json')).toBe(false);
+        const fs = await run(compilers[1]);
+        const {res} = JSON.parse(fs.readFileSync('/output/config/map.json', 'utf-8'));
+        expect(Object.keys(res)).toEqual([
+            'home:index.css',
+            'home:index.js',
+            'home:index.tpl',
+            'home:user/detail.css',
+            'home:user/detail.js',
+            'home:user/detail.tpl'
+        ]);
+        expect(res['home:user/detail.tpl'].deps).toEqual(['home:user/detail.css', 'home:user/detail.js']);
+    });
+
+    test('smartyMiddleware', async () => {
+        const render = jest.fn(({template, data}) => `${template}:${JSON.stringify(data)}`);
+        const middleware = createSmartyMiddleware({
+            router: '/template',
+            templateDir: path.join(context, 'template'),
+            dataDir: path.join(context, 'data'),
+            render
+        });
+
+        expect(await request(middleware, '/template')).toEqual({
+            status: 200,
+            headers: {'Content-Type': 'text/html; charset=utf-8'},
+            body: 'index.tpl:{"title":"San"}'
+        });
+        expect((await request(middleware, '/template/user/detail.tpl?name=san')).body).toBe(
+            'user/detail.tpl:{"user":{"name":"san"}}'
+        );
+        expect(render.mock.calls[1][0].templateDir).toBe(path.join(context, 'template'));
+        // 不存在的模板和其他路由交给后面的中间件
+        expect(await request(middleware, '/template/404')).toBeNull();
+        expect(await request(middleware, '/template/../smarty.spec.js')).toBeNull();
+        expect(await request(middleware, '/index.html')).toBeNull();
+
+        render.mockImplementationOnce(() => Promise.reject(new Error('<syntax error>')));
+        const {status, body} = await request(middleware, '/template/index');
+        expect(status).toBe(500);
+        expect(body).toMatch('&lt;syntax error&gt;');
+    });
+});
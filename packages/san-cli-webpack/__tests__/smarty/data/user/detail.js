@@ -0,0 +1 @@
+module.exports = req => ({user: {name: req.query.name}});
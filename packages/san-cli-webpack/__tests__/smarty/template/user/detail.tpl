@@ -0,0 +1,2 @@
+{%extends file="base.tpl"%}
+{%block name="content"%}{%$user.name%}{%/block%}
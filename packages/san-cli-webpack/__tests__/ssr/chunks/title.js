@@ -0,0 +1 @@
+exports.title = 'hello';
@@ -0,0 +1,4 @@
+function Component() {}
+Component.prototype.attach = function () {};
+
+module.exports = Component;
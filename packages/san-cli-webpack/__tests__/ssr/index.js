@@ -0,0 +1,7 @@
+const path = require('path');
+const {title} = require('./chunks/title.js');
+
+module.exports = {
+    __esModule: true,
+    default: context => `<div id="app">${title} ${path.basename(context.url)}</div>`
+};
@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file ssrRenderer test
+ */
+
+const path = require('path');
+const createRenderer = require('../lib/ssrRenderer');
+const {injectTemplate} = createRenderer;
+
+const basedir = path.join(__dirname, 'ssr');
+
+describe('ssrRenderer', () => {
+    test('render function entry', async () => {
+        const renderer = createRenderer({basedir, cwd: basedir});
+        expect(renderer.entries).toEqual(['index', 'component']);
+        expect(await renderer.renderToString('index', {url: '/a/b.html'})).toBe('<div id="app">hello b.html</div>');
+    });
+
+    test('inject template', async () => {
+        const renderer = createRenderer({basedir, cwd: basedir});
+        const html = await renderer.renderToString('index', {url: '/'}, '<body><!--san-ssr-outlet--></body>');
+        expect(html).toBe('<body><div id="app">hello </div></body>');
+        expect(injectTemplate('<body>\n<div id=app></div></body>', 'x')).toBe('<body>\nx</body>');
+        expect(injectTemplate('<body class="a"><script></script></body>', 'x')).toBe(
+            '<body class="a">x<script></script></body>'
+        );
+    });
+
+    test('client manifest', async () => {
+        const renderer = createRenderer({
+            basedir,
+            cwd: basedir,
+            clientManifest: {
+                publicPath: '/static/',
+                entrypoints: {app: {js: ['js/app.js'], css: ['css/app.css']}}
+            }
+        });
+        const html = await renderer.renderToString('index', {url: '/'});
+        expect(html).toContain('<link href="/static/css/app.css" rel="stylesheet"></head>');
+        expect(html).toContain('<div id="app">hello </div><script src="/static/js/app.js"></script></body>');
+    });
+
+    test('errors', async () => {
+        const renderer = createRenderer({basedir, cwd: basedir});
+        await expect(renderer.renderToString('none')).rejects.toThrow('SSR server entry `none` is not found.');
+        // 导出组件时需要安装 san-ssr
+        await expect(renderer.renderToString('component')).rejects.toThrow('Cannot find module `san-ssr`');
+    });
+});
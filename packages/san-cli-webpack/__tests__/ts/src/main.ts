@@ -0,0 +1,8 @@
+import App from './App.san';
+import Layout from './Layout.san';
+import {add} from '@/utils';
+
+const count: number = add(1, 2);
+const title: string = App.title;
+
+export default {App, Layout, count, title};
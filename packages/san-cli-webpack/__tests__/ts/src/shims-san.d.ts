@@ -0,0 +1,4 @@
+declare module '*.san' {
+    const component: any;
+    export default component;
+}
@@ -0,0 +1,60 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file typeCheck test
+ * @author ksky521
+ */
+
+const path = require('path');
+const {getSanTSCode, createTypeChecker} = require('../lib/typeCheck');
+
+const cwd = path.join(__dirname, 'ts');
+
+describe('typeCheck', () => {
+    test('getSanTSCode', () => {
+        const source = [
+            '<template>',
+            '    <div></div>',
+            '</template>',
+            '<script lang="ts">',
+            'const a: number = 1;',
+            '</script>'
+        ].join('\n');
+        const code = getSanTSCode(source);
+        // script 之前的内容替换成空格，行列号不变
+        expect(code.split('\n')[4]).toBe('const a: number = 1;');
+        expect(code.split('\n')[3].trim()).toBe('');
+        expect(getSanTSCode(source.replace(' lang="ts"', ''))).toBeUndefined();
+    });
+    test('检查 .ts 文件和 .san 文件中 lang="ts" 的代码块', () => {
+        const check = createTypeChecker({
+            typescript: require('typescript'),
+            tsconfig: path.join(cwd, 'tsconfig.json'),
+            cwd
+        });
+        const diagnostics = check([path.join(cwd, 'src/App.san'), path.join(cwd, 'src/Layout.san')]);
+        expect(diagnostics.map(({file, line, column, code}) => `${file}:${line}:${column} TS${code}`).sort()).toEqual([
+            'src/App.san:6:7 TS2322',
+            'src/main.ts:6:7 TS2322',
+            'src/utils.ts:5:14 TS2322'
+        ]);
+        const sanError = diagnostics.find(({file}) => file === 'src/App.san');
+        expect(sanError.category).toBe('error');
+        expect(sanError.frame).toMatch(/> 6 \| const count: number = 'one';/);
+    });
+    test('只有 .san 文件时忽略 tsconfig 没有匹配到文件的错误', () => {
+        const cwd = path.join(__dirname, 'ts-san');
+        const check = createTypeChecker({
+            typescript: require('typescript'),
+            tsconfig: path.join(cwd, 'tsconfig.json'),
+            cwd
+        });
+        const diagnostics = check([path.join(cwd, 'src/Count.san')]);
+        expect(diagnostics.map(({file, line, column, code}) => `${file}:${line}:${column} TS${code}`)).toEqual([
+            'src/Count.san:6:7 TS2322'
+        ]);
+    });
+});
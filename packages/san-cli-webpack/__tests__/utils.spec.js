@@ -8,7 +8,8 @@
  * @author yanyiting
  */
 
-const {isJS, isCSS, addDevClientToEntry} = require('../utils');
+const path = require('path');
+const {isJS, isCSS, addDevClientToEntry, getWebpackErrorInfoFromStats, resolveEntry} = require('../utils');
 
 describe('测试isJS', () => {
     test('.js文件', () => {
@@ -61,3 +62,31 @@ describe('测试addDevClientToEntry', () => {
         });
     });
 });
+
+describe('测试getWebpackErrorInfoFromStats', () => {
+    test('没有stats', () => {
+        const err = new Error('hook error');
+        expect(getWebpackErrorInfoFromStats(err)).toEqual({err, stats: undefined, rawStats: undefined});
+    });
+});
+
+describe('测试resolveEntry', () => {
+    const resolve = file => {
+        const config = {resolve: {alias: {}}};
+        const entry = path.join(__dirname, file);
+        return resolveEntry(file, entry, config, 'default-entry.js');
+    };
+    test('.ts文件', () => {
+        expect(resolve('ts/src/main.ts').entry).toEqual({app: path.join(__dirname, 'ts/src/main.ts')});
+    });
+    test('.san文件', () => {
+        const config = resolve('ts/src/App.san');
+        expect(config.entry).toEqual({app: 'default-entry.js'});
+        expect(config.resolve.alias['~entry']).toBe(path.join(__dirname, 'ts/src/App.san'));
+    });
+    test('不支持的文件', () => {
+        expect(() => resolve('manifest/src/style.css')).toThrow(
+            'A valid entry file should be one of: *.js, *.mjs, *.ts, *.san.'
+        );
+    });
+});
@@ -15,37 +15,41 @@ const {getWebpackErrorInfoFromStats} = require('./utils');
 const debug = getDebugLogger('webpack:build');
 const closeDevtoolDebug = getDebugLogger('webpack:closeDevtool');
 
-module.exports = function build({webpackConfig, compilerCallback}) {
-    webpackConfig.plugins.push(new SanFriendlyErrorsPlugin());
+// exitOnError 为 false 时 watch 编译出错不退出进程，Node.js API 中使用
+module.exports = function build({webpackConfig, compilerCallback, exitOnError = true}) {
+    // webpackConfig 是数组的时候使用 MultiCompiler
+    const webpackConfigs = [].concat(webpackConfig);
+    webpackConfigs.forEach(config => config.plugins.push(new SanFriendlyErrorsPlugin()));
+    const isWatch = webpackConfigs.some(config => config.watch === true);
 
     return new Promise((resolve, reject) => {
         debug('start');
 
         if (closeDevtoolDebug.enabled) {
             // 使用DEBUG=san-cli:webpack:closeDevtool 开启
-            webpackConfig.devtool = 'none';
-            webpackConfig.optimization = {
-                minimize: false
-            };
+            webpackConfigs.forEach(config => {
+                config.devtool = 'none';
+                config.optimization = {
+                    minimize: false
+                };
+            });
         }
 
         const compiler = webpack(webpackConfig);
 
-        if (typeof compilerCallback === 'function') {
-            compilerCallback(compiler);
-        }
         const callback = (err, stats) => {
-            if (err || stats.hasErrors()) {
+            // 插件的钩子出错时只有 err，没有 stats
+            const hasErrors = Boolean(stats && stats.hasErrors());
+            if (err || hasErrors) {
                 debug(err);
                 let errorInfo;
-                if (stats.hasErrors()) {
+                if (hasErrors) {
                     errorInfo = stats.toJson();
                     debug(errorInfo.errors);
                 }
 
                 reject(getWebpackErrorInfoFromStats(err, stats));
-                const isWatch = webpackConfig.watch;
-                if (isWatch) {
+                if (isWatch && exitOnError) {
                     debug(err || errorInfo.errorInfo);
                     process.exit(1);
                 }
@@ -54,15 +58,19 @@ module.exports = function build({webpackConfig, compilerCallback}) {
 
             resolve({stats});
         };
-        if (webpackConfig.watch === true) {
-            const watchOptions = webpackConfig.watchOptions || {};
-            return compiler.watch(watchOptions, callback);
-        }
-        try {
-            compiler.run(callback);
-        }
-        catch (e) {
-            reject(e);
-        }
+        const start = () => {
+            if (isWatch) {
+                const watchOptions = webpackConfigs[0].watchOptions || {};
+                return compiler.watch(watchOptions, callback);
+            }
+            try {
+                compiler.run(callback);
+            }
+            catch (e) {
+                reject(e);
+            }
+        };
+        // compilerCallback 返回 Promise 时等待完成之后再开始编译
+        Promise.resolve(typeof compilerCallback === 'function' && compilerCallback(compiler)).then(start, reject);
     });
 };
@@ -0,0 +1,173 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 产出 manifest.json，记录 entry、chunk、css、copy 的文件和 url-loader 产出的资源对应的 url 和 integrity
+ * 给 Smarty 等后端模板查找带 hash 的资源地址
+ * @author ksky521
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const ID = 'san-cli-asset-manifest';
+const isJS = file => /\.m?js(\?[^.]+)?$/.test(file);
+const isCSS = file => /\.css(\?[^.]+)?$/.test(file);
+// sourcemap、hmr 产出的文件和 html 模板不需要
+const isIgnored = file => /\.map$/.test(file) || /\.hot-update\.js(on)?$/.test(file) || /\.(html?|tpl)$/.test(file);
+
+/**
+ * 计算 Subresource Integrity，多个算法使用空格分隔
+ *
+ * @param {Buffer|string} content 文件内容
+ * @param {string|Array} algorithms 算法，sha256、sha384 或 sha512
+ * @return {string} 例如 sha384-xxx
+ */
+function getIntegrity(content, algorithms = 'sha384') {
+    return []
+        .concat(algorithms)
+        .map(algorithm => `${algorithm}-${crypto.createHash(algorithm).update(content).digest('base64')}`)
+        .join(' ');
+}
+
+/**
+ * 收集产出的文件，chunk 使用 chunk 名，url-loader 等产出的资源使用源文件路径，其他使用产出的文件名
+ *
+ * @param {Object} compilation webpack compilation
+ * @param {string} context 项目根目录
+ * @return {Object} {publicPath, assets: {name: file}, entrypoints: {name: [file]}}
+ */
+function collectAssets(compilation, context) {
+    const stats = compilation.getStats().toJson({
+        all: false,
+        publicPath: true,
+        entrypoints: true
+    });
+    const assets = {};
+    const added = new Set();
+    // 同名的以先添加的为准
+    const add = (name, file) => {
+        if (isIgnored(file) || !compilation.assets[file] || assets[name]) {
+            return;
+        }
+        added.add(file);
+        assets[name] = file;
+    };
+
+    // chunk 使用 chunk 名，例如 index.js、index.css，没有名字的异步 chunk 使用 id
+    compilation.chunks.forEach(chunk => {
+        chunk.files.forEach(file => add(`${chunk.name || chunk.id}${path.extname(file)}`, file));
+    });
+    // url-loader、file-loader 产出的资源使用相对项目根目录的源文件路径，例如 src/assets/logo.png
+    compilation.modules.forEach(module => {
+        if (module.resource && module.buildInfo && module.buildInfo.assets) {
+            const name = path.relative(context, module.resource.replace(/\?.*$/, ''));
+            Object.keys(module.buildInfo.assets).forEach(file => add(name.split(path.sep).join('/'), file));
+        }
+    });
+    // copy 等插件添加的文件使用产出的文件名
+    Object.keys(compilation.assets)
+        .filter(file => !added.has(file))
+        .forEach(file => add(file, file));
+
+    const entrypoints = {};
+    Object.keys(stats.entrypoints).forEach(name => {
+        entrypoints[name] = stats.entrypoints[name].assets.filter(file => !isIgnored(file));
+    });
+    const sortedAssets = {};
+    Object.keys(assets)
+        .sort()
+        .forEach(name => (sortedAssets[name] = assets[name]));
+    return {publicPath: stats.publicPath || '', assets: sortedAssets, entrypoints};
+}
+
+/**
+ * pageGroups 打包时多个 compiler 产出到同一个文件，每个 compiler 产出自己的部分，合并之后再写入
+ * 全部 compiler 都产出之后才写入，避免只有部分结果的文件覆盖完整的文件
+ *
+ * @param {Object} [store] 同一次打包的 compiler 之间共享的数据，没有时只有当前 compiler
+ * @param {string} file 产出文件的绝对路径
+ * @return {Function} part => parts，还有 compiler 没有产出时返回 null
+ */
+function shareOutput(store, file) {
+    if (!store) {
+        return part => [part];
+    }
+    const shared = store[file] || (store[file] = {count: 0, parts: []});
+    const index = shared.count++;
+    return part => {
+        shared.parts[index] = part;
+        const parts = shared.parts.filter(Boolean);
+        return parts.length === shared.count ? parts : null;
+    };
+}
+
+// 同名的以先添加的为准，pageGroups 时是第一个分组
+const mergeFirst = objects => Object.assign({}, ...objects.slice().reverse());
+
+module.exports = class AssetManifestPlugin {
+    /**
+     * @param {Object} options 参数
+     * @param {string} [options.filename] manifest 文件名，相对于 output.path
+     * @param {string|Array|false} [options.integrity] 计算 integrity 的算法
+     * @param {Object} [options.store] pageGroups 打包时 compiler 之间共享的数据，产出到同一个文件的结果会合并
+     */
+    constructor({filename = 'manifest.json', integrity = 'sha384', store} = {}) {
+        this.filename = filename;
+        this.integrity = integrity;
+        this.store = store;
+    }
+    apply(compiler) {
+        const share = shareOutput(this.store, path.resolve(compiler.options.output.path || '', this.filename));
+        compiler.hooks.emit.tap(ID, compilation => {
+            const {publicPath, assets, entrypoints} = collectAssets(compilation, compiler.context);
+            Object.keys(assets).forEach(name => {
+                const file = assets[name];
+                if (file === this.filename) {
+                    delete assets[name];
+                    return;
+                }
+                assets[name] = {url: publicPath + file};
+                if (this.integrity) {
+                    assets[name].integrity = getIntegrity(compilation.assets[file].source(), this.integrity);
+                }
+            });
+            Object.keys(entrypoints).forEach(name => {
+                const files = entrypoints[name];
+                entrypoints[name] = {
+                    js: files.filter(isJS).map(file => publicPath + file),
+                    css: files.filter(isCSS).map(file => publicPath + file)
+                };
+            });
+            const parts = share({publicPath, entrypoints, assets});
+            if (!parts) {
+                return;
+            }
+            const mergedAssets = mergeFirst(parts.map(part => part.assets));
+            const sortedAssets = {};
+            Object.keys(mergedAssets)
+                .sort()
+                .forEach(name => (sortedAssets[name] = mergedAssets[name]));
+            const manifest = JSON.stringify(
+                {
+                    publicPath: parts[0].publicPath,
+                    entrypoints: Object.assign({}, ...parts.map(part => part.entrypoints)),
+                    assets: sortedAssets
+                },
+                null,
+                4
+            );
+            compilation.assets[this.filename] = {
+                source: () => manifest,
+                size: () => manifest.length
+            };
+        });
+    }
+};
+
+module.exports.getIntegrity = getIntegrity;
+module.exports.collectAssets = collectAssets;
+module.exports.shareOutput = shareOutput;
+module.exports.mergeFirst = mergeFirst;
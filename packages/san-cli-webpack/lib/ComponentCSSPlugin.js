@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 组件库打包时按照组件产出 css
+ * mini-css-extract-plugin 抽取的 css 按照来源文件分组，src/components/Button.san → css/components/Button.css
+ * @author ksky521
+ */
+
+const path = require('path');
+const {RawSource} = require('webpack-sources');
+
+const ID = 'san-cli-component-css';
+// mini-css-extract-plugin 抽取出来的模块类型
+const MODULE_TYPE = 'css/mini-extract';
+
+module.exports = class ComponentCSSPlugin {
+    /**
+     * @param {Object} options 参数
+     * @param {string} options.context 组件的根目录，一般是入口所在的目录，产出的文件名是相对这个目录的路径
+     * @param {string} [options.dir] 产出目录，相对于 output.path
+     */
+    constructor({context, dir = 'css'}) {
+        this.context = context;
+        this.dir = dir;
+    }
+    apply(compiler) {
+        const {context, dir} = this;
+        const getFilename = file => {
+            let relative = path.relative(context, file);
+            // 入口目录之外的样式（例如 node_modules 中的）使用相对项目根目录的路径
+            if (/^\.\./.test(relative)) {
+                relative = path.relative(compiler.context, file);
+            }
+            const name = relative.slice(0, relative.length - path.extname(relative).length);
+            return `${dir}/${name.split(path.sep).join('/')}.css`;
+        };
+        compiler.hooks.compilation.tap(ID, compilation => {
+            // 放在压缩之前，跟抽取的 css 一起被 optimize-css-assets-webpack-plugin 压缩
+            compilation.hooks.additionalAssets.tap(ID, () => {
+                const groups = new Map();
+                compilation.modules
+                    .filter(module => module.type === MODULE_TYPE)
+                    // 跟引用顺序一致
+                    .sort((a, b) => a.index2 - b.index2)
+                    .forEach(module => {
+                        const file = module.nameForCondition();
+                        const content = module.media
+                            ? `@media ${module.media} {\n${module.content}\n}`
+                            : module.content;
+                        groups.set(file, (groups.get(file) || []).concat(content));
+                    });
+                groups.forEach((contents, file) => {
+                    compilation.assets[getFilename(file)] = new RawSource(contents.join('\n'));
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,116 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file serve 时新增、删除页面不重启 dev server：页面的 entry 改成函数，页面的 html 插件由这个插件 apply，
+ * 更新时移除旧页面插件注册的钩子，再 apply 新页面的插件，重新编译之后 hmr 连接不会断开
+ * @author ksky521
+ */
+
+/**
+ * 从 webpack 配置中取出页面的 entry 和插件，插件是 app.js 中的 html-${name} 和 san-html-${name}
+ *
+ * @param {Object} webpackConfig webpack 配置
+ * @param {Array<string>} names 页面名称
+ * @return {Object} {entry, plugins}
+ */
+function getPages(webpackConfig, names) {
+    const pluginNames = names.reduce((all, name) => all.concat(`html-${name}`, `san-html-${name}`), []);
+    const entry = {};
+    names.forEach(name => {
+        entry[name] = webpackConfig.entry[name];
+    });
+    return {
+        entry,
+        plugins: webpackConfig.plugins.filter(plugin => pluginNames.includes(plugin.__pluginName))
+    };
+}
+
+// compiler 上的全部钩子
+const getHooks = compiler => Object.keys(compiler.hooks).map(name => compiler.hooks[name]);
+
+module.exports = class DynamicPagesPlugin {
+    /**
+     * 使用插件替换 webpack 配置中页面的插件，插件放在第一个页面插件的位置
+     *
+     * @param {Object} webpackConfig webpack 配置，添加 dev client 之前
+     * @param {Array<string>} names 页面名称
+     * @return {DynamicPagesPlugin}
+     */
+    static inject(webpackConfig, names) {
+        const pages = getPages(webpackConfig, names);
+        const plugin = new DynamicPagesPlugin(pages);
+        const index = webpackConfig.plugins.indexOf(pages.plugins[0]);
+        webpackConfig.plugins = webpackConfig.plugins.filter(p => !pages.plugins.includes(p));
+        webpackConfig.plugins.splice(index === -1 ? webpackConfig.plugins.length : index, 0, plugin);
+        return plugin;
+    }
+    constructor({entry, plugins}) {
+        this.entry = entry;
+        this.plugins = plugins;
+        // 页面插件注册的钩子
+        this.taps = new Set();
+    }
+    apply(compiler) {
+        this.compiler = compiler;
+        // serve 时 entry 已经添加了 dev client，页面的 entry 同样需要添加
+        const entry = Object.assign({}, compiler.options.entry);
+        const [name] = Object.keys(this.entry);
+        const length = name ? [].concat(this.entry[name]).length : 0;
+        this.devClients = name ? [].concat(entry[name]).slice(0, -length) : [];
+        Object.keys(this.entry).forEach(key => delete entry[key]);
+        this.staticEntry = entry;
+        // WebpackOptionsApply 在 apply 插件之后才处理 entry，函数形式的 entry 每次编译都会重新获取
+        compiler.options.entry = () => this.getEntry();
+
+        // 记录页面插件的钩子插入的位置，更新之后保持在原来的位置，
+        // html-webpack-plugin 在 compilation 钩子中创建自己的钩子，需要在使用这些钩子的插件之前执行
+        this.positions = new Map(getHooks(compiler).map(hook => [hook, hook.taps.length]));
+        this.applyPlugins(this.plugins);
+    }
+    getEntry() {
+        const entry = Object.assign({}, this.staticEntry);
+        Object.keys(this.entry).forEach(name => {
+            entry[name] = this.devClients.concat(this.entry[name]);
+        });
+        return entry;
+    }
+    applyPlugins(plugins) {
+        const hooks = getHooks(this.compiler);
+        const before = hooks.map(hook => new Set(hook.taps));
+        plugins.forEach(plugin => plugin.apply(this.compiler));
+        hooks.forEach((hook, i) => {
+            const added = hook.taps.filter(tap => !before[i].has(tap));
+            if (!added.length) {
+                return;
+            }
+            added.forEach(tap => this.taps.add(tap));
+            const rest = hook.taps.filter(tap => before[i].has(tap));
+            const position = this.positions.get(hook);
+            hook.taps = rest.slice(0, position).concat(added, rest.slice(position));
+            hook._resetCompilation();
+        });
+    }
+    /**
+     * 使用新的 webpack 配置更新页面，之后需要调用 watching.invalidate() 重新编译
+     *
+     * @param {Object} webpackConfig 重新生成的 webpack 配置
+     * @param {Array<string>} names 页面名称
+     */
+    update(webpackConfig, names) {
+        const {entry, plugins} = getPages(webpackConfig, names);
+        getHooks(this.compiler).forEach(hook => {
+            const taps = hook.taps.filter(tap => !this.taps.has(tap));
+            if (taps.length !== hook.taps.length) {
+                hook.taps = taps;
+                hook._resetCompilation();
+            }
+        });
+        this.taps.clear();
+        this.entry = entry;
+        this.plugins = plugins;
+        this.applyPlugins(plugins);
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 产出 ES Module 格式的 library
+ * webpack 4 不支持 libraryTarget: 'module'，这里使用 var 格式打包，再在产出的头尾加上 import 和 export
+ * @author ksky521
+ */
+
+const {ConcatSource} = require('webpack-sources');
+
+const ID = 'san-cli-esm-library';
+
+// entry 为数组时入口是 MultiModule，导出的是最后一个模块；入口编译失败时返回 null
+function getEntryModule(chunk) {
+    const {entryModule} = chunk;
+    if (entryModule && entryModule.constructor.name === 'MultiModule') {
+        const deps = entryModule.dependencies;
+        return deps[deps.length - 1].module;
+    }
+    return entryModule;
+}
+
+/**
+ * 在 chunk 的 js 文件头尾加上 import 和 export
+ *
+ * @param {Object} compilation webpack compilation
+ * @param {Object} chunk 入口 chunk
+ * @param {Object} options {name, externals}
+ */
+function wrapChunk(compilation, chunk, {name, externals}) {
+    const entryModule = getEntryModule(chunk);
+    // 入口编译失败时不处理，保留 webpack 的编译错误
+    if (!entryModule) {
+        return;
+    }
+    const header = Object.keys(externals)
+        .map(request => `import ${externals[request]} from ${JSON.stringify(request)};\n`)
+        .join('');
+    // 入口是 commonjs 模块时 providedExports 不是数组，整个作为 default 导出
+    const {providedExports} = entryModule.buildMeta || {};
+    const footer = Array.isArray(providedExports)
+        ? providedExports.map(key => getExport(key, name)).join('\n')
+        : `export default ${name};`;
+    chunk.files
+        .filter(file => /\.m?js$/.test(file))
+        .forEach(file => {
+            compilation.assets[file] = new ConcatSource(header, compilation.assets[file], '\n', footer, '\n');
+        });
+}
+
+// 从 library 变量中导出
+function getExport(key, name) {
+    return key === 'default' ? `export default ${name}.default;` : `export var ${key} = ${name}.${key};`;
+}
+
+module.exports = class ESMLibraryPlugin {
+    /**
+     * @param {Object} options 参数
+     * @param {string} options.name output.library 的变量名
+     * @param {Object} [options.externals] {request: 变量名}，跟 webpack externals 的变量名对应
+     */
+    constructor({name, externals = {}}) {
+        this.name = name;
+        this.externals = externals;
+    }
+    apply(compiler) {
+        compiler.hooks.compilation.tap(ID, compilation => {
+            // 放在压缩之后，terser 默认不解析 import/export
+            compilation.hooks.afterOptimizeChunkAssets.tap(ID, chunks => {
+                chunks.filter(chunk => chunk.hasEntryModule()).forEach(chunk => wrapChunk(compilation, chunk, this));
+            });
+        });
+    }
+};
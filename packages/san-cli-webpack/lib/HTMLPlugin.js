@@ -12,6 +12,37 @@ const HtmlWebpackPlugin = require('html-webpack-plugin');
 const {isCSS, isJS} = require('../utils');
 const SMARTY_BLOCK = /{%block name=(["'])__(body|head)_asset[s]?\1%}(.+?){%\/block%}/g;
 
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+// 匹配 {%block name="__head_asset"%}...{%/block%}
+function getBlockRegExp(names, left, right) {
+    const [l, r] = [escapeRegExp(left), escapeRegExp(right)];
+    const name = names.map(escapeRegExp).join('|');
+    return new RegExp(`${l}block name=(["'])(${name})\\1${r}([\\s\\S]*?)${l}\\/block${r}`, 'g');
+}
+
+/**
+ * 在 smarty 的 head、body block 中放入 <head></head>、<body></body>，让 html-webpack-plugin 把标签插入到 block 中，
+ * 没有 block 并且不是完整页面的模板（例如 extends 的子模板）在最后添加 block
+ *
+ * @param {string} html 模板内容
+ * @param {Object} smarty {headBlock, bodyBlock, leftDelimiter, rightDelimiter}
+ * @return {string}
+ */
+function addAssetBlocks(html, {headBlock, bodyBlock, leftDelimiter: l, rightDelimiter: r}) {
+    [['head', headBlock], ['body', bodyBlock]].forEach(([tagName, block]) => {
+        const placeholder = `<${tagName}></${tagName}>`;
+        let found = false;
+        html = html.replace(getBlockRegExp([block], l, r), (m, quote, name, content) => {
+            found = true;
+            return `${l}block name=${quote}${name}${quote}${r}${content}${placeholder}${l}/block${r}`;
+        });
+        if (!found && !new RegExp(`</${tagName}\\s*>`, 'i').test(html)) {
+            html += `${l}block name="${block}"${r}${placeholder}${l}/block${r}`;
+        }
+    });
+    return html;
+}
+
 function main(pluginData, compilation) {
     // console.log(pluginData);
     let publicPath = compilation.outputOptions.publicPath || '';
@@ -77,20 +108,31 @@ function main(pluginData, compilation) {
 
 const name = 'SanHtmlWebpackPlugin';
 module.exports = class HulkHtmlWebpackPlugin {
+    /**
+     * @param {Object} options 参数
+     * @param {Object} [options.smarty] smarty 模式的 {headBlock, bodyBlock, leftDelimiter, rightDelimiter}
+     */
     constructor(options = {}) {
         this.options = options;
+        const {smarty} = options;
+        this.blockRegExp = smarty
+            ? getBlockRegExp([smarty.headBlock, smarty.bodyBlock], smarty.leftDelimiter, smarty.rightDelimiter)
+            : SMARTY_BLOCK;
     }
     apply(compiler) {
         compiler.hooks.compilation.tap(name, compilation => {
             const alterAssetTags = this.alterAssetTags.bind(this, compilation);
+            const beforeHTMLProcessing = this.beforeHTMLProcessing.bind(this, compilation);
             const afterHTMLProcessing = this.afterHTMLProcessing.bind(this, compilation);
             if (HtmlWebpackPlugin.getHooks) {
-                // 支持v4
+                // 支持v4，v4 在 afterTemplateExecution 之后插入标签
                 HtmlWebpackPlugin.getHooks(compilation).alterAssetTags.tapAsync(name, alterAssetTags);
-                HtmlWebpackPlugin.getHooks(compilation).afterTemplateExecution.tapAsync(name, afterHTMLProcessing);
+                HtmlWebpackPlugin.getHooks(compilation).afterTemplateExecution.tapAsync(name, beforeHTMLProcessing);
+                HtmlWebpackPlugin.getHooks(compilation).beforeEmit.tapAsync(name, afterHTMLProcessing);
             }
             else {
                 compilation.hooks.htmlWebpackPluginAlterAssetTags.tapAsync(name, alterAssetTags);
+                compilation.hooks.htmlWebpackPluginBeforeHtmlProcessing.tap(name, beforeHTMLProcessing);
                 compilation.hooks.htmlWebpackPluginAfterHtmlProcessing.tap(name, afterHTMLProcessing);
             }
         });
@@ -100,11 +142,19 @@ module.exports = class HulkHtmlWebpackPlugin {
         typeof cb === 'function' && cb(null, data);
         return data;
     }
+    beforeHTMLProcessing(compilation, data, cb) {
+        if (this.options.smarty) {
+            data.html = addAssetBlocks(data.html, this.options.smarty);
+        }
+        typeof cb === 'function' && cb(null, data);
+        return data;
+    }
     afterHTMLProcessing(compilation, data, cb) {
         // 处理 html 中的{%block name="__head_asset"%}中的 head 和 body tag
-        // data.html = data.html.replace('');
-        data.html = data.html.replace(SMARTY_BLOCK, m => m.replace(/<[/]?(head|body)>/g, ''));
+        data.html = data.html.replace(this.blockRegExp, m => m.replace(/<[/]?(head|body)>/g, ''));
         typeof cb === 'function' && cb(null, data);
         return data;
     }
 };
+
+module.exports.addAssetBlocks = addAssetBlocks;
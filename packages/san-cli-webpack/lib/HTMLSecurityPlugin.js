@@ -0,0 +1,88 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 给 html-webpack-plugin 插入的 script、link 标签加上 integrity、crossorigin 和 CSP nonce
+ * 在 ModernModePlugin 之前处理，legacy 的 nomodule 标签被记录之前就带上 integrity；
+ * 之后再处理一次，给 ModernModePlugin 插入的内联脚本加上 nonce
+ * @author ksky521
+ */
+
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const {getIntegrity} = require('./AssetManifestPlugin');
+
+const ID = 'san-cli-html-security';
+// 默认的 nonce 占位符，由服务端替换成每次请求生成的随机值
+const NONCE_PLACEHOLDER = '__CSP_NONCE__';
+
+// 根据标签的 src 或 href 找到对应的产出文件，publicPath 可能是相对路径或者带域名，所以按照结尾匹配
+function findAsset(assets, url) {
+    url = url.replace(/[?#].*$/, '');
+    return Object.keys(assets)
+        .filter(name => url === name || url.endsWith(`/${name}`))
+        .sort((a, b) => b.length - a.length)[0];
+}
+
+module.exports = class HTMLSecurityPlugin {
+    /**
+     * @param {Object} options 参数
+     * @param {boolean|string|Array} [options.sri] 计算 integrity 的算法，true 时使用 sha384
+     * @param {boolean|string} [options.nonce] nonce 占位符，true 时使用 __CSP_NONCE__
+     * @param {string} [options.crossorigin] 开启 sri 时的 crossorigin 属性，默认是 anonymous
+     */
+    constructor({sri = false, nonce = false, crossorigin = 'anonymous'} = {}) {
+        this.algorithms = sri === true ? 'sha384' : sri;
+        this.nonce = nonce === true ? NONCE_PLACEHOLDER : nonce;
+        this.crossorigin = crossorigin;
+    }
+    apply(compiler) {
+        compiler.hooks.compilation.tap(ID, compilation => {
+            let hook;
+            let getTags;
+            if (HtmlWebpackPlugin.getHooks) {
+                // 支持 v4
+                hook = HtmlWebpackPlugin.getHooks(compilation).alterAssetTags;
+                getTags = ({assetTags}) => assetTags.scripts.concat(assetTags.styles, assetTags.meta);
+            }
+            else if (compilation.hooks.htmlWebpackPluginAlterAssetTags) {
+                hook = compilation.hooks.htmlWebpackPluginAlterAssetTags;
+                getTags = data => data.head.concat(data.body);
+            }
+            if (!hook) {
+                return;
+            }
+            const alterAssetTags = data => {
+                this.alterAssetTags(compilation, getTags(data));
+                return data;
+            };
+            hook.tap(ID, alterAssetTags);
+            // stage 大于 0 的在其他插件之后执行
+            hook.tap({name: ID, stage: 100}, alterAssetTags);
+        });
+    }
+    alterAssetTags(compilation, tags) {
+        tags.forEach(tag => {
+            const attributes = tag.attributes || (tag.attributes = {});
+            const isScript = tag.tagName === 'script';
+            if (!isScript && tag.tagName !== 'link' && tag.tagName !== 'style') {
+                return;
+            }
+            if (this.nonce && !attributes.nonce) {
+                attributes.nonce = this.nonce;
+            }
+            const url = isScript ? attributes.src : tag.tagName === 'link' && attributes.href;
+            if (!this.algorithms || !url || attributes.integrity) {
+                return;
+            }
+            const file = findAsset(compilation.assets, url);
+            if (file) {
+                attributes.integrity = getIntegrity(compilation.assets[file].source(), this.algorithms);
+                attributes.crossorigin = attributes.crossorigin || this.crossorigin;
+            }
+        });
+    }
+};
+
+module.exports.NONCE_PLACEHOLDER = NONCE_PLACEHOLDER;
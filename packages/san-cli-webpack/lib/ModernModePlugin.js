@@ -5,100 +5,126 @@
  * See LICENSE file in the project root for license information.
  *
  * @file modern mode 插件，参考 Vue-cli 实现，增加 hwp 4.x 支持
+ * 扩展为 browserTargets 的每个 target 使用：
+ * 1. module 模式：module target 的 html 中使用 <script type="module">，并插入其他 target 的 <script nomodule>
+ * 2. userAgent 模式：每个 target 产出自己的 html，主 target 产出按照 user agent 选择 html 的 manifest
  * inspired by https://github.com/vuejs/vue-cli/blob/dev/packages/%40vue/cli-service/lib/webpack/ModernModePlugin.js
  */
 
-const fs = require('fs-extra');
-const path = require('path');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 // https://gist.github.com/samthor/64b114e4a4f539915a95b91ffd340acc
 /* eslint-disable max-len,quotes */
 const safariFix = `!function(){var e=document,t=e.createElement("script");if(!("noModule"in t)&&"onbeforeload"in t){var n=!1;e.addEventListener("beforeload",function(e){if(e.target===t)n=!0;else if(!e.target.hasAttribute("nomodule")||!n)return;e.preventDefault()},!0),t.type="module",t.src=".",e.head.appendChild(t),t.remove()}}();`;
 /* eslint-enable max-len,quotes */
+
+const ID = 'san-cli-browser-target';
+
+// html-webpack-plugin 3.x 和 4.x 的钩子，alterAssetTags(outputName, tags, body)，tags 为全部标签，body 用来插入新标签
+function tapHTMLHooks(compilation, {alterAssetTags, afterHTMLProcessing, afterEmit}) {
+    if (HtmlWebpackPlugin.getHooks) {
+        // 我们支持v4
+        const hooks = HtmlWebpackPlugin.getHooks(compilation);
+        hooks.alterAssetTags.tap(ID, data => {
+            const {scripts, styles, meta} = data.assetTags;
+            alterAssetTags(data.outputName, scripts.concat(styles, meta), scripts);
+            return data;
+        });
+        hooks.beforeEmit.tap(ID, data => Object.assign(data, {html: afterHTMLProcessing(data.html)}));
+        hooks.afterEmit.tap(ID, data => {
+            afterEmit(data.outputName);
+            return data;
+        });
+    }
+    else if (compilation.hooks.htmlWebpackPluginAlterAssetTags) {
+        compilation.hooks.htmlWebpackPluginAlterAssetTags.tap(ID, data => {
+            alterAssetTags(data.outputName, data.head.concat(data.body), data.body);
+            return data;
+        });
+        compilation.hooks.htmlWebpackPluginAfterHtmlProcessing.tap(ID, data =>
+            Object.assign(data, {html: afterHTMLProcessing(data.html)})
+        );
+        compilation.hooks.htmlWebpackPluginAfterEmit.tap(ID, data => {
+            afterEmit(data.outputName);
+            return data;
+        });
+    }
+}
+
 class ModernModePlugin {
-    constructor({targetDir, isModernBuild}) {
-        this.targetDir = targetDir;
-        this.isModernBuild = isModernBuild;
+    /**
+     * @param {Object} options 参数
+     * @param {string} options.name target 名
+     * @param {string} options.mode module 或者 userAgent
+     * @param {boolean} options.module 是否使用 <script type="module">
+     * @param {boolean} options.primary 是否是主 target
+     * @param {Object} options.store 同一次打包的 target 之间共享数据，需要保证主 target 最后打包
+     * @param {string} [options.group] pageGroups 打包时的分组名
+     * @param {Object} [options.manifest] 主 target 产出的 manifest
+     * @param {string} [options.manifestFilename] manifest 的文件名
+     */
+    constructor({name, mode, module, primary, store, group = '', manifest, manifestFilename}) {
+        Object.assign(this, {name, mode, module, primary, store, group, manifest, manifestFilename});
     }
     apply(compiler) {
-        if (!this.isModernBuild) {
-            this.applyLegacy(compiler);
-        }
-        else {
-            this.applyModern(compiler);
-        }
-    }
-    applyLegacy(compiler) {
-        const ID = 'san-cli-legacy-bundle';
         compiler.hooks.compilation.tap(ID, compilation => {
-            compilation.hooks.htmlWebpackPluginAlterAssetTags.tapAsync(ID, async (data, cb) => {
-                // get stats, write to disk
-                await fs.ensureDir(this.targetDir);
-                const htmlName = path.basename(data.plugin.options.filename);
-                // Watch out for output files in sub directories
-                const htmlPath = path.dirname(data.plugin.options.filename);
-                const tempFilename = path.join(this.targetDir, htmlPath, `legacy-assets-${htmlName}.json`);
-                await fs.mkdirp(path.dirname(tempFilename));
-                await fs.writeFile(tempFilename, JSON.stringify(data.body));
-                cb();
+            tapHTMLHooks(compilation, {
+                alterAssetTags: this.alterAssetTags.bind(this),
+                afterHTMLProcessing: html => html.replace(/\snomodule=(["'])\1>/g, ' nomodule>'),
+                afterEmit: outputName => {
+                    // module 模式下 html 由 module target 产出
+                    if (this.mode === 'module' && !this.primary) {
+                        delete compilation.assets[outputName];
+                    }
+                }
             });
         });
+        if (this.manifest) {
+            compiler.hooks.emit.tap(ID, compilation => {
+                const manifest = JSON.stringify(this.manifest, null, 4);
+                compilation.assets[this.manifestFilename] = {
+                    source: () => manifest,
+                    size: () => manifest.length
+                };
+            });
+        }
     }
-    applyModern(compiler) {
-        const ID = 'san-cli-modern-bundle';
-        compiler.hooks.compilation.tap(ID, compilation => {
-            const alterAssetTags = this.alterAssetTags.bind(this);
-            const afterHTMLProcessing = this.afterHTMLProcessing.bind(this);
-
-            if (HtmlWebpackPlugin.getHooks) {
-                // 我们支持v4
-                HtmlWebpackPlugin.getHooks(compilation).alterAssetTags.tapAsync(ID, alterAssetTags);
-                HtmlWebpackPlugin.getHooks(compilation).afterTemplateExecution.tap(ID, alterAssetTags);
-            }
-            else {
-                compilation.hooks.htmlWebpackPluginAlterAssetTags.tapAsync(ID, alterAssetTags);
-                compilation.hooks.htmlWebpackPluginAfterHtmlProcessing.tap(ID, afterHTMLProcessing);
-            }
-        });
-    }
-    async alterAssetTags(data, cb) {
+    alterAssetTags(outputName, tags, body) {
+        const store = this.store[this.group] || (this.store[this.group] = {});
+        const scripts = tags.filter(tag => tag.tagName === 'script' && tag.attributes && tag.attributes.src);
+        if (this.mode === 'module' && !this.primary) {
+            // 记录 nomodule 的 script，交给 module target 插入 html
+            store[outputName] = scripts.map(tag =>
+                Object.assign({}, tag, {attributes: Object.assign({}, tag.attributes, {nomodule: ''})})
+            );
+            return;
+        }
+        if (!this.module) {
+            return;
+        }
         // use <script type="module"> for modern assets
-        data.body.forEach(tag => {
-            if (tag.tagName === 'script' && tag.attributes) {
-                tag.attributes.type = 'module';
-            }
+        scripts.forEach(tag => {
+            tag.attributes.type = 'module';
         });
         // use <link rel="modulepreload"> instead of <link rel="preload">
         // for modern assets
-        data.head.forEach(tag => {
-            if (tag.tagName === 'link' && tag.attributes.rel === 'preload' && tag.attributes.as === 'script') {
-                tag.attributes.rel = 'modulepreload';
+        tags.forEach(tag => {
+            const {attributes} = tag;
+            if (tag.tagName === 'link' && attributes && attributes.rel === 'preload' && attributes.as === 'script') {
+                attributes.rel = 'modulepreload';
             }
         });
-        // inject links for legacy assets as <script nomodule>
-        const htmlName = path.basename(data.plugin.options.filename);
-        // Watch out for output files in sub directories
-        const htmlPath = path.dirname(data.plugin.options.filename);
-        const tempFilename = path.join(this.targetDir, htmlPath, `legacy-assets-${htmlName}.json`);
-        const legacyAssets = JSON.parse(await fs.readFile(tempFilename, 'utf-8')).filter(
-            a => a.tagName === 'script' && a.attributes
-        );
-        legacyAssets.forEach(a => {
-            a.attributes.nomodule = '';
-        });
-        // inject inline Safari 10 nomodule fix
-        data.body.push({
-            tagName: 'script',
-            closeTag: true,
-            innerHTML: safariFix
-        });
-        data.body.push(...legacyAssets);
-        await fs.remove(tempFilename);
-        cb();
-    }
-    afterHTMLProcessing(data) {
-        data.html = data.html.replace(/\snomodule=(["'])\1>/g, ' nomodule>');
-        return data;
+        if (this.mode === 'module') {
+            // inject inline Safari 10 nomodule fix
+            body.push({
+                tagName: 'script',
+                closeTag: true,
+                voidTag: false,
+                attributes: {},
+                innerHTML: safariFix
+            });
+            // inject links for legacy assets as <script nomodule>
+            body.push(...(store[outputName] || []));
+        }
     }
 }
 ModernModePlugin.safariFix = safariFix;
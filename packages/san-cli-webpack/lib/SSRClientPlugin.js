@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file SSR 客户端打包插件，产出 client manifest，记录每个 page 需要加载的 js 和 css
+ * @author ksky521
+ */
+
+const ID = 'san-cli-ssr-client';
+const isJS = file => /\.m?js(\?[^.]+)?$/.test(file);
+const isCSS = file => /\.css(\?[^.]+)?$/.test(file);
+// sourcemap 和 hmr 产出的文件不需要
+const isIgnored = file => /\.map$/.test(file) || /\.hot-update\.js(on)?$/.test(file);
+
+module.exports = class SSRClientPlugin {
+    constructor({filename = 'ssr-client-manifest.json'} = {}) {
+        this.filename = filename;
+    }
+    apply(compiler) {
+        compiler.hooks.emit.tap(ID, compilation => {
+            const stats = compilation.getStats().toJson({
+                all: false,
+                publicPath: true,
+                entrypoints: true
+            });
+            const entrypoints = {};
+            Object.keys(stats.entrypoints).forEach(name => {
+                const assets = stats.entrypoints[name].assets.filter(file => !isIgnored(file));
+                entrypoints[name] = {
+                    js: assets.filter(isJS),
+                    css: assets.filter(isCSS)
+                };
+            });
+            const manifest = JSON.stringify(
+                {
+                    publicPath: stats.publicPath,
+                    entrypoints,
+                    all: Object.keys(compilation.assets).filter(file => !isIgnored(file))
+                },
+                null,
+                4
+            );
+            compilation.assets[this.filename] = {
+                source: () => manifest,
+                size: () => manifest.length
+            };
+        });
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file SSR 服务端打包插件，产出 server manifest，记录每个 page 的服务端入口和全部 chunk
+ * @author ksky521
+ */
+
+const ID = 'san-cli-ssr-server';
+
+module.exports = class SSRServerPlugin {
+    constructor({filename = 'ssr-server-manifest.json'} = {}) {
+        this.filename = filename;
+    }
+    apply(compiler) {
+        compiler.hooks.emit.tap(ID, compilation => {
+            const stats = compilation.getStats().toJson({
+                all: false,
+                entrypoints: true
+            });
+            const entrypoints = {};
+            Object.keys(stats.entrypoints).forEach(name => {
+                const files = stats.entrypoints[name].assets.filter(file => /\.js$/.test(file));
+                if (files.length !== 1) {
+                    // 服务端打包关闭了 splitChunks 和 runtimeChunk，每个入口只有一个文件
+                    compilation.errors.push(
+                        new Error(`SSR server entry \`${name}\` should output a single js file, got ${files.length}.`)
+                    );
+                }
+                entrypoints[name] = files[0];
+            });
+            const manifest = JSON.stringify(
+                {
+                    entrypoints,
+                    files: Object.keys(compilation.assets).filter(file => /\.js$/.test(file))
+                },
+                null,
+                4
+            );
+            compilation.assets[this.filename] = {
+                source: () => manifest,
+                size: () => manifest.length
+            };
+        });
+    }
+};
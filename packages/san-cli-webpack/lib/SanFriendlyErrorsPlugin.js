@@ -11,7 +11,13 @@ const {textColor} = require('san-cli-utils/randomColor');
 const SError = require('san-cli-utils/SError');
 const {error, chalk, warn, clearConsole} = require('san-cli-utils/ttyLogger');
 const friendlySyntaxErrorLabel = 'Syntax error:';
+const friendlyTypeErrorLabel = 'Type error:';
 const lineRules = [
+    // TypeCheckPlugin 输出的 TypeScript 错误
+    [
+        /^TS(\d+): (.+)$/,
+        match => `${friendlyTypeErrorLabel} ${match[2]} ${chalk.gray(`TS${match[1]}`)}`
+    ],
     [
         /Line (\d+):(?:(\d+):)?\s*Parsing error: (.+)$/,
         match => `${friendlySyntaxErrorLabel} ${match[3]} (${match[1]}:${match[2]})`
@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 产出 FIS 格式的资源表 {res: {id: {uri, type, deps}}, pkg: {}}
+ * 给 smarty 后端的 {%require%}、{%widget%} 等插件根据 id 查找资源地址和依赖
+ * @author ksky521
+ */
+
+const path = require('path');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const {collectAssets, shareOutput, mergeFirst} = require('./AssetManifestPlugin');
+
+const ID = 'san-cli-smarty-resource-map';
+const isJS = file => /\.m?js$/.test(file);
+const toPosix = file => file.split(path.sep).join('/');
+const unique = arr => arr.filter((item, i) => item && arr.indexOf(item) === i);
+
+module.exports = class SmartyResourceMapPlugin {
+    /**
+     * @param {Object} options 参数
+     * @param {string} [options.filename] 资源表的文件名，相对于 output.path
+     * @param {string} [options.namespace] 命名空间，资源 id 为 namespace:name
+     * @param {string} [options.templateDir] tpl 的产出目录，相对于 output.path，模板 id 为相对这个目录的路径
+     * @param {Object} [options.store] pageGroups 打包时 compiler 之间共享的数据，产出到同一个文件的资源表会合并
+     */
+    constructor({filename = 'config/map.json', namespace = '', templateDir = 'template', store} = {}) {
+        this.filename = filename;
+        this.namespace = namespace;
+        this.templateDir = templateDir;
+        this.store = store;
+    }
+    getId(name) {
+        return this.namespace ? `${this.namespace}:${name}` : name;
+    }
+    apply(compiler) {
+        const share = shareOutput(this.store, path.resolve(compiler.options.output.path || '', this.filename));
+        compiler.hooks.emit.tap(ID, compilation => {
+            const {publicPath, assets, entrypoints} = collectAssets(compilation, compiler.context);
+            const res = {};
+            // 产出文件 → id
+            const ids = {};
+            Object.keys(assets).forEach(name => {
+                const file = assets[name];
+                if (file === this.filename) {
+                    return;
+                }
+                ids[file] = this.getId(name);
+                res[ids[file]] = {uri: publicPath + file, type: path.extname(file).slice(1)};
+            });
+
+            // entry 的 js 依赖同一个 entrypoint 中的其他文件，例如 runtime、vendors 和 entry 的 css
+            Object.keys(entrypoints).forEach(name => {
+                const files = entrypoints[name];
+                const main = files.filter(isJS).pop();
+                const deps = unique(files.filter(file => file !== main).map(file => ids[file]));
+                if (main && ids[main] && deps.length) {
+                    res[ids[main]].deps = deps;
+                }
+            });
+
+            // html-webpack-plugin 产出到 templateDir 中的 tpl 依赖页面 chunks 对应的 entrypoint
+            const outputPath = compiler.options.output.path;
+            const templateDir = path.resolve(outputPath, this.templateDir);
+            compiler.options.plugins
+                .filter(plugin => plugin instanceof HtmlWebpackPlugin)
+                .forEach(({options}) => {
+                    const file = toPosix(path.relative(templateDir, path.resolve(outputPath, options.filename)));
+                    if (file.startsWith('..')) {
+                        return;
+                    }
+                    const chunks = !options.chunks || options.chunks === 'all'
+                        ? Object.keys(entrypoints)
+                        : [].concat(options.chunks).filter(chunk => entrypoints[chunk]);
+                    const files = [].concat(...chunks.map(chunk => entrypoints[chunk]));
+                    res[this.getId(file)] = {
+                        uri: file,
+                        type: path.extname(file).slice(1),
+                        deps: unique(files.map(file => ids[file]))
+                    };
+                });
+
+            const parts = share(res);
+            if (!parts) {
+                return;
+            }
+            const mergedRes = mergeFirst(parts);
+            const sortedRes = {};
+            Object.keys(mergedRes)
+                .sort()
+                .forEach(id => (sortedRes[id] = mergedRes[id]));
+            const map = JSON.stringify({res: sortedRes, pkg: {}}, null, 4);
+            compilation.assets[this.filename] = {
+                source: () => map,
+                size: () => map.length
+            };
+        });
+    }
+};
@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file TypeScript 类型检查插件，在子进程中检查，结果作为 compilation 的 errors/warnings 输出
+ * 模块构建完成后开始检查，跟 webpack 的 seal 阶段并行，afterCompile 时等待检查结果
+ * @author ksky521
+ */
+
+const {fork} = require('child_process');
+const SError = require('san-cli-utils/SError');
+
+const ID = 'san-cli-type-check';
+
+// stats 输出时 file 在第一行，message 第一行是 TS 错误码，SanFriendlyErrorsPlugin 转成 Type error
+class TypeCheckError extends Error {
+    constructor({file, line, column, code, message, frame}) {
+        super([`TS${code}: ${message}`].concat(frame || []).join('\n'));
+        this.name = 'TypeCheckError';
+        if (file) {
+            this.file = `${file}:${line}:${column}`;
+        }
+    }
+}
+
+module.exports = class TypeCheckPlugin {
+    constructor({tsconfig, cwd}) {
+        let typescriptPath;
+        try {
+            // 优先使用项目中安装的 typescript
+            typescriptPath = require.resolve('typescript', {paths: [cwd, __dirname]});
+        }
+        catch (e) {
+            throw new SError('Type checking requires `typescript`, please install it: npm i -D typescript');
+        }
+        this.options = {typescriptPath, tsconfig, cwd};
+        this.worker = null;
+        this.callbacks = new Map();
+        this.requestId = 0;
+    }
+    check(files) {
+        if (!this.worker) {
+            this.worker = fork(require.resolve('./typeCheckWorker'), [JSON.stringify(this.options)]);
+            this.worker.on('message', ({id, diagnostics, error}) => {
+                const callback = this.callbacks.get(id);
+                this.callbacks.delete(id);
+                callback(error ? new Error(error) : null, diagnostics);
+            });
+            this.worker.on('exit', code => {
+                this.worker = null;
+                // 子进程意外退出，未完成的检查都失败
+                this.callbacks.forEach(callback => callback(new Error(`Type checker exited with code ${code}`)));
+                this.callbacks.clear();
+            });
+        }
+        return new Promise((resolve, reject) => {
+            const id = ++this.requestId;
+            this.callbacks.set(id, (err, diagnostics) => (err ? reject(err) : resolve(diagnostics)));
+            this.worker.send({id, files});
+        });
+    }
+    close() {
+        if (this.worker) {
+            // 主动结束的不算失败
+            this.worker.removeAllListeners('exit');
+            this.worker.kill();
+            this.worker = null;
+        }
+    }
+    apply(compiler) {
+        let pending = null;
+        // thisCompilation 不会被 html-webpack-plugin 等创建的子编译继承
+        compiler.hooks.thisCompilation.tap(ID, compilation => {
+            compilation.hooks.finishModules.tap(ID, modules => {
+                // 打包用到的 .san 文件，其中 lang="ts" 的参与检查
+                const files = new Set();
+                modules.forEach(({resource}) => {
+                    const file = resource && resource.split('?')[0];
+                    if (file && /\.san$/.test(file) && !/node_modules/.test(file)) {
+                        files.add(file);
+                    }
+                });
+                pending = this.check([...files]);
+                // 避免在 afterCompile 之前失败时出现 unhandled rejection
+                pending.catch(() => {});
+            });
+        });
+        compiler.hooks.afterCompile.tapPromise(ID, async compilation => {
+            if (compilation.compiler !== compiler || !pending) {
+                return;
+            }
+            const task = pending;
+            pending = null;
+            try {
+                const diagnostics = await task;
+                diagnostics.forEach(diagnostic => {
+                    const list = diagnostic.category === 'warning' ? compilation.warnings : compilation.errors;
+                    list.push(new TypeCheckError(diagnostic));
+                });
+            }
+            catch (e) {
+                compilation.errors.push(e);
+            }
+        });
+        // build 结束或者 watch 关闭时结束子进程
+        compiler.hooks.done.tap(ID, () => {
+            if (!compiler.watchMode) {
+                this.close();
+            }
+        });
+        compiler.hooks.watchClose.tap(ID, () => this.close());
+    }
+};
+
+module.exports.TypeCheckError = TypeCheckError;
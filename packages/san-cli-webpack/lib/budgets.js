@@ -0,0 +1,148 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 体积预算，san build 之后按 entry、资源 glob、初始 js/css 总大小检查产出
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const minimatch = require('minimatch');
+const ConsoleTable = require('tty-table');
+const SError = require('san-cli-utils/SError');
+const {chalk} = require('san-cli-utils/ttyLogger');
+const {textColor} = require('san-cli-utils/randomColor');
+const flatten = require('san-cli-utils/utils').flatten;
+
+const UNITS = {b: 1, kb: 1024, kib: 1024, mb: 1024 * 1024, mib: 1024 * 1024};
+const isJS = file => /\.m?js$/.test(file);
+const isCSS = file => /\.css$/.test(file);
+
+/**
+ * 解析预算大小
+ *
+ * @param {number|string} size 字节数或者带单位的字符串，例如 200kb、1.5mb
+ * @return {number} 字节数
+ */
+function parseSize(size) {
+    if (typeof size === 'number') {
+        return size;
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(size).trim());
+    const unit = match && (match[2].toLowerCase() || 'b');
+    if (!match || !UNITS[unit]) {
+        throw new SError(`Invalid budget size \`${size}\`, use bytes or a string like \`200kb\`.`);
+    }
+    return Math.round(parseFloat(match[1]) * UNITS[unit]);
+}
+
+function getCompressedSize(buffer, compression) {
+    if (compression === 'gzip') {
+        return zlib.gzipSync(buffer).length;
+    }
+    if (compression === 'brotli') {
+        if (!zlib.brotliCompressSync) {
+            throw new SError('Brotli budgets require Node.js >= 11.7, use `compression: \'gzip\'` instead.');
+        }
+        return zlib.brotliCompressSync(buffer).length;
+    }
+    return buffer.length;
+}
+
+/**
+ * 检查产出是否超出预算，MultiCompiler 时每个 compiler 单独检查，服务端打包不检查
+ *
+ * @param {Object} stats webpack stats.toJson() 的结果，需要包含 assets、entrypoints、outputPath
+ * @param {Object} budgets 预算配置
+ * @param {string} [budgets.compression] 计算大小的压缩方式：gzip、brotli 或者 none，默认是 gzip
+ * @param {Object} [budgets.entries] {entry 名: 大小}，entry 的初始 js 和 css 总大小
+ * @param {Object} [budgets.assets] {glob: 大小}，匹配的每个资源的大小
+ * @param {Object} [budgets.initial] {js, css}，全部 entry 的初始 js、css 总大小
+ * @return {Array} [{compiler, type, name, size, limit, passed}]
+ */
+function checkBudgets(stats, {compression = 'gzip', entries = {}, assets = {}, initial = {}}) {
+    const children = Array.isArray(stats.children) && !stats.entrypoints
+        ? stats.children.filter(({name}) => name !== 'server')
+        : [stats];
+    const results = [];
+    children.forEach(child => {
+        const compiler = children.length > 1 ? child.name : undefined;
+        const sizes = new Map();
+        const getSize = file => {
+            if (!sizes.has(file)) {
+                sizes.set(file, getCompressedSize(fs.readFileSync(path.join(child.outputPath, file)), compression));
+            }
+            return sizes.get(file);
+        };
+        const check = (type, name, files, limit) => {
+            const size = files.reduce((total, file) => total + getSize(file), 0);
+            limit = parseSize(limit);
+            results.push({compiler, type, name, size, limit, passed: size <= limit});
+        };
+        const entrypoints = child.entrypoints || {};
+
+        // 不在当前 compiler 中的 entry 跳过，例如 pageGroups 的其他分组
+        Object.keys(entries)
+            .filter(name => entrypoints[name])
+            .forEach(name => {
+                check('entry', name, entrypoints[name].assets.filter(file => isJS(file) || isCSS(file)), entries[name]);
+            });
+        Object.keys(assets).forEach(pattern => {
+            (child.assets || [])
+                .filter(({name}) => minimatch(name, pattern))
+                .forEach(({name}) => check('asset', name, [name], assets[pattern]));
+        });
+        const initialFiles = [...new Set(flatten(Object.keys(entrypoints).map(name => entrypoints[name].assets)))];
+        if (initial.js !== undefined) {
+            check('initial', 'js', initialFiles.filter(isJS), initial.js);
+        }
+        if (initial.css !== undefined) {
+            check('initial', 'css', initialFiles.filter(isCSS), initial.css);
+        }
+    });
+    return results;
+}
+
+/**
+ * 输出预算检查结果的表格
+ *
+ * @param {Array} results checkBudgets 的结果
+ * @param {Object} budgets 预算配置
+ * @return {string} 表格
+ */
+function formatBudgets(results, {compression = 'gzip'}) {
+    const formatSize = size => (size / 1024).toFixed(2) + ' KiB';
+    let maxNameWidth = 0;
+    const rows = results.map(({compiler, type, name, size, limit, passed}) => {
+        const budgetName = `${compiler ? `${compiler} ` : ''}${type} ${name}`;
+        maxNameWidth = Math.max(maxNameWidth, budgetName.length + 2);
+        return [
+            budgetName,
+            passed ? formatSize(size) : chalk.underline.red.bold(formatSize(size)),
+            formatSize(limit),
+            passed ? chalk.green('ok') : chalk.red('exceeded')
+        ];
+    });
+    const table = new ConsoleTable(
+        [
+            {value: 'Budget', align: 'right', width: Math.min(Math.max(maxNameWidth, 10), 50)},
+            {value: compression === 'none' ? 'Size' : `Size (${compression})`, align: 'center', width: 18},
+            {value: 'Limit', align: 'center', width: 16},
+            {value: 'Status', align: 'center', width: 12}
+        ],
+        rows,
+        {
+            borderColor: 'blue'
+        }
+    );
+    const exceeded = results.filter(({passed}) => !passed).length;
+    return `\n  Budgets ${exceeded ? chalk.red(`${exceeded} exceeded`) : textColor('passed')}.${table.render()}\n`;
+}
+
+exports.parseSize = parseSize;
+exports.checkBudgets = checkBudgets;
+exports.formatBudgets = formatBudgets;
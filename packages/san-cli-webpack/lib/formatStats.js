@@ -22,7 +22,18 @@ const flatten = require('san-cli-utils/utils').flatten;
 const MAX_SIZE = 500 * 1024;
 // const RECOMMEND_SIZE = 244;
 module.exports = function formatStats(stats, destDir, {resolve}) {
-    const isJS = val => /\.js$/.test(val);
+    // MultiCompiler 的 stats，每个 compiler 单独输出，然后合并
+    if (Array.isArray(stats.children) && !stats.entrypoints) {
+        return stats.children
+            .map(child => {
+                const childDestDir = child.outputPath || destDir;
+                return `\n  Compiler ${textColor(child.name)}, Output ${textColor(
+                    path.relative(resolve('.'), resolve(childDestDir)) || '.'
+                )}${formatStats(child, childDestDir, {resolve})}`;
+            })
+            .join('');
+    }
+    const isJS = val => /\.m?js$/.test(val);
     const isCSS = val => /\.css$/.test(val);
     const isMinJS = val => /\.min\.js$/.test(val);
 
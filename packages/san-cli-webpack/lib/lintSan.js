@@ -0,0 +1,87 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 使用 eslint 检查 .san 文件的 script 代码块，行列号对应到原文件
+ * @author ksky521
+ */
+
+const parse = require('san-loader/lib/utils/parse');
+
+// eslint 只处理 js 的 script
+const JS_LANGS = ['js', 'javascript', 'babel', 'jsx'];
+
+/**
+ * 取出 .san 文件中的 script 代码块和它在原文件中的位置
+ *
+ * @param {string} source .san 文件内容
+ * @return {Object|null} {content, start, end, line, column}，line 和 column 是代码块前面的行数和列数
+ */
+function extractScript(source) {
+    const {descriptor} = parse(source, ['script']);
+    const script = descriptor.script && descriptor.script[0];
+    if (!script || script.attribs.src || (script.attribs.lang && !JS_LANGS.includes(script.attribs.lang))) {
+        return null;
+    }
+    const textNode = script.children && script.children[0];
+    if (!textNode) {
+        return null;
+    }
+    const start = textNode.startIndex;
+    const lines = source.slice(0, start).split('\n');
+    return {
+        content: textNode.data,
+        start,
+        end: start + textNode.data.length,
+        line: lines.length - 1,
+        column: lines[lines.length - 1].length
+    };
+}
+
+// 将 script 代码块中的行列号映射回原文件
+function mapMessage(message, block) {
+    const mapPosition = (line, column) => [line + block.line, line === 1 ? column + block.column : column];
+    if (message.line) {
+        [message.line, message.column] = mapPosition(message.line, message.column);
+    }
+    if (message.endLine) {
+        [message.endLine, message.endColumn] = mapPosition(message.endLine, message.endColumn);
+    }
+    if (message.fix) {
+        message.fix.range = message.fix.range.map(index => index + block.start);
+    }
+    return message;
+}
+
+/**
+ * 检查 .san 文件，返回值跟 CLIEngine#executeOnText 一致
+ *
+ * @param {Object} engine eslint CLIEngine 实例
+ * @param {string} source .san 文件内容
+ * @param {string} filePath .san 文件路径
+ * @return {Object} eslint report，fix 时 results[0].output 为修复后的完整 .san 文件内容
+ */
+function lintSan(engine, source, filePath) {
+    const block = extractScript(source);
+    if (!block) {
+        return {results: [], errorCount: 0, warningCount: 0, fixableErrorCount: 0, fixableWarningCount: 0};
+    }
+
+    // 使用 .js 后缀，让 eslint 按照 js 文件查找配置
+    const report = engine.executeOnText(block.content, `${filePath}.js`);
+    report.results.forEach(result => {
+        result.filePath = filePath;
+        result.messages.forEach(message => mapMessage(message, block));
+        // codeframe 等 formatter 使用 source 展示代码
+        result.source = source;
+        if (result.output !== undefined) {
+            result.output = source.slice(0, block.start) + result.output + source.slice(block.end);
+        }
+    });
+    return report;
+}
+
+exports.extractScript = extractScript;
+exports.lintSan = lintSan;
@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file mock 数据中间件，读取 mock 目录下的 js/json 文件作为路由，文件修改后自动重新加载
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {getScopeLogger, getDebugLogger} = require('san-cli-utils/ttyLogger');
+
+const debug = getDebugLogger('webpack:mock');
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// /api/user/:id → 正则 + 参数名，* 匹配任意字符
+function compilePath(routePath) {
+    const keys = [];
+    const source = routePath
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+    return {re: new RegExp(`^${source}/?$`), keys};
+}
+
+// 'GET /api/user/:id' → {method: 'GET', path: '/api/user/:id'}
+function parseRouteKey(key) {
+    const [method, routePath] = key.trim().split(/\s+/);
+    if (!routePath) {
+        return {method: '*', path: method};
+    }
+    return {method: method.toUpperCase(), path: routePath};
+}
+
+/**
+ * 将 mock 文件的导出规范成路由数组
+ * 1. 数组：[{method, path, status, delay, headers, response}]
+ * 2. 对象：{'GET /api/user/:id': response}
+ * response 为函数时当作 express 中间件 (req, res, next)，否则作为 JSON 返回
+ */
+function normalizeRoutes(exported, file) {
+    const routes = Array.isArray(exported)
+        ? exported
+        : Object.keys(exported || {}).map(key => Object.assign(parseRouteKey(key), {response: exported[key]}));
+    return routes.map(route => {
+        const method = (route.method || '*').toUpperCase();
+        if (method !== '*' && !METHODS.includes(method)) {
+            throw new Error(`${file}: unknown method \`${route.method}\` of \`${route.path}\``);
+        }
+        if (typeof route.path !== 'string') {
+            throw new Error(`${file}: \`path\` of route is required`);
+        }
+        return Object.assign({}, route, {method, file}, compilePath(route.path));
+    });
+}
+
+function loadRoutes(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    const routes = [];
+    const walk = current => {
+        fs.readdirSync(current).forEach(name => {
+            const file = path.join(current, name);
+            if (fs.statSync(file).isDirectory()) {
+                walk(file);
+            }
+            else if (/\.(js|json)$/.test(name)) {
+                delete require.cache[file];
+                routes.push(...normalizeRoutes(require(file), path.relative(dir, file)));
+            }
+        });
+    };
+    walk(dir);
+    return routes;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        // 已经被其他中间件解析过了
+        if (req.body !== undefined || ['GET', 'HEAD'].includes(req.method)) {
+            return resolve(req.body);
+        }
+        let raw = '';
+        req.on('data', chunk => (raw += chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const type = req.headers['content-type'] || '';
+            if (/json/.test(type)) {
+                try {
+                    return resolve(JSON.parse(raw || '{}'));
+                }
+                catch (e) {
+                    return reject(e);
+                }
+            }
+            if (/x-www-form-urlencoded/.test(type)) {
+                const querystring = require('querystring');
+                return resolve(querystring.parse(raw));
+            }
+            resolve(raw);
+        });
+    });
+}
+
+/**
+ * 生成 mock 中间件，没有匹配到的请求交给后面的中间件（例如 devServer.proxy）处理
+ *
+ * @param {Object} options {dir, delay, watch}
+ * @return {Function} express 中间件，close 方法用来停止监听
+ */
+module.exports = function createMockMiddleware({dir, delay = 0, watch = true}) {
+    const logger = getScopeLogger('mock');
+    let routes = [];
+    const reload = () => {
+        try {
+            routes = loadRoutes(dir);
+            debug('load %d mock routes from %s', routes.length, dir);
+        }
+        catch (e) {
+            // 保留上一次的路由，修复后重新加载
+            logger.error(e);
+        }
+    };
+    reload();
+
+    let watcher;
+    if (watch) {
+        const chokidar = require('chokidar');
+        watcher = chokidar.watch(dir, {ignoreInitial: true}).on('all', (event, file) => {
+            logger.info(`${path.relative(dir, file)} changed, reload mock routes.`);
+            reload();
+        });
+    }
+
+    const middleware = (req, res, next) => {
+        const pathname = req.path || req.url.split('?')[0];
+        let params;
+        const route = routes.find(route => {
+            if (route.method !== '*' && route.method !== req.method) {
+                return false;
+            }
+            const match = route.re.exec(pathname);
+            if (!match) {
+                return false;
+            }
+            params = {};
+            route.keys.forEach((key, i) => (params[key] = decodeURIComponent(match[i + 1])));
+            return true;
+        });
+        if (!route) {
+            return next();
+        }
+
+        debug('%s %s → %s', req.method, pathname, route.file);
+        readBody(req)
+            .then(body => {
+                req.body = body;
+                req.params = Object.assign({}, req.params, params);
+                setTimeout(() => {
+                    const {status = 200, headers = {}, response} = route;
+                    res.status(status);
+                    Object.keys(headers).forEach(key => res.setHeader(key, headers[key]));
+                    try {
+                        if (typeof response === 'function') {
+                            response(req, res, next);
+                        }
+                        else {
+                            res.json(response);
+                        }
+                    }
+                    catch (e) {
+                        next(e);
+                    }
+                }, route.delay === undefined ? delay : route.delay);
+            })
+            .catch(next);
+    };
+    middleware.close = () => watcher && watcher.close();
+    return middleware;
+};
+
+module.exports.loadRoutes = loadRoutes;
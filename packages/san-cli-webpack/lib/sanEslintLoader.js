@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file .san 文件的 eslint loader，参数跟 eslint-loader 一致
+ * eslint-loader 只能检查整个文件，.san 需要先取出 script 代码块再检查
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const loaderUtils = require('loader-utils');
+const {lintSan} = require('./lintSan');
+
+const engines = {};
+
+module.exports = function (source) {
+    const {
+        eslintPath = 'eslint',
+        formatter = 'stylish',
+        emitError,
+        emitWarning,
+        failOnError,
+        failOnWarning,
+        // eslint-loader 的参数，CLIEngine 用不到
+        /* eslint-disable no-unused-vars */
+        cache,
+        outputReport,
+        /* eslint-enable no-unused-vars */
+        ...engineOptions
+    } = loaderUtils.getOptions(this) || {};
+    const {CLIEngine} = require(eslintPath);
+
+    // 相同配置复用 CLIEngine
+    const key = JSON.stringify(engineOptions);
+    if (!engines[key]) {
+        engines[key] = new CLIEngine(engineOptions);
+    }
+
+    const report = lintSan(engines[key], source, this.resourcePath);
+    const result = report.results[0];
+    if (engineOptions.fix && result && result.output !== undefined) {
+        fs.writeFileSync(this.resourcePath, result.output);
+    }
+    if (!report.errorCount && !report.warningCount) {
+        return source;
+    }
+
+    const format = typeof formatter === 'function' ? formatter : CLIEngine.getFormatter(formatter);
+    const message = format(report.results);
+    if ((failOnError && report.errorCount) || (failOnWarning && report.warningCount)) {
+        throw new Error(`Module failed because of a eslint ${report.errorCount ? 'error' : 'warning'}.\n${message}`);
+    }
+
+    let emit = report.errorCount ? this.emitError : this.emitWarning;
+    if (emitError) {
+        emit = this.emitError;
+    }
+    else if (emitWarning) {
+        emit = this.emitWarning;
+    }
+    emit.call(this, new Error(message));
+    return source;
+};
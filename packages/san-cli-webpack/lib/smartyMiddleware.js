@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file smarty 开发中间件，使用 mock 数据渲染 html-webpack-plugin 写到磁盘的 tpl
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {spawn} = require('child_process');
+const {getScopeLogger, getDebugLogger} = require('san-cli-utils/ttyLogger');
+
+const debug = getDebugLogger('webpack:smarty');
+const RENDER_SCRIPT = path.join(__dirname, 'smartyRender.php');
+
+const escapeHTML = str => str.replace(/[&<>]/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;'}[c]));
+
+// smartyDir 可以是 Smarty.class.php、libs 目录或者 smarty 包的目录，默认使用 composer 安装的 smarty
+function findSmarty(smartyDir, cwd) {
+    const candidates = smartyDir
+        ? ['', 'Smarty.class.php', 'libs/Smarty.class.php'].map(file => path.resolve(cwd, smartyDir, file))
+        : [path.resolve(cwd, 'vendor/smarty/smarty/libs/Smarty.class.php')];
+    return candidates.find(file => /\.php$/.test(file) && fs.existsSync(file));
+}
+
+/**
+ * 生成使用 php 命令渲染模板的函数
+ *
+ * @param {Object} options 参数
+ * @param {string} [options.bin] php 命令
+ * @param {string} [options.smartyDir] smarty 的路径
+ * @param {string|Array} [options.pluginsDir] 额外的 smarty 插件目录，例如 FIS 的 require、widget 插件
+ * @param {string} [options.leftDelimiter] 左定界符
+ * @param {string} [options.rightDelimiter] 右定界符
+ * @param {string} options.compileDir smarty 的编译目录
+ * @param {string} options.cwd 项目根目录
+ * @return {Function} ({templateDir, template, data}) => Promise<string>
+ */
+function createPHPRenderer({
+    bin = 'php',
+    smartyDir,
+    pluginsDir = [],
+    leftDelimiter = '{%',
+    rightDelimiter = '%}',
+    compileDir,
+    cwd
+}) {
+    return ({templateDir, template, data}) =>
+        new Promise((resolve, reject) => {
+            const smartyClass = findSmarty(smartyDir, cwd);
+            if (!smartyClass) {
+                const message = 'Cannot find Smarty.class.php, '
+                    + 'set `smarty.smartyDir` or run `composer require smarty/smarty`';
+                return reject(new Error(message));
+            }
+            const child = spawn(bin, [RENDER_SCRIPT], {cwd});
+            let stdout = '';
+            let stderr = '';
+            child.stdout.on('data', chunk => (stdout += chunk));
+            child.stderr.on('data', chunk => (stderr += chunk));
+            // php 命令不存在
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code === 0) {
+                    return resolve(stdout);
+                }
+                reject(new Error(stderr || stdout || `\`${bin}\` exited with code ${code}`));
+            });
+            child.stdin.end(
+                JSON.stringify({
+                    smartyClass,
+                    templateDir,
+                    template,
+                    compileDir,
+                    pluginsDir: [].concat(pluginsDir).map(dir => path.resolve(cwd, dir)),
+                    leftDelimiter,
+                    rightDelimiter,
+                    data: data || {}
+                })
+            );
+        });
+}
+
+// 模板数据：dataDir 下跟模板同名的 js 或者 json 文件，js 可以导出 req => data 的函数
+function loadData(dataDir, name, req) {
+    const file = ['.js', '.json'].map(ext => path.join(dataDir, name + ext)).find(file => fs.existsSync(file));
+    if (!file) {
+        return {};
+    }
+    delete require.cache[file];
+    const data = require(file);
+    return typeof data === 'function' ? data(req) : data;
+}
+
+/**
+ * 生成 smarty 中间件，router 之外的请求和不存在的模板交给后面的中间件处理
+ * /template/index、/template/index.tpl → templateDir/index.tpl，数据为 dataDir/index.js(on)
+ *
+ * @param {Object} options 参数
+ * @param {string} options.router 路由前缀
+ * @param {string} options.templateDir tpl 的产出目录，html-webpack-harddisk-plugin 会写到磁盘
+ * @param {string} options.dataDir 模板数据目录
+ * @param {Function} [options.render] 自定义渲染函数 ({templateDir, template, data, req}) => html，默认使用 php 渲染
+ * @return {Function} express 中间件
+ */
+module.exports = function createSmartyMiddleware({router = '/template', templateDir, dataDir, render, ...options}) {
+    const logger = getScopeLogger('smarty');
+    render = render || createPHPRenderer(options);
+    const prefix = router.replace(/\/$/, '');
+
+    return (req, res, next) => {
+        const pathname = decodeURIComponent(req.path || req.url.split('?')[0]);
+        if (!['GET', 'HEAD'].includes(req.method) || (pathname !== prefix && !pathname.startsWith(`${prefix}/`))) {
+            return next();
+        }
+        let name = pathname.slice(prefix.length).replace(/^\/+/, '');
+        if (!name || name.endsWith('/')) {
+            name += 'index';
+        }
+        const template = /\.tpl$/.test(name) ? name : `${name}.tpl`;
+        const file = path.join(templateDir, template);
+        if (!file.startsWith(templateDir + path.sep) || !fs.existsSync(file)) {
+            return next();
+        }
+
+        debug('%s → %s', pathname, file);
+        Promise.resolve()
+            .then(() => loadData(dataDir, template.replace(/\.tpl$/, ''), req))
+            .then(data => render({templateDir, template, data, req}))
+            .then(html => {
+                res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                res.end(html);
+            })
+            .catch(e => {
+                logger.error(e);
+                res.status(500).send(`<pre>${escapeHTML(e.stack || String(e))}</pre>`);
+            });
+    };
+};
+
+module.exports.createPHPRenderer = createPHPRenderer;
@@ -0,0 +1,26 @@
+<?php
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file smartyMiddleware 使用的渲染脚本，从 stdin 读取 JSON 参数，渲染结果输出到 stdout
+ * @author ksky521
+ */
+
+$options = json_decode(file_get_contents('php://stdin'), true);
+require_once $options['smartyClass'];
+
+$smarty = new Smarty();
+$smarty->setTemplateDir($options['templateDir']);
+$smarty->setCompileDir($options['compileDir']);
+$smarty->left_delimiter = $options['leftDelimiter'];
+$smarty->right_delimiter = $options['rightDelimiter'];
+foreach ($options['pluginsDir'] as $dir) {
+    $smarty->addPluginsDir($dir);
+}
+foreach ($options['data'] as $key => $value) {
+    $smarty->assign($key, $value);
+}
+$smarty->display($options['template']);
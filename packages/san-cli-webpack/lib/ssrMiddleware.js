@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file SSR 开发中间件，监听服务端打包，使用最新的产出渲染页面
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryFS = require('memory-fs');
+const {getScopeLogger, getDebugLogger} = require('san-cli-utils/ttyLogger');
+const createRenderer = require('./ssrRenderer');
+
+const debug = getDebugLogger('webpack:ssr');
+
+const escapeHTML = str => str.replace(/[&<>]/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;'}[c]));
+
+/**
+ * 生成 SSR 中间件，没有对应服务端入口的请求交给后面的中间件处理
+ *
+ * @param {Object} options 参数
+ * @param {Object} options.compiler 服务端打包的 webpack compiler
+ * @param {string} options.templateDir 客户端 html 的产出目录，html-webpack-harddisk-plugin 会写到磁盘
+ * @param {Object} options.templates 页面名称 → html 文件名
+ * @param {string} options.cwd 项目根目录
+ * @return {Function} express 中间件，close 方法用来停止监听
+ */
+module.exports = function createSSRMiddleware({compiler, templateDir, templates = {}, cwd}) {
+    const logger = getScopeLogger('ssr');
+    const mfs = new MemoryFS();
+    compiler.outputFileSystem = mfs;
+
+    let resolveReady;
+    let ready = new Promise(resolve => (resolveReady = resolve));
+    compiler.hooks.invalid.tap('san-cli-ssr', () => {
+        ready = new Promise(resolve => (resolveReady = resolve));
+    });
+    const watching = compiler.watch(compiler.options.watchOptions || {}, (err, stats) => {
+        if (err || stats.hasErrors()) {
+            const message = err ? err.stack || err : stats.toString({all: false, errors: true});
+            logger.error(`Server bundle build failed:\n${message}`);
+            return resolveReady({error: message});
+        }
+        debug('server bundle compiled');
+        resolveReady({
+            renderer: createRenderer({basedir: compiler.options.output.path, fs: mfs, cwd})
+        });
+    });
+
+    // / → index，/about.html → about
+    const getPage = pathname => (pathname.replace(/^\/|\.html$/g, '') || 'index').replace(/\/$/, '');
+
+    const middleware = (req, res, next) => {
+        if (req.method !== 'GET' || !/html|\*\/\*/.test(req.headers.accept || '')) {
+            return next();
+        }
+        const page = getPage(req.path || req.url.split('?')[0]);
+        ready
+            .then(({renderer, error}) => {
+                if (error) {
+                    res.status(500).send(`<pre>${escapeHTML(error)}</pre>`);
+                    return;
+                }
+                if (!renderer.entries.includes(page)) {
+                    return next();
+                }
+                const templateFile = path.join(templateDir, templates[page] || `${page}.html`);
+                const template = fs.existsSync(templateFile) ? fs.readFileSync(templateFile, 'utf-8') : undefined;
+                return renderer.renderToString(page, {url: req.url, req}, template).then(html => {
+                    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                    res.end(html);
+                });
+            })
+            .catch(e => {
+                logger.error(e);
+                res.status(500).send(`<pre>${escapeHTML(e.stack || String(e))}</pre>`);
+            });
+    };
+    middleware.close = () => watching.close(() => {});
+    return middleware;
+};
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file SSR renderer，加载服务端打包产出，渲染页面
+ * 服务端入口默认导出 San 组件（使用 san-ssr 渲染）或者 (context) => html 的函数
+ * @author ksky521
+ */
+
+const path = require('path');
+const vm = require('vm');
+const NativeModule = require('module');
+const SError = require('san-cli-utils/SError');
+
+const OUTLET = '<!--san-ssr-outlet-->';
+
+// webpack 打包的 San 组件是 defineComponent 生成的 class
+function isComponent(exported) {
+    return typeof exported === 'function' && !!exported.prototype && typeof exported.prototype.attach === 'function';
+}
+
+// 在 html 模板中插入渲染结果：优先使用占位注释，其次替换空的 #app 容器
+function injectTemplate(template, html) {
+    if (template.includes(OUTLET)) {
+        return template.replace(OUTLET, () => html);
+    }
+    const appRe = /<div\s+id=(["']?)app\1\s*>\s*<\/div>/;
+    if (appRe.test(template)) {
+        return template.replace(appRe, () => html);
+    }
+    return template.replace(/<body[^>]*>/, body => body + html);
+}
+
+// 没有 html 模板时根据 client manifest 生成
+function genTemplate({publicPath = '', entrypoints = {}}, page) {
+    // 单页时客户端入口名跟服务端入口名可能不一致
+    const names = Object.keys(entrypoints);
+    const {js = [], css = []} = entrypoints[page] || (names.length === 1 ? entrypoints[names[0]] : {});
+    const links = css.map(file => `<link href="${publicPath}${file}" rel="stylesheet">`).join('');
+    const scripts = js.map(file => `<script src="${publicPath}${file}"></script>`).join('');
+    return `<!DOCTYPE html><html><head><meta charset="utf-8">${links}</head><body>${OUTLET}${scripts}</body></html>`;
+}
+
+/**
+ * 创建 renderer
+ *
+ * @param {Object} options 参数
+ * @param {string} options.basedir 服务端打包的产出目录
+ * @param {Object} [options.serverManifest] server manifest，默认读取 basedir 中的 ssr-server-manifest.json
+ * @param {Object} [options.clientManifest] client manifest，没有 html 模板时使用
+ * @param {Object} [options.fs] 读取产出使用的文件系统，开发时使用 webpack 的 memory-fs
+ * @param {string} [options.cwd] 项目根目录，用来查找 san-ssr
+ * @return {Object} renderer
+ */
+module.exports = function createRenderer({basedir, serverManifest, clientManifest, fs = require('fs'), cwd}) {
+    if (!serverManifest) {
+        serverManifest = JSON.parse(fs.readFileSync(path.join(basedir, 'ssr-server-manifest.json'), 'utf-8'));
+    }
+    const {entrypoints, files} = serverManifest;
+    const modules = {};
+
+    // 使用 vm 执行产出，chunk 之间的相对引用从产出中读取，其他模块（externals）使用 node 的 require
+    function load(file) {
+        if (modules[file]) {
+            return modules[file].exports;
+        }
+        const filename = path.join(basedir, file);
+        const code = fs.readFileSync(filename, 'utf-8');
+        const m = {exports: {}, filename, id: filename};
+        modules[file] = m;
+        const nativeModule = new NativeModule(filename, module);
+        nativeModule.filename = filename;
+        nativeModule.paths = NativeModule._nodeModulePaths(path.dirname(filename));
+        const req = request => {
+            const chunk = path.posix.join(path.posix.dirname(file), request.replace(/\\/g, '/'));
+            if (/^\.\.?\//.test(request) && files.includes(chunk)) {
+                return load(chunk);
+            }
+            return nativeModule.require(request);
+        };
+        const wrapper = vm.runInThisContext(NativeModule.wrap(code), {filename, displayErrors: true});
+        wrapper.call(m.exports, m.exports, req, m, filename, path.dirname(filename));
+        return m.exports;
+    }
+
+    function compile(component) {
+        let sanSSR;
+        try {
+            sanSSR = require(require.resolve('san-ssr', {paths: [cwd || process.cwd()]}));
+        }
+        catch (e) {
+            throw new SError(
+                'Cannot find module `san-ssr`, install it to render San components, '
+                    + 'or export a `(context) => html` function from the server entry.'
+            );
+        }
+        return sanSSR.compileToRenderer(component);
+    }
+
+    const renders = {};
+    function getRender(page) {
+        if (renders[page]) {
+            return renders[page];
+        }
+        if (!entrypoints[page]) {
+            throw new SError(`SSR server entry \`${page}\` is not found.`);
+        }
+        const exported = load(entrypoints[page]);
+        const app = exported && exported.__esModule ? exported.default : exported;
+        if (isComponent(app)) {
+            const render = compile(app);
+            renders[page] = context => render(context.data || {});
+        }
+        else if (typeof app === 'function') {
+            renders[page] = app;
+        }
+        else {
+            throw new SError(`SSR server entry \`${page}\` should export a San component or a render function.`);
+        }
+        return renders[page];
+    }
+
+    return {
+        /**
+         * 渲染页面
+         *
+         * @param {string} page 页面名称，即服务端入口的名称
+         * @param {Object} [context] 传给服务端入口的数据，context.data 为组件的初始数据
+         * @param {string} [template] html 模板，不传时使用 client manifest 生成
+         * @return {Promise<string>} 有 html 模板或者 client manifest 时返回完整的 html，否则只返回组件的 html
+         */
+        async renderToString(page, context = {}, template) {
+            const html = await getRender(page)(context);
+            if (!template && clientManifest) {
+                template = genTemplate(clientManifest, page);
+            }
+            return template ? injectTemplate(template, html) : html;
+        },
+        entries: Object.keys(entrypoints)
+    };
+};
+
+module.exports.injectTemplate = injectTemplate;
@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 使用 TypeScript LanguageService 做类型检查
+ * .san 文件中 lang="ts" 的 script 代码块作为虚拟文件 x.san.ts 参与检查，行列号跟原文件一致
+ * @author ksky521
+ */
+
+const fs = require('fs');
+const path = require('path');
+const parse = require('san-loader/lib/utils/parse');
+
+const TS_LANGS = ['ts', 'typescript'];
+// .san 文件对应的虚拟文件：x.san.ts，import './x.san' 时 ts 会查找 x.san.ts
+const SAN_TS_RE = /\.san\.ts$/;
+// TS18003: No inputs were found in config file
+const NO_INPUTS_CODE = 18003;
+
+/**
+ * 生成 .san 文件对应的 ts 代码：script 代码块之前的内容替换成空格，保证行列号不变
+ *
+ * @param {string} source .san 文件内容
+ * @return {string|undefined} ts 代码，script 不是 lang="ts" 时返回 undefined
+ */
+function getSanTSCode(source) {
+    const {descriptor} = parse(source, ['script']);
+    const script = descriptor.script && descriptor.script[0];
+    if (!script || script.attribs.src || !TS_LANGS.includes(script.attribs.lang)) {
+        return;
+    }
+    const textNode = script.children && script.children[0];
+    if (!textNode) {
+        return source.replace(/[^\n]/g, ' ');
+    }
+    return source.slice(0, textNode.startIndex).replace(/[^\n]/g, ' ') + textNode.data;
+}
+
+/**
+ * 创建类型检查器，LanguageService 会复用上次检查的结果，只检查变化的文件
+ *
+ * @param {Object} options 参数
+ * @param {Object} options.typescript typescript 模块
+ * @param {string} options.tsconfig tsconfig.json 的绝对路径
+ * @param {string} options.cwd 项目根目录，输出的文件路径相对于这个目录
+ * @return {Function} check(sanFiles)，sanFiles 为参与检查的 .san 文件，返回 diagnostics 数组
+ */
+function createTypeChecker({typescript: ts, tsconfig, cwd}) {
+    const {codeFrameColumns} = require('@babel/code-frame');
+    let parsedConfig = null;
+    let sanFiles = [];
+    // .san 文件的版本和 ts 代码，文件没变化时不重新解析
+    const sanCache = new Map();
+
+    const getVersion = fileName => {
+        try {
+            return String(fs.statSync(SAN_TS_RE.test(fileName) ? fileName.slice(0, -3) : fileName).mtimeMs);
+        }
+        catch (e) {
+            return '0';
+        }
+    };
+    const readFile = fileName => {
+        if (!SAN_TS_RE.test(fileName)) {
+            return ts.sys.readFile(fileName);
+        }
+        const version = getVersion(fileName);
+        const cached = sanCache.get(fileName);
+        if (cached && cached.version === version) {
+            return cached.code;
+        }
+        const source = ts.sys.readFile(fileName.slice(0, -3));
+        const code = source === undefined ? undefined : getSanTSCode(source);
+        sanCache.set(fileName, {version, code});
+        return code;
+    };
+
+    const service = ts.createLanguageService(
+        {
+            getCompilationSettings: () => parsedConfig.options,
+            getScriptFileNames: () => parsedConfig.fileNames.concat(
+                sanFiles.map(file => `${file}.ts`).filter(fileName => readFile(fileName) !== undefined)
+            ),
+            getScriptVersion: getVersion,
+            getScriptSnapshot(fileName) {
+                const code = readFile(fileName);
+                return code === undefined ? undefined : ts.ScriptSnapshot.fromString(code);
+            },
+            getCurrentDirectory: () => cwd,
+            getDefaultLibFileName: options => ts.getDefaultLibFilePath(options),
+            // 不是 lang="ts" 的 .san 文件没有对应的 x.san.ts，交给 declare module '*.san' 处理
+            fileExists: fileName => readFile(fileName) !== undefined,
+            readFile,
+            readDirectory: ts.sys.readDirectory,
+            directoryExists: ts.sys.directoryExists,
+            getDirectories: ts.sys.getDirectories
+        },
+        ts.createDocumentRegistry()
+    );
+
+    const format = diagnostic => {
+        const result = {
+            code: diagnostic.code,
+            category: diagnostic.category === ts.DiagnosticCategory.Warning ? 'warning' : 'error',
+            message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+        };
+        const {file, start} = diagnostic;
+        if (file) {
+            const {line, character} = file.getLineAndCharacterOfPosition(start);
+            const fileName = SAN_TS_RE.test(file.fileName) ? file.fileName.slice(0, -3) : file.fileName;
+            Object.assign(result, {
+                file: path.relative(cwd, fileName),
+                line: line + 1,
+                column: character + 1
+            });
+            // x.san.ts 的行列号跟 .san 文件一致，代码片段使用原文件内容
+            const source = ts.sys.readFile(fileName);
+            if (source !== undefined) {
+                result.frame = codeFrameColumns(source, {start: {line: line + 1, column: character + 1}});
+            }
+        }
+        return result;
+    };
+
+    return function check(files = []) {
+        sanFiles = files;
+        // 每次重新读取 tsconfig，新增的文件和修改的配置都能生效
+        const {config, error} = ts.readConfigFile(tsconfig, ts.sys.readFile);
+        if (error) {
+            return [format(error)];
+        }
+        parsedConfig = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(tsconfig), {noEmit: true}, tsconfig);
+        // 只有 .san 中的 <script lang="ts"> 时 include 匹配不到文件，.san 会作为 root 文件加入，忽略这个错误
+        const diagnostics = parsedConfig.errors
+            .filter(({code}) => code !== NO_INPUTS_CODE)
+            .concat(service.getCompilerOptionsDiagnostics());
+        service
+            .getProgram()
+            .getSourceFiles()
+            .filter(({fileName, isDeclarationFile}) => !isDeclarationFile && !/node_modules/.test(fileName))
+            .forEach(({fileName}) => {
+                diagnostics.push(
+                    ...service.getSyntacticDiagnostics(fileName),
+                    ...service.getSemanticDiagnostics(fileName)
+                );
+            });
+        return diagnostics
+            .filter(({category}) => category === ts.DiagnosticCategory.Error
+                || category === ts.DiagnosticCategory.Warning)
+            .map(format);
+    };
+}
+
+exports.getSanTSCode = getSanTSCode;
+exports.createTypeChecker = createTypeChecker;
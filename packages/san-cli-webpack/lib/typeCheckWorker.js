@@ -0,0 +1,29 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 类型检查子进程，由 TypeCheckPlugin fork，参数通过 argv 传入 JSON
+ * @author ksky521
+ */
+
+const {createTypeChecker} = require('./typeCheck');
+
+const {typescriptPath, tsconfig, cwd} = JSON.parse(process.argv[2]);
+const check = createTypeChecker({
+    typescript: require(typescriptPath),
+    tsconfig,
+    cwd
+});
+
+process.on('message', ({id, files}) => {
+    try {
+        process.send({id, diagnostics: check(files)});
+    }
+    catch (e) {
+        process.send({id, error: e.stack || e.message});
+    }
+});
+// 主进程退出后跟着退出
+process.on('disconnect', () => process.exit(0));
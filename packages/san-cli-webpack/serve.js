@@ -88,10 +88,15 @@ module.exports = function devServer({webpackConfig, devServerConfig, publicPath,
         }
         catch (e) {
             // 捕捉参数不正确的错误信息
-            reject({err: e, type: 'run'});
+            return reject({err: e, type: 'run'});
         }
         if (typeof compilerCallback === 'function') {
-            compilerCallback(compiler);
+            try {
+                await compilerCallback(compiler);
+            }
+            catch (e) {
+                return reject({err: e, type: 'run'});
+            }
         }
 
         // create server
@@ -112,6 +117,19 @@ module.exports = function devServer({webpackConfig, devServerConfig, publicPath,
             })
         );
 
+        const signals = ['SIGINT', 'SIGTERM'];
+        const onSignal = () => {
+            server.close(() => {
+                process.exit(0);
+            });
+        };
+        signals.forEach(signal => process.on(signal, onSignal));
+        // 关闭 dev server，重启 dev server 时使用
+        const close = callback => {
+            signals.forEach(signal => process.removeListener(signal, onSignal));
+            server.close(callback);
+        };
+
         // 记录是第一次编译：用于打开浏览器和输出第一次的 log
         let isFirstCompile = true;
 
@@ -120,6 +138,9 @@ module.exports = function devServer({webpackConfig, devServerConfig, publicPath,
             if (stats.hasErrors()) {
                 const errObj = getWebpackErrorInfoFromStats(undefined, stats);
                 errObj.type = 'webpack';
+                errObj.port = port;
+                errObj.close = close;
+                errObj.server = server;
                 return reject(errObj);
             }
 
@@ -127,11 +148,12 @@ module.exports = function devServer({webpackConfig, devServerConfig, publicPath,
             resolve({
                 stats,
                 server,
+                close,
                 isFirstCompile,
                 port,
                 protocol,
                 publicUrl,
-                url: urls.localUrlForBrowserz,
+                url: urls.localUrlForBrowser,
                 networkUrl: publicUrl
                     ? publicUrl.replace(/([^/])$/, '$1/')
                     : url.format({
@@ -147,14 +169,6 @@ module.exports = function devServer({webpackConfig, devServerConfig, publicPath,
             }
         });
 
-        ['SIGINT', 'SIGTERM'].forEach(signal => {
-            process.on(signal, () => {
-                server.close(() => {
-                    process.exit(0);
-                });
-            });
-        });
-
         server.listen(port, host, err => {
             if (err) {
                 return reject({err, type: 'server'});
@@ -25,6 +25,10 @@ exports.addDevClientToEntry = (config, devClient) => {
 };
 
 exports.getWebpackErrorInfoFromStats = (err, stats) => {
+    // 插件在 done 等钩子中报错时 webpack 不会返回 stats
+    if (!stats) {
+        return {err, stats, rawStats: stats};
+    }
     if (!stats.stats) {
         return {
             err: err || (stats.compilation && stats.compilation.errors && stats.compilation.errors[0]),
@@ -32,7 +36,8 @@ exports.getWebpackErrorInfoFromStats = (err, stats) => {
             rawStats: stats
         };
     }
-    const [curStats] = stats.stats;
+    // MultiCompiler 时取第一个出错的 compiler
+    const curStats = stats.stats.find(item => item.hasErrors()) || stats.stats[0];
     return {
         err: err || (curStats.compilation && curStats.compilation.errors && curStats.compilation.errors[0]),
         stats: curStats,
@@ -46,7 +51,9 @@ exports.getWebpackErrorInfoFromStats = (err, stats) => {
  */
 const path = require('path');
 const fse = require('fs-extra');
-const {error} = require('san-cli-utils/ttyLogger');
+const SError = require('san-cli-utils/SError');
+// 命令行中可以直接使用的 entry 文件
+const ENTRY_EXTENSIONS = ['.js', '.mjs', '.ts', '.san'];
 exports.resolveEntry = (resolveEntryPath, absoluteEntryPath, webpackConfig, defaultEntry) => {
     // entry arg
     if (resolveEntryPath) {
@@ -73,8 +80,7 @@ exports.resolveEntry = (resolveEntryPath, absoluteEntryPath, webpackConfig, defa
         /* eslint-enable operator-linebreak */
         (!Array.isArray(webpackConfig.entry) && Object.keys(webpackConfig.entry).length === 0)
     ) {
-        error('Entry not found, please add an entry or configure san.config.js.');
-        process.exit(1);
+        throw new SError('Entry not found, please add an entry or configure san.config.js.');
     }
     return webpackConfig;
 };
@@ -85,17 +91,20 @@ function resolveEntry(entry) {
         const stats = fse.statSync(entry);
         if (stats.isFile()) {
             const ext = path.extname(entry);
-            if (ext === '.js' || ext === '.san') {
+            if (ENTRY_EXTENSIONS.includes(ext)) {
                 isFile = true;
             } else {
-                error('A valid entry file should be one of: *.js or *.san.');
-                process.exit(1);
+                throw new SError(
+                    `A valid entry file should be one of: ${ENTRY_EXTENSIONS.map(ext => `*${ext}`).join(', ')}.`
+                );
             }
             isFile = true;
         }
     } catch (e) {
-        error('A valid entry should be a file or a directory.');
-        process.exit(1);
+        if (e instanceof SError) {
+            throw e;
+        }
+        throw new SError('A valid entry should be a file or a directory.');
     }
     return {
         entry,
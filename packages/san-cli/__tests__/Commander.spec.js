@@ -11,6 +11,7 @@
 
 jest.mock('read-pkg');
 
+const path = require('path');
 const Commander = require('../lib/Commander');
 
 describe('Commander', () => {
@@ -37,6 +38,12 @@ describe('Commander', () => {
             'plugin',
             'remote',
             'docit',
+            'cache',
+            'lint',
+            'test',
+            'info',
+            'upgrade',
+            'deploy',
             'hello'
         ]);
     });
@@ -49,6 +56,27 @@ describe('Commander', () => {
         };
         cli.run(['hello', '--name', 'world']);
     });
+    test('run service plugin command', async () => {
+        const cwd = path.join(__dirname, 'mock/service-command');
+        const serviceCli = new Commander(['greet'], cwd);
+        await serviceCli.run(['greet', 'san', '--shout', '--no-progress']);
+        expect(global.__greetResult).toBe('HELLO SAN, OUTPUT');
+        expect(serviceCli.commandMap.has('greet')).toBeTruthy();
+    });
+    test('help 时加载 service 插件注册的命令', async () => {
+        const cwd = path.join(__dirname, 'mock/service-command');
+        const serviceCli = new Commander(['--help'], cwd);
+        serviceCli._run = jest.fn();
+        await serviceCli.run(['--help']);
+        expect(serviceCli.commandMap.has('greet')).toBeTruthy();
+        expect(serviceCli._run).toHaveBeenCalledWith(['--help']);
+
+        // 没有配置文件时输错命令不加载 Service
+        const loadServiceCommands = jest.spyOn(cli, 'loadServiceCommands');
+        cli._run = jest.fn();
+        cli.run(['biuld']);
+        expect(loadServiceCommands).not.toHaveBeenCalled();
+    });
 });
 
 // test.only('run', () => {
@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file node api test
+ * @author ksky521
+ */
+
+const path = require('path');
+const {inspect, build} = require('../lib/api');
+const SError = require('san-cli-utils/SError');
+
+describe('node api', () => {
+    const cwd = path.join(__dirname, '../../san-cli-service/__tests__/mock');
+    test('inspect', async () => {
+        const config = await inspect({cwd, mode: 'development'});
+        expect(config.mode).toBe('development');
+        expect(config.output.path).toBe(path.join(cwd, 'output'));
+        expect(Object.keys(config.entry)).toEqual(['index']);
+    });
+    test('还原 NODE_ENV', async () => {
+        const {NODE_ENV} = process.env;
+        await inspect({cwd, mode: 'production'});
+        expect(process.env.NODE_ENV).toBe(NODE_ENV);
+    });
+    test('build with invalid entry', async () => {
+        const cwd = __dirname;
+        await expect(build({cwd, entry: 'not-exists.js', clean: false})).rejects.toBeInstanceOf(SError);
+    });
+    test('build 调用生命周期钩子', async () => {
+        const called = [];
+        const record = name => async () => called.push(name);
+        const plugin = {
+            id: 'hooks-plugin',
+            apply(api) {
+                ['configResolved', 'beforeBuild', 'afterBuild', 'compileError'].forEach(name =>
+                    api.hooks[name].tapPromise('hooks-plugin', record(name))
+                );
+                // 不真正编译
+                api.hooks.beforeBuild.tapPromise('hooks-plugin', () => Promise.reject(new Error('stop')));
+            }
+        };
+        await expect(build({cwd, mode: 'development', clean: false, plugins: [plugin]})).rejects.toThrow('stop');
+        expect(called).toEqual(['configResolved', 'beforeBuild', 'compileError']);
+    });
+});
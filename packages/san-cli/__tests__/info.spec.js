@@ -0,0 +1,26 @@
+/**
+ * @file info command tests
+ */
+/* global describe, test */
+const execSync = require('child_process').execSync;
+const path = require('path');
+const {version} = require('../package.json');
+
+describe('command info', () => {
+    const cliBinPath = require.resolve('../index.js');
+    const cwd = path.join(__dirname, 'mock/info');
+    test('info --json', () => {
+        const stdout = execSync(`node ${cliBinPath} info --json`, {cwd}).toString();
+        const info = JSON.parse(stdout);
+        expect(info.Binaries.Node).toBe(process.versions.node);
+        expect(info.San['san-cli']).toBe(version);
+        // 项目依赖中的 san-cli-* 包也会输出
+        expect(info.San['san-cli-plugin-foo']).toBe('Not Found');
+        expect(info.Presets['package.json'].plugins).toEqual(['./san-plugin.js']);
+    });
+    test('info', () => {
+        const stdout = execSync(`node ${cliBinPath} info`, {cwd}).toString();
+        expect(stdout).toMatch(`San info v${version}`);
+        expect(stdout).toMatch('webpack:');
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file service 插件注册命令
+ */
+
+module.exports = {
+    outputDir: 'output',
+    plugins: [
+        {
+            id: 'command-plugin',
+            apply(api, projectOptions) {
+                api.registerCommand(
+                    'greet [who]',
+                    {
+                        description: 'Greet from service plugin',
+                        builder: {
+                            shout: {type: 'boolean', default: false}
+                        }
+                    },
+                    argv => {
+                        const msg = `hello ${argv.who}, ${projectOptions.outputDir}`;
+                        global.__greetResult = argv.shout ? msg.toUpperCase() : msg;
+                    }
+                );
+            }
+        }
+    ]
+};
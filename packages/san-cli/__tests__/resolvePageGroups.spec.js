@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file resolvePageGroups test
+ * @author ksky521
+ */
+
+const resolvePageGroups = require('../commands/build/resolvePageGroups');
+
+const pages = {
+    index: './src/index.js',
+    about: {entry: './src/about.js'},
+    user: {entry: './src/user.js'},
+    admin: {entry: './src/admin.js', publicPath: '/admin/', outputDir: 'admin'}
+};
+
+describe('resolvePageGroups', () => {
+    test('不分组', () => {
+        expect(resolvePageGroups(pages)).toEqual([]);
+        expect(resolvePageGroups(undefined, true)).toEqual([]);
+    });
+    test('每个 page 一组', () => {
+        expect(resolvePageGroups(pages, true).map(g => g.pages)).toEqual([['index'], ['about'], ['user'], ['admin']]);
+    });
+    test('按数量分组，有单独配置的 page 自己一组', () => {
+        const groups = resolvePageGroups(pages, 2);
+        expect(groups.map(g => g.name)).toEqual(['index-about', 'user', 'admin']);
+        expect(groups[2]).toMatchObject({publicPath: '/admin/', outputDir: 'admin'});
+    });
+    test('手动分组', () => {
+        const groups = resolvePageGroups(pages, {main: ['index', 'user']});
+        expect(groups.map(g => [g.name, g.pages])).toEqual([
+            ['main', ['index', 'user']],
+            ['about', ['about']],
+            ['admin', ['admin']]
+        ]);
+    });
+    test('手动分组错误', () => {
+        expect(() => resolvePageGroups(pages, {main: ['none']})).toThrow('is not found in pages');
+        expect(() => resolvePageGroups(pages, {a: ['index'], b: ['index']})).toThrow('already in another group');
+        expect(() => resolvePageGroups(pages, {a: ['index', 'admin'], b: ['about']})).not.toThrow();
+        expect(() =>
+            resolvePageGroups(Object.assign({}, pages, {other: {entry: 'a.js', outputDir: 'other'}}), {
+                a: ['admin', 'other']
+            })
+        ).toThrow('must have the same `outputDir`');
+    });
+    test('对象形式的配置按内容比较', () => {
+        const splitChunks = () => ({cacheGroups: {vendors: {test: /node_modules/, name: 'vendors'}}});
+        const groups = resolvePageGroups(
+            {
+                a: {entry: 'a.js', splitChunks: splitChunks()},
+                b: {entry: 'b.js', splitChunks: splitChunks()}
+            },
+            {main: ['a', 'b']}
+        );
+        expect(groups[0].splitChunks).toEqual(splitChunks());
+
+        const other = splitChunks();
+        other.cacheGroups.vendors.test = /src/;
+        expect(() =>
+            resolvePageGroups(
+                {
+                    a: {entry: 'a.js', splitChunks: splitChunks()},
+                    b: {entry: 'b.js', splitChunks: other}
+                },
+                {main: ['a', 'b']}
+            )
+        ).toThrow('must have the same `splitChunks`');
+    });
+});
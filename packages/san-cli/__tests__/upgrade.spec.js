@@ -0,0 +1,127 @@
+/**
+ * @file upgrade command tests
+ */
+const path = require('path');
+const {codemods, applyCodemods} = require('../commands/upgrade/codemods');
+const diff = require('../commands/upgrade/diff');
+
+jest.mock('san-cli-utils/env', () => ({hasYarn: jest.fn()}));
+
+describe('upgrade codemods', () => {
+    const source = [
+        'module.exports = {',
+        '    // 公共路径',
+        '    foo: \'/\',',
+        '    pages: {index: {entry: \'./src/index.js\', foo: \'keep\'}}',
+        '};'
+    ].join('\n');
+    // 测试用的 codemod：foo 改名为 bar
+    const renameFoo = {
+        version: '0.2.0',
+        description: '`foo` is renamed to `bar`',
+        transform(node, s) {
+            const prop = node.properties.find(prop => prop.key && prop.key.name === 'foo');
+            if (!prop) {
+                return false;
+            }
+            s.overwrite(prop.key.start, prop.key.end, 'bar');
+            return true;
+        }
+    };
+
+    afterEach(() => codemods.splice(0));
+
+    test('没有废弃的配置项时不修改', () => {
+        expect(codemods).toEqual([]);
+        expect(applyCodemods(source, {filename: 'san.config.js', from: '0.0.1', to: '0.1.3'})).toEqual({
+            code: source,
+            applied: []
+        });
+    });
+
+    test('只改写配置对象中废弃的配置项，保留格式和注释', () => {
+        codemods.push(renameFoo);
+        const {code, applied} = applyCodemods(source, {filename: 'san.config.js', from: '0.1.3', to: '0.2.0'});
+        expect(applied).toEqual([renameFoo.description]);
+        expect(code).toBe(
+            [
+                'module.exports = {',
+                '    // 公共路径',
+                '    bar: \'/\',',
+                '    pages: {index: {entry: \'./src/index.js\', foo: \'keep\'}}',
+                '};'
+            ].join('\n')
+        );
+    });
+
+    test('san.config.ts 和配置函数', () => {
+        codemods.push(renameFoo);
+        const ts = [
+            'import {defineConfig} from \'san-cli-service\';',
+            'export default defineConfig(({mode}: {mode: string}) => ({',
+            '    foo: mode === \'production\'',
+            '}));'
+        ].join('\n');
+        const {code} = applyCodemods(ts, {filename: 'san.config.ts', from: '0.1.3', to: '0.2.0'});
+        expect(code).toMatch('bar: mode === \'production\'');
+    });
+
+    test('已经是新版本时不执行', () => {
+        codemods.push(renameFoo);
+        const {code, applied} = applyCodemods(source, {filename: 'san.config.js', from: '0.2.0', to: '0.2.1'});
+        expect(applied).toEqual([]);
+        expect(code).toBe(source);
+    });
+});
+
+describe('upgrade command', () => {
+    const {handler} = require('../commands/upgrade');
+    const {hasYarn} = require('san-cli-utils/env');
+    const cliVersion = require('../package.json').version;
+    const serviceVersion = require('san-cli-service/package.json').version;
+
+    // 执行 --dry-run，返回输出的安装命令
+    async function dryRun(cwd) {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            await handler({getCwd: () => cwd, dryRun: true});
+            return log.mock.calls.map(([line]) => String(line).trim()).filter(line => /^(yarn|npm) /.test(line));
+        }
+        finally {
+            log.mockRestore();
+        }
+    }
+
+    test('--dry-run 使用 yarn', async () => {
+        hasYarn.mockReturnValue(true);
+        expect(await dryRun(path.join(__dirname, 'upgrade'))).toEqual([
+            `yarn add san-cli-service@^${serviceVersion}`,
+            `yarn add san-cli@^${cliVersion} --dev`
+        ]);
+    });
+
+    test('--dry-run 使用 npm', async () => {
+        hasYarn.mockReturnValue(false);
+        expect(await dryRun(path.join(__dirname, 'upgrade'))).toEqual([
+            `npm install san-cli-service@^${serviceVersion} --save`,
+            `npm install san-cli@^${cliVersion} --save-dev`
+        ]);
+    });
+
+    test('没有 package.json', async () => {
+        await expect(handler({getCwd: () => __dirname, dryRun: true})).rejects.toThrow('Cannot find package.json');
+    });
+});
+
+describe('upgrade diff', () => {
+    test('输出 unified diff', () => {
+        const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].join('\n');
+        const after = ['a', 'b', 'c', 'D', 'e', 'f', 'g'].join('\n');
+        expect(diff(before, after, 'san.config.js')).toBe(
+            ['--- a/san.config.js', '+++ b/san.config.js', '@@ -2,5 +2,5 @@', ' b', ' c', '-d', '+D', ' e', ' f'].join(
+                '\n'
+            )
+        );
+        expect(diff(before, before, 'san.config.js')).toBe('');
+    });
+});
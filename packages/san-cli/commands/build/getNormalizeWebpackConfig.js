@@ -8,115 +8,237 @@
  * @author ksky521
  */
 
+const path = require('path');
 const fse = require('fs-extra');
 const {resolveEntry} = require('san-cli-webpack/utils');
-const {error, chalk} = require('san-cli-utils/ttyLogger');
+const SError = require('san-cli-utils/SError');
+const {MODERN_TARGETS, normalizeBrowserTargets, applyBrowserTarget} = require('san-cli-service/targets/browsers');
+const resolvePageGroups = require('./resolvePageGroups');
 
 module.exports = function getNormalizeWebpackConfig(api, projectOptions, argv) {
     // 读取 cli 传入的 argv
-    const {mode, entry, dest, analyze, watch, clean, remote, report, statsJson, modern, modernBuild = false} = argv;
+    const {mode, entry, dest, analyze, watch, clean, report, statsJson, modern} = argv;
     const targetDir = api.resolve(dest || projectOptions.outputDir);
 
+    // --target ssr 或者配置了 ssr 时，同时产出服务端打包
+    if (argv.target === 'ssr' && !projectOptions.ssr) {
+        projectOptions.ssr = Object.assign({}, require('san-cli-service/options').ssrOptions);
+    }
+    else if (argv.target === 'app') {
+        projectOptions.ssr = false;
+    }
+
     if (clean) {
         // 删掉目录
         fse.removeSync(targetDir);
     }
 
-    const chainConfig = api.getWebpackChainConfig();
-    // modern mode
-    if (modern && !analyze) {
-        const ModernModePlugin = require('san-cli-webpack/lib/ModernModePlugin');
-        if (!modernBuild) {
-            // Inject plugin to extract build stats and write to disk
-            chainConfig.plugin('modern-mode-legacy').use(ModernModePlugin, [
-                {
-                    targetDir,
-                    isModernBuild: false
-                }
-            ]);
+    // 组件库打包，跟 pages 无关
+    if (argv.target === 'lib') {
+        return getLibWebpackConfig(api, projectOptions, argv, targetDir);
+    }
+    // Web Components 打包
+    if (argv.target === 'wc' || argv.target === 'wc-async') {
+        return getWCWebpackConfig(api, projectOptions, argv, targetDir);
+    }
+
+    function normalizeChainConfig(chainConfig, {targetDir, bundleName = ''}) {
+        if (analyze) {
+            // 添加 analyze
+            const {BundleAnalyzerPlugin} = require('webpack-bundle-analyzer');
+            chainConfig.plugin('bundle-analyzer').use(new BundleAnalyzerPlugin());
         }
-        else {
-            // Inject plugin to read non-modern build stats and inject HTML
-            chainConfig.plugin('modern-mode-modern').use(ModernModePlugin, [
-                {
-                    targetDir,
-                    isModernBuild: true
-                }
-            ]);
+        else if (report || statsJson) {
+            const {BundleAnalyzerPlugin} = require('webpack-bundle-analyzer');
+            chainConfig.plugin('bundle-analyzer').use(
+                new BundleAnalyzerPlugin({
+                    logLevel: 'warn',
+                    openAnalyzer: false,
+                    analyzerMode: report ? 'static' : 'disabled',
+                    reportFilename: `${bundleName}report.html`,
+                    statsFilename: `${bundleName}stats.json`,
+                    generateStatsFile: !!statsJson
+                })
+            );
+        }
+        // resolve webpack config
+        let webpackConfig = api.getWebpackConfig(chainConfig);
+
+        // --dest
+        if (dest) {
+            webpackConfig.output.path = targetDir;
+        }
+
+        // --watch 功能
+        if (watch) {
+            webpackConfig.watch = true;
         }
+
+        // --mode
+        webpackConfig.mode = mode;
+        return webpackConfig;
     }
-    if (analyze) {
-        // 添加 analyze
-        const {BundleAnalyzerPlugin} = require('webpack-bundle-analyzer');
-        chainConfig.plugin('bundle-analyzer').use(new BundleAnalyzerPlugin());
-    }
-    else if (report || statsJson) {
-        const {BundleAnalyzerPlugin} = require('webpack-bundle-analyzer');
-        // 单独标示 modern 打包
-        const bundleName = modern ? (modernBuild ? 'modern-' : 'legacy-') : '';
-
-        chainConfig.plugin('bundle-analyzer').use(
-            new BundleAnalyzerPlugin({
-                logLevel: 'warn',
-                openAnalyzer: false,
-                analyzerMode: report ? 'static' : 'disabled',
-                reportFilename: `${bundleName}report.html`,
-                statsFilename: `${bundleName}stats.json`,
-                generateStatsFile: !!statsJson
-            })
-        );
+
+    // pageGroups：按照分组生成多份 webpack 配置，使用 MultiCompiler 打包
+    // analyze 需要看到完整的依赖关系，所以不分组
+    // 服务端打包跟客户端一起使用 MultiCompiler，只产出一份
+    function withServerConfig(webpackConfig) {
+        if (!projectOptions.ssr || analyze) {
+            return webpackConfig;
+        }
+        const {getServerChainConfig} = require('san-cli-service/targets/ssr');
+        const serverConfig = api.getWebpackConfig(getServerChainConfig(api, projectOptions));
+        if (dest) {
+            serverConfig.output.path = path.join(targetDir, projectOptions.ssr.outputDir);
+        }
+        if (watch) {
+            serverConfig.watch = true;
+        }
+        serverConfig.mode = mode;
+        if (!Array.isArray(webpackConfig)) {
+            // MultiStats 中用 name 区分
+            webpackConfig.name = webpackConfig.name || 'client';
+        }
+        return [].concat(webpackConfig, serverConfig);
     }
-    // 添加远程部署
-    if (remote) {
-        const DeployPlugin = require('deploy-files/webpack-plugin');
-        // 从 env 文件中读取 remote 配置，这样可以将 env.local 加到 .gitignore 中防止提交
-        // 详细配置：https://github.com/jinzhan/deploy-files
-        // receiver: 'http://YOUR_HOST/receiver',
-        // templatePath: '/home/work/nginx_static/html/test/template',
-        // staticPath: '//home/work/nginx_static/html/test/static',
-        // staticDomain: 'http://test.com:8888'
-        const remoteObj = {};
-        const upperRemote = remote.toUpperCase();
-        ['receiver', 'templatePath', 'staticPath', 'staticDomain'].forEach(key => {
-            // templatePath → TEMPLATE_PATH
-            const upperKey = key.replace(/[A-Z]/g, $1 => `_${$1}`).toUpperCase();
-            const val = process.env[`SAN_REMOTE_${upperRemote}_${upperKey}`];
-            if (!val) {
-                error(
-                    /* eslint-disable max-len */
-                    `Use --remote ${remote} to upload files, but donot get ${chalk.red(
-                        `SAN_REMOTE_${upperRemote}_${upperKey}`
-                    )} from process.env.`
-                    /* eslint-enable max-len */
-                );
-                process.exit(1);
-            }
-            else {
-                remoteObj[key] = process.env[`SAN_REMOTE_${upperRemote}_${upperKey}`];
-            }
+
+    // browserTargets：每个 target 使用自己的 browserslist 打包，--modern 等同于 legacy 和 modern 两个 target
+    const browserTargets = projectOptions.browserTargets || (modern ? MODERN_TARGETS : null);
+    const {mode: targetsMode, targets} = browserTargets
+        ? normalizeBrowserTargets(browserTargets)
+        : {targets: []};
+    // 同一次打包的 target 之间共享数据
+    const store = {};
+    function getTargetConfigs(getChainConfig, {targetDir, bundleName = '', group = ''}) {
+        if (!targets.length) {
+            return [normalizeChainConfig(getChainConfig(), {targetDir, bundleName})];
+        }
+        // analyze 只打包主 target
+        const list = analyze ? targets.filter(({primary}) => primary) : targets;
+        const configs = list.map(target => {
+            const chainConfig = getChainConfig();
+            applyBrowserTarget(chainConfig, target, {
+                mode: targetsMode,
+                targets: list,
+                cwd: api.getCwd(),
+                store,
+                group
+            });
+            // MultiStats 中用 name 区分
+            chainConfig.name(group ? `${group}-${target.name}` : target.name);
+            return normalizeChainConfig(chainConfig, {targetDir, bundleName: `${bundleName}${target.name}-`});
         });
-        chainConfig.plugin('deploy-files').use(DeployPlugin, [remoteObj]);
+        // 主 target 依赖其他 target，保证最后打包
+        const primaryConfig = configs[list.findIndex(({primary}) => primary)];
+        primaryConfig.dependencies = configs.filter(config => config !== primaryConfig).map(({name}) => name);
+        return configs;
+    }
+
+    const groups = entry || analyze ? [] : resolvePageGroups(projectOptions.pages, projectOptions.pageGroups);
+    if (groups.length) {
+        return withServerConfig([].concat(...groups.map((group, index) => {
+            const groupTargetDir = group.outputDir ? path.join(targetDir, group.outputDir) : targetDir;
+            return getTargetConfigs(() => {
+                const chainConfig = api.getWebpackChainConfig();
+                applyPageGroup(chainConfig, group, {
+                    pages: projectOptions.pages,
+                    targetDir: groupTargetDir,
+                    // copy 和类型检查只需要执行一次
+                    primary: index === 0,
+                    store
+                });
+                return chainConfig;
+            }, {
+                targetDir: groupTargetDir,
+                bundleName: `${group.name}-`,
+                group: group.name
+            });
+        })));
     }
 
-    // resolve webpack config
-    let webpackConfig = api.getWebpackConfig(chainConfig);
+    let webpackConfigs = getTargetConfigs(() => api.getWebpackChainConfig(), {targetDir});
+    // entry
+    if (entry) {
+        webpackConfigs = webpackConfigs.map(webpackConfig => resolveEntry(entry, api.resolve(entry), webpackConfig));
+    }
+    return withServerConfig(webpackConfigs.length > 1 ? webpackConfigs : webpackConfigs[0]);
+};
 
-    // --dest
-    if (dest) {
-        webpackConfig.output.path = targetDir;
+function getLibWebpackConfig(api, projectOptions, {entry, name, mode, watch}, targetDir) {
+    const {FORMATS, getLibName, getLibChainConfig} = require('san-cli-service/targets/lib');
+    if (!entry) {
+        throw new SError('An entry is required with --target lib, e.g. `san build src/index.js --target lib`.');
     }
+    name = name || getLibName(api.getPkg(), entry);
+    return FORMATS.map(format => {
+        const webpackConfig = api.getWebpackConfig(
+            getLibChainConfig(api, projectOptions, {entry, name, format, targetDir, mode})
+        );
+        webpackConfig.mode = mode;
+        if (watch) {
+            webpackConfig.watch = true;
+        }
+        return webpackConfig;
+    });
+}
 
-    // --watch 功能
+function getWCWebpackConfig(api, projectOptions, {entry, name, mode, watch, target}, targetDir) {
+    const {getLibName} = require('san-cli-service/targets/lib');
+    const {getCustomElements, getWCChainConfig} = require('san-cli-service/targets/wc');
+    if (!entry) {
+        throw new SError('An entry is required with --target wc, e.g. `san build src/components/*.san --target wc`.');
+    }
+    name = name || getLibName(api.getPkg(), entry);
+    const elements = getCustomElements(entry, name, api.getCwd());
+    const webpackConfig = api.getWebpackConfig(
+        getWCChainConfig(api, projectOptions, {elements, name, async: target === 'wc-async', targetDir, mode})
+    );
+    webpackConfig.mode = mode;
     if (watch) {
         webpackConfig.watch = true;
     }
+    return webpackConfig;
+}
 
-    // --mode
-    webpackConfig.mode = mode;
+function applyPageGroup(chainConfig, {name, pages, publicPath, outputDir, splitChunks}, options) {
+    // 删掉不在这一组的 page
+    Object.keys(options.pages)
+        .filter(page => !pages.includes(page))
+        .forEach(page => {
+            chainConfig.entryPoints.delete(page);
+            chainConfig.plugins.delete(`html-${page}`);
+            chainConfig.plugins.delete(`san-html-${page}`);
+        });
+    if (!options.primary) {
+        chainConfig.plugins.delete('copy-webpack-plugin');
+        chainConfig.plugins.delete('type-check');
+    }
+    // 产出到同一个目录的分组合并 manifest 和资源表
+    ['asset-manifest', 'smarty-resource-map']
+        .filter(plugin => chainConfig.plugins.has(plugin))
+        .forEach(plugin =>
+            chainConfig
+                .plugin(plugin)
+                .tap(([pluginOptions]) => [Object.assign({}, pluginOptions, {store: options.store})])
+        );
+    // MultiStats 中用 name 区分
+    chainConfig.name(name);
 
-    // entry
-    if (entry) {
-        webpackConfig = resolveEntry(entry, api.resolve(entry), webpackConfig);
+    if (outputDir) {
+        chainConfig.output.path(options.targetDir);
     }
-    return webpackConfig;
-};
+    if (publicPath) {
+        chainConfig.output.publicPath(publicPath);
+        // 抽取出来的 css 中的 url 也要使用 page 的 publicPath
+        chainConfig.module.rules.values().forEach(rule =>
+            rule.oneOfs.values().forEach(oneOf => {
+                if (oneOf.uses.has('extract-css-loader')) {
+                    oneOf.use('extract-css-loader').tap(options => Object.assign({}, options, {publicPath}));
+                }
+            })
+        );
+    }
+    if (splitChunks) {
+        chainConfig.optimization.splitChunks(splitChunks);
+    }
+}
@@ -40,10 +40,19 @@ exports.builder = {
         default: false,
         describe: 'Colorless log'
     },
+    target: {
+        type: 'string',
+        choices: ['app', 'ssr', 'lib', 'wc', 'wc-async'],
+        describe: 'Build target, defaults to ssr when `ssr` is configured, otherwise app'
+    },
+    name: {
+        type: 'string',
+        describe: 'Library name for --target lib or custom element name for --target wc'
+    },
     modern: {
         type: 'boolean',
         default: false,
-        describe: 'Modern mode'
+        describe: 'Modern mode, same as browserTargets {legacy: {}, modern: {module: true}}'
     },
     'stats-json': {
         alias: 'stats',
@@ -65,7 +74,7 @@ exports.builder = {
     remote: {
         type: 'string',
         alias: 'r',
-        describe: 'Send compiled output to the remote target machine'
+        describe: 'Upload the output to a deploy target of san.config.js after building'
     },
     dest: {
         alias: 'd',
@@ -75,6 +84,8 @@ exports.builder = {
 };
 
 exports.handler = cliApi => {
+    // 默认是 production，跟 run.js 一致，需要在创建 service 之前确定，否则 api.isProd() 为 false
+    cliApi.mode = cliApi.mode || process.env.NODE_ENV || 'production';
     const callback = run.bind(run, cliApi);
     require('../../lib/service')('build', cliApi, callback);
 };
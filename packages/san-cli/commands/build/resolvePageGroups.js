@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 根据 pageGroups 将 pages 分组，每组使用一个 webpack compiler 打包
+ * @author ksky521
+ */
+
+const SError = require('san-cli-utils/SError');
+
+// 单个 page 可以覆盖的配置，同一组内必须一致
+const OVERRIDE_KEYS = ['publicPath', 'outputDir', 'splitChunks'];
+
+const normalizePageConfig = c => (typeof c === 'string' || Array.isArray(c) ? {entry: c} : c || {});
+
+// splitChunks 等对象按内容比较，其中的正则和函数（例如 cacheGroups 的 test）按源码比较
+const replacer = (key, value) => (value instanceof RegExp || typeof value === 'function' ? String(value) : value);
+const isSame = (a, b) => a === b || JSON.stringify(a, replacer) === JSON.stringify(b, replacer);
+
+/**
+ * 将 pages 分组
+ *
+ * @param {Object} pages san.config.js 中的 pages
+ * @param {boolean|number|Object} pageGroups true 为每个 page 一组，number 为每组 page 的数量，Object 为手动分组
+ * @return {Array} [{name, pages, publicPath, outputDir, splitChunks}]，不分组时返回空数组
+ */
+module.exports = function resolvePageGroups(pages, pageGroups) {
+    if (!pages || !pageGroups) {
+        return [];
+    }
+    const names = Object.keys(pages);
+    const hasOverride = name => OVERRIDE_KEYS.some(key => normalizePageConfig(pages[name])[key] !== undefined);
+
+    let groups = [];
+    if (typeof pageGroups === 'object') {
+        // 手动分组
+        const grouped = new Set();
+        groups = Object.keys(pageGroups).map(name => {
+            const list = pageGroups[name];
+            list.forEach(page => {
+                if (!pages[page]) {
+                    throw new SError(`pageGroups.${name}: page \`${page}\` is not found in pages.`);
+                }
+                if (grouped.has(page)) {
+                    throw new SError(`pageGroups.${name}: page \`${page}\` is already in another group.`);
+                }
+                grouped.add(page);
+            });
+            return {name, pages: list.slice()};
+        });
+        // 没有分组的 page 单独一组
+        names.filter(name => !grouped.has(name)).forEach(name => groups.push({name, pages: [name]}));
+    }
+    else {
+        const size = pageGroups === true ? 1 : pageGroups;
+        let current;
+        names.forEach(name => {
+            // 有单独配置的 page 自己一组
+            if (hasOverride(name)) {
+                groups.push({pages: [name]});
+                return;
+            }
+            if (!current || current.pages.length >= size) {
+                current = {pages: []};
+                groups.push(current);
+            }
+            current.pages.push(name);
+        });
+        groups.forEach(group => {
+            group.name = group.pages.join('-');
+        });
+    }
+
+    return groups
+        .filter(group => group.pages.length)
+        .map(group => {
+            OVERRIDE_KEYS.forEach(key => {
+                group.pages.forEach(page => {
+                    const value = normalizePageConfig(pages[page])[key];
+                    if (value === undefined) {
+                        return;
+                    }
+                    if (group[key] !== undefined && !isSame(group[key], value)) {
+                        throw new SError(
+                            `pageGroups.${group.name}: pages in the same group must have the same \`${key}\`.`
+                        );
+                    }
+                    group[key] = value;
+                });
+            });
+            return group;
+        });
+};
+
+module.exports.OVERRIDE_KEYS = OVERRIDE_KEYS;
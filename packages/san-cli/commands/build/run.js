@@ -13,22 +13,29 @@ module.exports = function apply(argv, api, projectOptions) {
     const {info, success: successLog, error} = require('san-cli-utils/ttyLogger');
     const {textColor} = require('san-cli-utils/randomColor');
     const getNormalizeWebpackConfig = require('./getNormalizeWebpackConfig');
+    const {resolveTarget, deployTarget} = require('../deploy/deploy');
     // 开始时间
     const startTime = Date.now();
     const mode = argv.mode || process.env.NODE_ENV || 'production'; // 默认是 production
     // 重新赋值
     argv.mode = mode;
 
-    const {watch, analyze, verbose, dest, modern} = argv;
-    // --modern + --analyze 应该显示 modern 的 analyze 的结果
-    if (modern && analyze) {
-        process.env.SAN_CLI_MODERN_BUILD = true;
-    }
-    const bundleTag = modern ? (process.env.SAN_CLI_MODERN_BUILD ? 'modern bundle ' : 'legacy bundle ') : '';
-    info(`Building ${bundleTag}for ${mode}...`);
+    const {watch, analyze, verbose, dest, remote} = argv;
+    info(`Building for ${mode}...`);
+
+    // 插件的生命周期钩子
+    const service = api.getServiceInstance();
 
     // 编译失败处理逻辑
-    function fail({err, stats}) {
+    async function fail(e) {
+        // 插件钩子抛出的错误直接是 Error
+        const {err, stats} = e instanceof Error ? {err: e} : e || {};
+        try {
+            await service.callHook('compileError', err || e);
+        }
+        catch (hookError) {
+            error(hookError);
+        }
         if (stats && stats.toJson) {
             // const info = stats.toJson();
             // error(info.errors);
@@ -40,7 +47,49 @@ module.exports = function apply(argv, api, projectOptions) {
         process.exit(1);
     }
     // 编译成功处理逻辑
-    function success({stats: webpackStats}, {isModern, isModernBuild} = {}) {
+    async function success(data) {
+        const budgetsPassed = printStats(data);
+        await service.callHook('afterBuild', data.stats);
+        // 超出体积预算时返回非 0，watch 时只提示
+        if (!budgetsPassed && !watch) {
+            process.exitCode = 1;
+        }
+        // --remote：打包完成之后上传，超出体积预算时不上传，watch 时每次编译之后上传
+        else if (remote && !watch) {
+            try {
+                await deployTarget(api, projectOptions, {name: remote, dest});
+            }
+            catch (e) {
+                error(e);
+                process.exitCode = 1;
+            }
+        }
+    }
+    // 检查体积预算，输出表格并写入 JSON 报告，返回是否全部通过
+    function checkBudgets(stats) {
+        const {budgets} = projectOptions;
+        if (!budgets) {
+            return true;
+        }
+        const {checkBudgets, formatBudgets} = require('san-cli-webpack/lib/budgets');
+        const results = checkBudgets(stats, budgets);
+        console.log(formatBudgets(results, budgets));
+        const passed = results.every(({passed}) => passed);
+        // 报告默认写到缓存目录，不放在产出目录中，避免 --remote、san deploy 时被上传
+        const {cacheDirectory} = projectOptions.cache || require('san-cli-service/options').cacheOptions;
+        const {report = path.join(cacheDirectory, 'budgets.json'), compression = 'gzip'} = budgets;
+        if (report) {
+            const reportPath = api.resolve(report);
+            require('fs-extra').outputJsonSync(reportPath, {compression, passed, results}, {spaces: 4});
+            info(`Budgets report is written to ${textColor(path.relative(api.getCwd(), reportPath))}.`);
+        }
+        if (!passed) {
+            error(`Size budgets exceeded: ${results.filter(({passed}) => !passed).length} of ${results.length}.`);
+        }
+        return passed;
+    }
+    function printStats({stats: webpackStats}) {
+        let budgetsPassed = true;
         if (!analyze) {
             // 只有在非 analyze 模式下才会输出 log
             const targetDir = api.resolve(dest || projectOptions.outputDir);
@@ -52,103 +101,94 @@ module.exports = function apply(argv, api, projectOptions) {
                 chunks: true,
                 version: true,
                 timings: true,
-                performance: true
+                performance: true,
+                outputPath: true
             });
             console.log(
                 require('san-cli-webpack/lib/formatStats')(stats, targetDirShort, {
                     resolve: p => api.resolve(p)
                 })
             );
+            budgetsPassed = checkBudgets(stats);
 
-            if (!watch) {
+            if (!watch && budgetsPassed) {
                 const duration = (Date.now() - startTime) / 1e3;
-                if (isModern) {
-                    if (isModernBuild) {
-                        successLog('Build modern bundle success');
-                    }
-                    else {
-                        successLog('Build legacy bundle success');
-                        console.log();
-                    }
-                    return;
-                }
-                const {time, version} = stats;
+                const {version} = stats;
+                // pageGroups、browserTargets 打包时，耗时取最慢的 compiler
+                const time = stats.children
+                    ? Math.max(...stats.children.map(child => child.time || 0))
+                    : stats.time;
                 successLog(
                     `The ${textColor(targetDirShort)} directory is ready to be deployed. Duration ${textColor(
                         `${duration}/${time / 1e3}s`
                     )}, Webpack ${version}.`
                 );
+                if (argv.target === 'lib') {
+                    const {getLibName, getPackageFields} = require('san-cli-service/targets/lib');
+                    const fields = getPackageFields({
+                        name: argv.name || getLibName(api.getPkg(), argv.entry),
+                        targetDir,
+                        cwd: api.getCwd(),
+                        pkg: api.getPkg()
+                    });
+                    info('Suggested entry fields for package.json:');
+                    console.log(JSON.stringify(fields, null, 4));
+                }
+                else if (argv.target === 'wc' || argv.target === 'wc-async') {
+                    const {getLibName} = require('san-cli-service/targets/lib');
+                    const {getCustomElements} = require('san-cli-service/targets/wc');
+                    const name = argv.name || getLibName(api.getPkg(), argv.entry);
+                    const tagNames = getCustomElements(argv.entry, name, api.getCwd()).map(({tagName}) => tagName);
+                    info(`Defined custom elements: ${tagNames.map(tagName => `<${tagName}>`).join(', ')}`);
+                }
             }
         }
         else {
             successLog('Build complete. Watching for changes...');
         }
+        return budgetsPassed;
     }
 
     // 放到这里 require 是让命令行更快加载，而不是等 webpack 这大坨东西。。
     const build = require('san-cli-webpack/build');
-    if (modern) {
-        // 2.1 modern mode，会fork execa 执行一次打包
-        // modern mode 必须要保证 legacy 先打包完成
-        if (!process.env.SAN_CLI_MODERN_BUILD) {
-            process.env.SAN_CLI_LEGACY_BUILD = 1;
-            // 获取 webpack 配置
-            let config = getNormalizeWebpackConfig(
-                api,
-                projectOptions,
-                Object.assign(argv, {
-                    modernBuild: false
-                })
-            );
-            // for legacy build
-            build({
-                webpackConfig: config
-            })
-                .then(async data => {
-                    success(data, {isModern: true});
-                    // execa 打包，保证打包环境的纯洁性
-                    const execa = require('execa');
-                    const cliBin = require('path').resolve(__dirname, '../../index.js');
-                    const rawArgs = process.argv.slice(3);
-                    // TODO 这里会有权限问题？还是自己电脑权限问题？
-                    // https://github.com/sindresorhus/execa/issues/75
-                    await execa(cliBin, ['build', ...rawArgs], {
-                        stdio: 'inherit',
-                        env: {
-                            SAN_CLI_MODERN_BUILD: true,
-                            SAN_CLI_LEGACY_BUILD: 0
-                        }
-                    });
-                })
-                .catch(fail);
-        }
-        else {
-            // 这里是 modern mode 的打包
-            // 注意要用 clean = false 哦！！！不然会删掉 legacy-${filename}.json，legacy 打包就白费了！
-            // 获取 webpack 配置
-            let config = getNormalizeWebpackConfig(
-                api,
-                projectOptions,
-                Object.assign(argv, {
-                    modernBuild: true,
-                    clean: false
-                })
-            );
-            // for modern build
-            build({
-                webpackConfig: config
-            })
-                .then(data => {
-                    success(data, {isModern: true, isModernBuild: true});
-                })
-                .catch(fail);
+
+    // 每个 compiler（MultiCompiler 时是每个子 compiler）编译完成都调用 compileDone
+    async function compilerCallback(compiler) {
+        (compiler.compilers || [compiler]).forEach(child =>
+            child.hooks.done.tapPromise('san-cli-build', stats => service.callHook('compileDone', stats))
+        );
+        if (remote && watch) {
+            // 上一次上传完成之后再上传，只会上传变化的文件
+            let deploying = Promise.resolve();
+            compiler.hooks.done.tap('san-cli-deploy', stats => {
+                if (!stats.hasErrors()) {
+                    deploying = deploying
+                        .then(() => deployTarget(api, projectOptions, {name: remote, dest}))
+                        .catch(error);
+                }
+            });
         }
+        await service.callHook('beforeBuild', compiler);
+    }
+
+    async function runBuild(webpackConfig) {
+        await service.callHook('configResolved', webpackConfig);
+        return build({webpackConfig, compilerCallback});
     }
-    else {
-        // 获取 webpack 配置
-        // for build
-        build({webpackConfig: getNormalizeWebpackConfig(api, projectOptions, argv)})
-            .then(success)
-            .catch(fail);
+
+    if (remote) {
+        try {
+            // 打包之前检查 deploy 配置
+            resolveTarget(projectOptions.deploy, remote);
+        }
+        catch (e) {
+            return fail(e);
+        }
     }
+
+    // 获取 webpack 配置
+    // for build
+    runBuild(getNormalizeWebpackConfig(api, projectOptions, argv))
+        .then(success)
+        .catch(fail);
 };
@@ -0,0 +1,37 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file clean
+ * @author ksky521
+ */
+
+module.exports = {
+    command: 'clean',
+    desc: 'Remove the persistent build cache directory',
+    builder: {},
+    async handler(argv) {
+        const path = require('path');
+        const fse = require('fs-extra');
+        const Service = require('san-cli-service');
+        const {cacheOptions} = require('san-cli-service/options');
+        const {success} = require('san-cli-utils/ttyLogger');
+        const {textColor} = require('san-cli-utils/randomColor');
+
+        const service = new Service('cache', {
+            cwd: argv.getCwd(),
+            configFile: argv.configFile,
+            useBuiltInPlugin: false,
+            useProgress: false
+        });
+        // 读取 san.config.js 中的 cache.cacheDirectory，没有开启 cache 也使用默认目录
+        service.loadEnv(service.mode);
+        const {cache} = await service.loadProjectOptions(service.configFile);
+        const cacheDirectory = path.resolve(service.cwd, (cache || cacheOptions).cacheDirectory);
+
+        await fse.remove(cacheDirectory);
+        success(`Cache directory ${textColor(cacheDirectory)} has been removed.`);
+    }
+};
@@ -0,0 +1,260 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 部署产出目录，san deploy 和 san build --remote 共用
+ * 按照 target 的 transport 上传，根据内容 hash 只上传变化的文件
+ * @author ksky521
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const globby = require('globby');
+const minimatch = require('minimatch');
+const SError = require('san-cli-utils/SError');
+const {info, success, chalk} = require('san-cli-utils/ttyLogger');
+const {textColor} = require('san-cli-utils/randomColor');
+
+const TRANSPORTS = ['http', 'fsr', 'local', 'sftp', 's3'];
+// replace 只处理文本文件
+const TEXT_RE = /\.(js|mjs|css|html?|tpl|json|svg)$/;
+
+const md5 = content => crypto.createHash('md5').update(content).digest('hex');
+
+/**
+ * 获取 deploy 中的 target，没有配置时兼容 SAN_REMOTE_<NAME>_* 环境变量，
+ * 默认使用 fsr 安全部署，SAN_REMOTE_<NAME>_DISABLE_FSR=true 时直接上传到 receiver
+ *
+ * @param {Object} deploy san.config.js 中的 deploy 配置
+ * @param {string} name target 名
+ * @return {Object} target 配置
+ */
+function resolveTarget(deploy = {}, name) {
+    if (deploy[name]) {
+        return deploy[name];
+    }
+    const prefix = `SAN_REMOTE_${name.toUpperCase()}_`;
+    if (process.env[`${prefix}RECEIVER`] || process.env[`${prefix}HOST`]) {
+        // templatePath → TEMPLATE_PATH
+        const env = {};
+        ['receiver', 'host', 'disableFsr', 'templatePath', 'staticPath', 'staticDomain', 'baseUrl'].forEach(key => {
+            env[key] = process.env[prefix + key.replace(/[A-Z]/g, $1 => `_${$1}`).toUpperCase()];
+        });
+        ['templatePath', 'staticPath'].forEach(key => {
+            if (!env[key]) {
+                const upperKey = key.replace(/[A-Z]/g, $1 => `_${$1}`).toUpperCase();
+                throw new SError(`Deploy target \`${name}\` requires ${chalk.red(prefix + upperKey)} in process.env.`);
+            }
+        });
+        const target = {
+            to: {'**/*.tpl': env.templatePath, '**': env.staticPath},
+            replace: env.baseUrl && env.staticDomain ? {from: env.baseUrl, to: env.staticDomain} : undefined
+        };
+        if (env.disableFsr === 'true') {
+            if (!env.receiver) {
+                const key = chalk.red(`${prefix}RECEIVER`);
+                throw new SError(`Deploy target \`${name}\` requires ${key} in process.env.`);
+            }
+            return Object.assign({transport: 'http', receiver: env.receiver}, target);
+        }
+        // fsr 验证时需要在命令行输入，逐个上传
+        return Object.assign({transport: 'fsr', host: env.host, receiver: env.receiver, concurrency: 1}, target);
+    }
+    const names = Object.keys(deploy);
+    throw new SError(
+        `Cannot find deploy target \`${name}\` in san.config.js${
+            names.length ? `, available targets: ${names.join(', ')}` : ''
+        }.`
+    );
+}
+
+/**
+ * 创建 transport，内置 http、fsr、local、sftp、s3，也可以是模块路径或者工厂函数
+ * transport 为 {id, upload({file, remote, content}), getHash?(remote), close?()}
+ *
+ * @param {Object} target target 配置
+ * @param {string} cwd 项目根目录
+ * @return {Object} transport
+ */
+function createTransport({transport = 'http', ...options}, cwd) {
+    let factory = transport;
+    if (typeof transport === 'string') {
+        factory = TRANSPORTS.includes(transport)
+            ? require(`./transports/${transport}`)
+            : require(require.resolve(transport, {paths: [cwd]}));
+    }
+    if (typeof factory !== 'function') {
+        throw new SError(`Deploy transport must be one of ${TRANSPORTS.join(', ')}, a module path or a function.`);
+    }
+    return factory(Object.assign({}, options, {cwd}));
+}
+
+/**
+ * 远程路径，to 为对象时使用第一个匹配的 glob 对应的目录，都不匹配时不上传
+ *
+ * @param {string} file 相对产出目录的路径
+ * @param {string|Object} to 远程目录或者 {glob: 远程目录}
+ * @return {string|null} 远程路径
+ */
+function getRemotePath(file, to = '/') {
+    if (typeof to === 'string') {
+        return path.posix.join(to, file);
+    }
+    const pattern = Object.keys(to).find(pattern => minimatch(file, pattern, {dot: true}));
+    return pattern ? path.posix.join(to[pattern], file) : null;
+}
+
+// 并发执行，出错之后不再开始新的任务
+async function eachLimit(items, limit, iterator) {
+    let index = 0;
+    let failed = false;
+    const worker = async () => {
+        while (!failed && index < items.length) {
+            const item = items[index++];
+            try {
+                await iterator(item);
+            }
+            catch (e) {
+                failed = true;
+                throw e;
+            }
+        }
+    };
+    await Promise.all(Array.from({length: Math.min(limit, items.length)}, worker));
+}
+
+/**
+ * 上传产出目录中的文件
+ *
+ * @param {Object} options 参数
+ * @param {string} options.name target 名
+ * @param {Object} options.target target 配置
+ * @param {string} options.outputDir 产出目录
+ * @param {string} options.cwd 项目根目录
+ * @param {string} options.cacheDirectory 记录已上传文件 hash 的目录
+ * @param {boolean} [options.dryRun] 只列出需要上传的文件
+ * @param {boolean} [options.force] 上传全部文件
+ * @return {Promise<Object>} {uploaded, unchanged}，都是 [{file, remote}]
+ */
+async function deploy({name, target, outputDir, cwd, cacheDirectory, dryRun = false, force = false}) {
+    if (!fs.existsSync(outputDir)) {
+        throw new SError(`Cannot find ${path.relative(cwd, outputDir) || '.'}, run \`san build\` first.`);
+    }
+    const {include = '**/*', exclude = [], to, replace, onlyChanged = true, concurrency = 5, retry = 2} = target;
+    const transport = createTransport(target, cwd);
+    const files = globby
+        .sync(include, {cwd: outputDir, ignore: [].concat(exclude), dot: true, onlyFiles: true})
+        .sort()
+        .map(file => ({file, remote: getRemotePath(file, to)}))
+        .filter(({remote}) => remote);
+    files.forEach(item => {
+        let content = fs.readFileSync(path.join(outputDir, item.file));
+        if (replace && TEXT_RE.test(item.file)) {
+            const from = typeof replace.from === 'string' ? new RegExp(escapeRegExp(replace.from), 'g') : replace.from;
+            content = Buffer.from(content.toString().replace(from, replace.to));
+        }
+        item.content = content;
+        item.hash = md5(content);
+    });
+
+    // transport 不能读取远程文件时，使用本地记录的上次上传的 hash
+    const statePath = path.resolve(cwd, cacheDirectory, 'deploy', `${name}.json`);
+    let state = fs.existsSync(statePath) ? fs.readJsonSync(statePath, {throws: false}) : null;
+    if (!state || state.id !== transport.id) {
+        state = {id: transport.id, files: {}};
+    }
+
+    const uploaded = [];
+    const unchanged = [];
+    const log = ({file, remote}, changed) =>
+        console.log(`  ${changed ? chalk.green('-') : chalk.gray('=')} ${file} ${chalk.yellow('>>')} ${remote}`);
+    const upload = async (item, times = retry) => {
+        try {
+            await transport.upload(item);
+        }
+        catch (e) {
+            if (times > 0) {
+                return upload(item, times - 1);
+            }
+            throw new SError(`Failed to upload ${item.file} to ${item.remote}: ${e.message}`);
+        }
+    };
+
+    info(`${dryRun ? 'Dry run: deploying' : 'Deploying'} ${textColor(path.relative(cwd, outputDir) || '.')} to ${
+        textColor(name)
+    }...`);
+    try {
+        await eachLimit(files, concurrency, async item => {
+            let changed = force || !onlyChanged;
+            if (!changed) {
+                const remoteHash = transport.getHash ? await transport.getHash(item.remote) : state.files[item.remote];
+                changed = remoteHash !== item.hash;
+            }
+            if (!changed) {
+                unchanged.push(item);
+                if (dryRun) {
+                    log(item, false);
+                }
+                return;
+            }
+            if (!dryRun) {
+                await upload(item);
+                state.files[item.remote] = item.hash;
+            }
+            uploaded.push(item);
+            log(item, true);
+        });
+    }
+    finally {
+        if (transport.close) {
+            await transport.close();
+        }
+        // 部分失败时也记录已经上传成功的文件
+        if (!dryRun && uploaded.length) {
+            fs.outputJsonSync(statePath, state, {spaces: 4});
+        }
+    }
+
+    success(`${dryRun ? 'Would upload' : 'Uploaded'} ${uploaded.length} files to ${textColor(name)}${
+        unchanged.length ? `, ${unchanged.length} unchanged` : ''
+    }.`);
+    const pick = ({file, remote}) => ({file, remote});
+    return {uploaded: uploaded.map(pick), unchanged: unchanged.map(pick)};
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 部署 san.config.js 中的 target
+ *
+ * @param {Object} api PluginAPI
+ * @param {Object} projectOptions 项目配置
+ * @param {Object} options 参数
+ * @param {string} options.name target 名
+ * @param {string} [options.dest] 产出目录，默认是 outputDir
+ * @param {boolean} [options.dryRun] 只列出需要上传的文件
+ * @param {boolean} [options.force] 上传全部文件
+ * @return {Promise<Object>} {uploaded, unchanged}
+ */
+async function deployTarget(api, projectOptions, {name, dest, dryRun, force}) {
+    const {cacheOptions} = require('san-cli-service/options');
+    return deploy({
+        name,
+        target: resolveTarget(projectOptions.deploy, name),
+        outputDir: api.resolve(dest || projectOptions.outputDir),
+        cwd: api.getCwd(),
+        cacheDirectory: (projectOptions.cache || cacheOptions).cacheDirectory,
+        dryRun,
+        force
+    });
+}
+
+exports.resolveTarget = resolveTarget;
+exports.getRemotePath = getRemotePath;
+exports.deploy = deploy;
+exports.deployTarget = deployTarget;
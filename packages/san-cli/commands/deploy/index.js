@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file deploy command，不重新打包，直接上传已有的产出目录
+ * @author ksky521
+ */
+
+exports.command = 'deploy <target>';
+exports.description = 'Upload the output directory to a deploy target without rebuilding';
+exports.builder = {
+    dest: {
+        alias: 'd',
+        type: 'string',
+        describe: 'Output directory to upload, defaults to outputDir'
+    },
+    'dry-run': {
+        type: 'boolean',
+        default: false,
+        describe: 'List the files to upload without uploading'
+    },
+    force: {
+        alias: 'f',
+        type: 'boolean',
+        default: false,
+        describe: 'Upload all files, including unchanged ones'
+    },
+    mode: {
+        type: 'string',
+        default: 'production',
+        describe: 'Mode used to load .env files'
+    }
+};
+
+exports.handler = argv => {
+    const {error} = require('san-cli-utils/ttyLogger');
+    const {deployTarget} = require('./deploy');
+
+    require('../../lib/service')('deploy', argv, (api, projectOptions) => {
+        deployTarget(api, projectOptions, {
+            name: argv.target,
+            dest: argv.dest,
+            dryRun: argv.dryRun,
+            force: argv.force
+        }).catch(e => {
+            error(e);
+            process.exit(1);
+        });
+    });
+};
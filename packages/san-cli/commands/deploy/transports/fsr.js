@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 部署 transport：fsr 安全部署服务，使用 deploy-files 上传
+ * 服务端要求验证时在命令行中输入邮箱和验证码，token 保存在 ~/.deploy-tmp/deploy.json 中
+ * @author ksky521
+ */
+
+const SError = require('san-cli-utils/SError');
+
+/**
+ * @param {Object} options target 配置
+ * @param {string} [options.host] fsr 服务地址，设置后 receiver 为 host + '/v1/upload'
+ * @param {string} [options.receiver] receiver 地址，没有 host 时必填
+ * @param {Object} [options.data] 额外的表单字段
+ * @param {number} [options.retry] 失败时的重试次数，deploy-files 重试之后仍然失败时直接抛出异常
+ * @return {Object} transport
+ */
+module.exports = ({host, receiver, data = {}, retry = 2}) => {
+    if (!host && !receiver) {
+        throw new SError('`host` or `receiver` is required by the fsr deploy transport.');
+    }
+    // deploy-files/fsr 加载时就会监听命令行输入，用到时再 require
+    const fsrUpload = require('deploy-files/fsr');
+    return {
+        id: `fsr:${host || receiver}`,
+        upload({remote, content}) {
+            return new Promise(resolve => {
+                // deploy-files 的远程路径是 path.join(to, subpath)
+                fsrUpload(
+                    [{to: '/', subpath: remote, content}],
+                    {host, receiver, data: Object.assign({}, data), retry: retry + 1},
+                    () => resolve()
+                );
+            });
+        }
+    };
+};
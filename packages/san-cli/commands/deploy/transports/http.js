@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 部署 transport：HTTP receiver，兼容 fis 的 receiver.php
+ * 使用 multipart/form-data 上传，to 字段为远程文件路径，返回 0 或者 {errno: 0} 表示成功
+ * @author ksky521
+ */
+
+const {parse} = require('url');
+const SError = require('san-cli-utils/SError');
+
+function getBody(fields, {filename, content}, boundary) {
+    const parts = Object.keys(fields)
+        .filter(key => fields[key] !== undefined && fields[key] !== null)
+        .map(key => `--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${fields[key]}\r\n`);
+    parts.push(
+        `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\n`
+            + 'Content-Type: application/octet-stream\r\n\r\n'
+    );
+    return Buffer.concat([
+        Buffer.from(parts.join('')),
+        content,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+}
+
+function isSuccess(text) {
+    if (text === '0') {
+        return true;
+    }
+    try {
+        return JSON.parse(text).errno === 0;
+    }
+    catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @param {Object} options target 配置
+ * @param {string} options.receiver receiver 地址
+ * @param {Object} [options.data] 额外的表单字段，例如 token
+ * @param {Object} [options.headers] 额外的请求头
+ * @param {number} [options.timeout] 超时时间，默认 30s
+ * @return {Object} transport
+ */
+module.exports = ({receiver, data = {}, headers = {}, timeout = 30000}) => {
+    if (!receiver) {
+        throw new SError('`receiver` is required by the http deploy transport.');
+    }
+    const url = parse(receiver);
+    const request = require(url.protocol === 'https:' ? 'https' : 'http').request;
+    return {
+        id: receiver,
+        upload({remote, content}) {
+            const boundary = `----SanCLIDeploy${Math.random().toString(16).slice(2)}`;
+            const body = getBody(
+                Object.assign({}, data, {to: remote}),
+                {filename: remote.split('/').pop(), content},
+                boundary
+            );
+            return new Promise((resolve, reject) => {
+                const req = request(
+                    Object.assign({}, url, {
+                        method: 'POST',
+                        headers: Object.assign(
+                            {
+                                'Content-Type': `multipart/form-data; boundary=${boundary}`,
+                                'Content-Length': body.length
+                            },
+                            headers
+                        )
+                    }),
+                    res => {
+                        const chunks = [];
+                        res.on('data', chunk => chunks.push(chunk));
+                        res.on('end', () => {
+                            const text = Buffer.concat(chunks).toString().trim();
+                            if (res.statusCode >= 200 && res.statusCode < 300 && isSuccess(text)) {
+                                resolve();
+                            }
+                            else {
+                                reject(new Error(`receiver responded ${res.statusCode} ${text}`.trim()));
+                            }
+                        });
+                    }
+                );
+                req.setTimeout(timeout, () => req.abort());
+                req.on('error', reject);
+                req.end(body);
+            });
+        }
+    };
+};
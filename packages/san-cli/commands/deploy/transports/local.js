@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 部署 transport：复制到本地目录，跟 rsync 一样比较目标文件的内容，只复制变化的文件
+ * @author ksky521
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+/**
+ * @param {Object} options target 配置
+ * @param {string} options.cwd 项目根目录，远程路径相对于这个目录
+ * @return {Object} transport
+ */
+module.exports = ({cwd}) => ({
+    id: 'local',
+    async getHash(remote) {
+        try {
+            const content = await fs.readFile(path.resolve(cwd, remote));
+            return crypto.createHash('md5').update(content).digest('hex');
+        }
+        catch (e) {
+            return null;
+        }
+    },
+    upload({remote, content}) {
+        return fs.outputFile(path.resolve(cwd, remote), content);
+    }
+});
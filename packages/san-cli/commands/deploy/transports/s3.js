@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 部署 transport：S3 兼容的对象存储，例如 AWS S3、MinIO、BOS
+ * 使用 path-style 地址和 Signature Version 4 签名，HEAD 请求的 ETag 跟本地文件的 md5 比较，只上传变化的文件
+ * @author ksky521
+ */
+
+const crypto = require('crypto');
+const {parse} = require('url');
+const SError = require('san-cli-utils/SError');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// RFC 3986 编码，S3 的路径中 / 不编码
+const encodeKey = key => key.split('/').map(part => encodeURIComponent(part).replace(/[!'()*]/g, c =>
+    `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+)).join('/');
+
+/**
+ * Signature Version 4 签名，headers 中的全部请求头都参与签名，需要包含 host 和 x-amz-content-sha256
+ *
+ * @param {Object} options 参数
+ * @param {string} options.method 请求方法
+ * @param {string} options.path 编码之后的路径
+ * @param {Object} options.headers 请求头
+ * @param {string} options.region 区域
+ * @param {string} options.accessKeyId access key
+ * @param {string} options.secretAccessKey secret key
+ * @param {Date} [options.date] 签名时间
+ * @return {Object} 加上 x-amz-date 和 authorization 的请求头
+ */
+function signRequest({method, path, headers, region, accessKeyId, secretAccessKey, date = new Date()}) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const canonicalHeaders = {'x-amz-date': amzDate};
+    Object.keys(headers).forEach(name => {
+        canonicalHeaders[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+    });
+    const names = Object.keys(canonicalHeaders).sort();
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+        method,
+        path,
+        '',
+        names.map(name => `${name}:${canonicalHeaders[name]}\n`).join(''),
+        signedHeaders,
+        canonicalHeaders['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [day, region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return Object.assign({}, canonicalHeaders, {
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, `
+            + `SignedHeaders=${signedHeaders}, Signature=${signature}`
+    });
+}
+
+/**
+ * @param {Object} options target 配置
+ * @param {string} [options.endpoint] 服务地址，默认是 https://s3.amazonaws.com
+ * @param {string} options.bucket bucket
+ * @param {string} [options.region] 区域，默认是 us-east-1
+ * @param {string} [options.accessKeyId] 默认读取 AWS_ACCESS_KEY_ID 环境变量
+ * @param {string} [options.secretAccessKey] 默认读取 AWS_SECRET_ACCESS_KEY 环境变量
+ * @param {Object} [options.headers] 上传时额外的请求头，例如 Cache-Control、x-amz-acl
+ * @param {number} [options.timeout] 超时时间，默认 30s
+ * @return {Object} transport
+ */
+module.exports = ({
+    endpoint = 'https://s3.amazonaws.com',
+    bucket,
+    region = 'us-east-1',
+    accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+    headers = {},
+    timeout = 30000
+}) => {
+    if (!bucket) {
+        throw new SError('`bucket` is required by the s3 deploy transport.');
+    }
+    if (!accessKeyId || !secretAccessKey) {
+        throw new SError('`accessKeyId` and `secretAccessKey` are required by the s3 deploy transport.');
+    }
+    const url = parse(endpoint);
+    const request = require(url.protocol === 'https:' ? 'https' : 'http').request;
+    const send = (method, remote, body = Buffer.alloc(0), extraHeaders = {}) => {
+        // 远程路径作为 key，去掉开头的 /
+        const path = `${(url.pathname || '').replace(/\/$/, '')}/${bucket}/${encodeKey(remote.replace(/^\/+/, ''))}`;
+        const signedHeaders = signRequest({
+            method,
+            path,
+            headers: Object.assign({host: url.host, 'x-amz-content-sha256': sha256(body)}, extraHeaders),
+            region,
+            accessKeyId,
+            secretAccessKey
+        });
+        return new Promise((resolve, reject) => {
+            const req = request(
+                {
+                    protocol: url.protocol,
+                    hostname: url.hostname,
+                    port: url.port,
+                    method,
+                    path,
+                    headers: Object.assign(signedHeaders, {'content-length': body.length})
+                },
+                res => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => resolve({res, text: Buffer.concat(chunks).toString()}));
+                }
+            );
+            req.setTimeout(timeout, () => req.abort());
+            req.on('error', reject);
+            req.end(body);
+        });
+    };
+    return {
+        id: `${endpoint}/${bucket}`,
+        async getHash(remote) {
+            const {res} = await send('HEAD', remote);
+            if (res.statusCode === 404) {
+                return null;
+            }
+            if (res.statusCode !== 200) {
+                throw new Error(`HEAD ${remote} responded ${res.statusCode}`);
+            }
+            return (res.headers.etag || '').replace(/"/g, '');
+        },
+        async upload({remote, content}) {
+            const contentType = require('mime-types').lookup(remote) || 'application/octet-stream';
+            const {res, text} = await send(
+                'PUT',
+                remote,
+                content,
+                Object.assign({'content-type': contentType}, headers)
+            );
+            if (res.statusCode !== 200) {
+                throw new Error(`PUT ${remote} responded ${res.statusCode} ${text}`.trim());
+            }
+        }
+    };
+};
+
+module.exports.signRequest = signRequest;
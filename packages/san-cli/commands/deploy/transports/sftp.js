@@ -0,0 +1,72 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 部署 transport：SFTP，使用项目中安装的 ssh2-sftp-client
+ * @author ksky521
+ */
+
+const path = require('path');
+const fs = require('fs');
+const SError = require('san-cli-utils/SError');
+
+/**
+ * @param {Object} options target 配置
+ * @param {string} options.host 主机
+ * @param {number} [options.port] 端口，默认 22
+ * @param {string} [options.username] 用户名
+ * @param {string} [options.password] 密码
+ * @param {string} [options.privateKey] 私钥文件路径，相对于项目根目录
+ * @param {string} [options.passphrase] 私钥密码
+ * @param {string} options.cwd 项目根目录
+ * @return {Object} transport
+ */
+module.exports = ({host, port = 22, username, password, privateKey, passphrase, cwd}) => {
+    if (!host) {
+        throw new SError('`host` is required by the sftp deploy transport.');
+    }
+    let Client;
+    try {
+        Client = require(require.resolve('ssh2-sftp-client', {paths: [cwd, __dirname]}));
+    }
+    catch (e) {
+        throw new SError('SFTP deploy requires `ssh2-sftp-client`, please install it: npm i -D ssh2-sftp-client');
+    }
+    const client = new Client();
+    let connecting = null;
+    const connect = () => {
+        if (!connecting) {
+            connecting = client.connect({
+                host,
+                port,
+                username,
+                password,
+                passphrase,
+                privateKey: privateKey && fs.readFileSync(path.resolve(cwd, privateKey))
+            });
+        }
+        return connecting;
+    };
+    // 并发上传时同一个目录只创建一次
+    const dirs = new Map();
+    const ensureDir = dir => {
+        if (!dirs.has(dir)) {
+            dirs.set(dir, client.exists(dir).then(exists => exists || client.mkdir(dir, true)));
+        }
+        return dirs.get(dir);
+    };
+    return {
+        id: `sftp://${username ? `${username}@` : ''}${host}:${port}`,
+        async upload({remote, content}) {
+            await connect();
+            await ensureDir(path.posix.dirname(remote));
+            await client.put(content, remote);
+        },
+        close() {
+            // 连接失败时没有需要关闭的连接
+            return connecting && connecting.then(() => client.end(), () => {});
+        }
+    };
+};
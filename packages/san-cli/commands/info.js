@@ -0,0 +1,137 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file info command，输出环境信息，方便反馈问题
+ * @author ksky521
+ */
+
+const NOT_FOUND = 'Not Found';
+
+// 除了项目依赖中的 san-cli-* 之外，固定输出的包
+const PACKAGES = {
+    San: ['san', 'san-cli', 'san-cli-service', 'san-cli-webpack', 'san-cli-utils', 'san-cli-plugin-babel'],
+    Webpack: ['webpack', 'webpack-dev-server'],
+    Babel: ['@babel/core', '@babel/preset-env'],
+    Loaders: [
+        'san-loader',
+        'san-hot-loader',
+        'babel-loader',
+        'css-loader',
+        'style-loader',
+        'postcss-loader',
+        'less-loader',
+        'sass-loader',
+        'stylus-loader',
+        'url-loader',
+        'file-loader',
+        'eslint-loader'
+    ]
+};
+
+exports.command = 'info';
+exports.description = 'Print debugging information about your environment';
+exports.builder = {
+    json: {
+        type: 'boolean',
+        default: false,
+        describe: 'Output as JSON'
+    }
+};
+
+exports.handler = argv => {
+    const os = require('os');
+    const path = require('path');
+    const {execSync} = require('child_process');
+    const readPkg = require('san-cli-utils/readPkg');
+    const readRc = require('san-cli-utils/readRc');
+    const {chalk} = require('san-cli-utils/ttyLogger');
+
+    const cwd = argv.getCwd();
+    const pkg = readPkg(cwd) || {};
+
+    const getBinVersion = bin => {
+        try {
+            return execSync(`${bin} --version`, {stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000})
+                .toString()
+                .trim();
+        }
+        catch (e) {
+            return NOT_FOUND;
+        }
+    };
+    // 优先从项目中查找，其次是 CLI 打包时实际使用的（san-cli-webpack 和 san-cli-service 的依赖）
+    const paths = [
+        cwd,
+        path.dirname(require.resolve('san-cli-webpack/build')),
+        path.dirname(require.resolve('san-cli-service'))
+    ];
+    const getPkgVersion = name => {
+        try {
+            return require(require.resolve(`${name}/package.json`, {paths})).version;
+        }
+        catch (e) {
+            return NOT_FOUND;
+        }
+    };
+    const getVersions = names => names.reduce((versions, name) => {
+        versions[name] = getPkgVersion(name);
+        return versions;
+    }, {});
+
+    // 项目依赖中的 san-cli-* 包
+    const deps = Object.keys(Object.assign({}, pkg.dependencies, pkg.devDependencies));
+    const sanPackages = PACKAGES.San.concat(
+        deps.filter(name => /^(@[^/]+\/)?san-cli-/.test(name) && !PACKAGES.San.includes(name))
+    );
+    // package.json san 字段和 ~/.san/sanrc.json 中的插件和命令
+    const getPresets = presets => {
+        const {commands = [], plugins = [], servicePlugins = []} = presets || {};
+        return {commands, plugins: plugins.concat(servicePlugins)};
+    };
+
+    const info = {
+        System: {
+            OS: `${os.type()} ${os.release()} ${os.arch()}`,
+            CPU: `(${os.cpus().length}) ${(os.cpus()[0] || {}).model || 'unknown'}`
+        },
+        Binaries: {
+            Node: process.versions.node,
+            npm: getBinVersion('npm'),
+            Yarn: getBinVersion('yarnpkg'),
+            pnpm: getBinVersion('pnpm')
+        },
+        San: getVersions(sanPackages),
+        Webpack: getVersions(PACKAGES.Webpack),
+        Babel: getVersions(PACKAGES.Babel),
+        Loaders: getVersions(PACKAGES.Loaders),
+        Presets: {
+            'package.json': getPresets(pkg.san),
+            'sanrc.json': getPresets(readRc('rc'))
+        }
+    };
+
+    if (argv.json) {
+        console.log(JSON.stringify(info, null, 4));
+        return;
+    }
+    const format = value => (Array.isArray(value) ? (value.length ? value.join(', ') : 'None') : value);
+    console.log();
+    Object.keys(info).forEach(section => {
+        console.log(`  ${chalk.bold(section)}:`);
+        Object.keys(info[section]).forEach(key => {
+            const value = info[section][key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                // Presets 多一层
+                console.log(`    ${key}:`);
+                Object.keys(value).forEach(k => console.log(`      ${k}: ${format(value[k])}`));
+            }
+            else {
+                console.log(`    ${key}: ${value === NOT_FOUND ? chalk.gray(value) : format(value)}`);
+            }
+        });
+    });
+    console.log();
+};
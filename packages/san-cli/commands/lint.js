@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file lint command
+ * @author ksky521
+ */
+
+exports.command = 'lint [paths...]';
+exports.description = 'Lint .js and .san files with ESLint';
+exports.builder = {
+    fix: {
+        type: 'boolean',
+        default: false,
+        describe: 'Automatically fix problems'
+    },
+    format: {
+        alias: 'f',
+        type: 'string',
+        default: 'codeframe',
+        describe: 'Use a specific output format'
+    },
+    'max-warnings': {
+        type: 'number',
+        describe: 'Number of warnings to trigger nonzero exit code'
+    }
+};
+
+exports.handler = async argv => {
+    const fs = require('fs');
+    const path = require('path');
+    const Service = require('san-cli-service');
+    const {lintSan} = require('san-cli-webpack/lib/lintSan');
+    const {success} = require('san-cli-utils/ttyLogger');
+
+    const cwd = argv.getCwd();
+    const service = new Service('lint', {
+        cwd,
+        configFile: argv.configFile,
+        useBuiltInPlugin: false,
+        useProgress: false
+    });
+    service.loadEnv(service.mode);
+    const projectOptions = await service.loadProjectOptions(service.configFile);
+
+    // 跟 lintOnSave 使用相同的 eslint 配置
+    /* eslint-disable no-unused-vars */
+    const {
+        options: {eslintPath, formatter, emitError, emitWarning, failOnError, cache, ...engineOptions}
+    } = require('san-cli-service/configs/loaders/eslint')(
+        (projectOptions.loaderOptions || {}).eslint,
+        projectOptions
+    );
+    /* eslint-enable no-unused-vars */
+    const {CLIEngine} = require(eslintPath);
+    const engine = new CLIEngine(Object.assign(engineOptions, {cwd, fix: argv.fix, extensions: ['.js', '.mjs']}));
+
+    const paths = argv.paths && argv.paths.length ? argv.paths : [fs.existsSync(path.join(cwd, 'src')) ? 'src' : '.'];
+    // js 交给 eslint 处理，.san 需要先取出 script
+    const report = {results: [], errorCount: 0, warningCount: 0, fixableErrorCount: 0, fixableWarningCount: 0};
+    const merge = ({results, ...counts}) => {
+        report.results.push(...results);
+        Object.keys(report)
+            .filter(key => /Count$/.test(key))
+            .forEach(key => (report[key] += counts[key]));
+    };
+    const jsPaths = paths.filter(p => !/\.san$/.test(p));
+    if (jsPaths.length) {
+        merge(engine.executeOnFiles(jsPaths));
+    }
+    const sanFiles = [];
+    const collect = file => {
+        if (engine.isPathIgnored(file) || /node_modules/.test(file)) {
+            return;
+        }
+        const stat = fs.statSync(file);
+        if (stat.isDirectory()) {
+            fs.readdirSync(file).forEach(name => collect(path.join(file, name)));
+        }
+        else if (/\.san$/.test(file)) {
+            sanFiles.push(file);
+        }
+    };
+    paths.map(p => path.resolve(cwd, p)).filter(p => fs.existsSync(p)).forEach(collect);
+
+    sanFiles.forEach(file => merge(lintSan(engine, fs.readFileSync(file, 'utf-8'), file)));
+
+    if (argv.fix) {
+        CLIEngine.outputFixes(report);
+    }
+
+    const format = argv.format === 'codeframe' ? formatter : engine.getFormatter(argv.format);
+    const {errorCount, warningCount} = report;
+    if (errorCount || warningCount) {
+        console.log(format(report.results));
+    }
+    else {
+        success('No lint errors found!');
+    }
+    const tooManyWarnings = argv.maxWarnings >= 0 && warningCount > argv.maxWarnings;
+    if (errorCount || tooManyWarnings) {
+        process.exit(1);
+    }
+};
@@ -11,27 +11,137 @@
 // 可以通过传入 api 和 options，获得 yarg 的 handler
 // 方便 command 插件直接调用 run，得到 hanlder
 // 为了扩展，需要增加webpack 和 dev-server 的配置回调
-module.exports = function apply(argv, api, projectOptions) {
+// isRestart 为 true 表示配置文件变化后重启 dev server
+module.exports = function apply(argv, api, projectOptions, isRestart) {
     const {info, error} = require('san-cli-utils/ttyLogger');
     const mode = argv.mode || process.env.NODE_ENV || 'development';
-    info(`Starting ${mode} server...`);
+    if (!isRestart) {
+        info(`Starting ${mode} server...`);
+    }
 
     const devServer = require('san-cli-webpack/serve');
     const getNormalizeWebpackConfig = require('./getNormalizeWebpackConfig');
 
     const {publicPath} = projectOptions;
     const webpackConfig = getNormalizeWebpackConfig(api, projectOptions, argv);
-    devServer({
-        webpackConfig,
-        publicPath,
-        devServerConfig: webpackConfig.devServer
-    })
-        .then(({isFirstCompile, networkUrl}) => {
+    // 插件的生命周期钩子，serve 时钩子出错只打印错误，不影响 dev server
+    const service = api.getServiceInstance();
+    const callHook = (name, ...args) => service.callHook(name, ...args).catch(e => error(e));
+    const compilerCallback = compiler => {
+        compiler.hooks.done.tapPromise('san-cli-serve', async stats => {
+            await callHook('compileDone', stats);
+            if (stats.hasErrors()) {
+                const {getWebpackErrorInfoFromStats} = require('san-cli-webpack/utils');
+                await callHook('compileError', getWebpackErrorInfoFromStats(undefined, stats).err);
+            }
+        });
+        return callHook('beforeBuild', compiler);
+    };
+
+    // pages 为 'auto' 或者 glob 时，页面的 entry 和 html 插件交给 DynamicPagesPlugin，新增、删除页面时不需要重启
+    let dynamicPages;
+
+    // 配置文件、.env 文件、本地插件变化时，重新创建 Service，在同一个端口重启 dev server
+    const watchConfig = ({port, close, server}) => {
+        const path = require('path');
+        const chokidar = require('chokidar');
+        const watcher = chokidar.watch(service.getConfigFiles(), {ignoreInitial: true, disableGlobbing: true});
+        // pages 为 'auto' 或者 glob 时监听页面目录，新增、删除页面后更新正在运行的 compiler，保留 hmr 连接
+        const pagesDir = service.getPagesDir();
+        const pagesWatcher = pagesDir && chokidar.watch(pagesDir, {ignoreInitial: true, ignored: /node_modules/});
+        // 重新加载失败时保留 watcher，修复之后再次重启
+        let current = service;
+        let restarting = false;
+        let closing;
+        const restart = file => {
+            if (restarting) {
+                return;
+            }
+            restarting = true;
+            info(`${path.relative(api.getCwd(), file)} changed, restarting dev server...`);
+            current.close();
+            closing = closing || new Promise(resolve => close(resolve));
+            closing.then(() => {
+                argv.port = port;
+                let started;
+                const next = require('../../lib/service')('serve', argv, (nextApi, nextOptions) => {
+                    started = apply(argv, nextApi, nextOptions, true);
+                });
+                const retry = () => {
+                    next.close();
+                    current = next;
+                    restarting = false;
+                };
+                next.running
+                    .then(() => started)
+                    .then(listening => {
+                        // 新的 dev server 启动之后才停止监听，新的 watcher 在 apply 中创建
+                        if (listening) {
+                            watcher.close();
+                            pagesWatcher && pagesWatcher.close();
+                        }
+                        else {
+                            retry();
+                        }
+                    })
+                    .catch(e => {
+                        error(e);
+                        retry();
+                    });
+            });
+        };
+        const updatePages = file => {
+            if (restarting) {
+                return;
+            }
+            try {
+                // 修改页面代码时查找结果不变，不需要更新
+                if (!service.pagesChanged()) {
+                    return;
+                }
+                info(`${path.relative(api.getCwd(), file)} changed, updating pages...`);
+                dynamicPages.update(
+                    getNormalizeWebpackConfig(api, projectOptions, argv),
+                    Object.keys(projectOptions.pages)
+                );
+            }
+            catch (e) {
+                // 查找页面出错时保留原来的页面，修复之后再次更新
+                error(e);
+                return;
+            }
+            server.invalidate();
+        };
+        watcher.on('all', (event, file) => restart(file));
+        if (pagesWatcher) {
+            pagesWatcher.on('all', (event, file) => updatePages(file));
+        }
+    };
+    // dev server 启动之后 resolve true，启动失败时 resolve false，重启时根据结果决定是否保留 watcher
+    return callHook('configResolved', webpackConfig)
+        .then(() => {
+            if (service.getPagesDir()) {
+                const DynamicPagesPlugin = require('san-cli-webpack/lib/DynamicPagesPlugin');
+                dynamicPages = DynamicPagesPlugin.inject(webpackConfig, Object.keys(projectOptions.pages));
+            }
+            return devServer({
+                webpackConfig,
+                publicPath,
+                devServerConfig: webpackConfig.devServer,
+                compilerCallback
+            });
+        })
+        .then(({isFirstCompile, networkUrl, url, urls, port, server, close}) => {
             if (isFirstCompile) {
+                watchConfig({port, close, server});
                 const {textColor} = require('san-cli-utils/randomColor');
                 /* eslint-disable no-console */
                 console.log();
                 console.log(`  Application is running at: ${textColor(networkUrl)}`);
+                if (isRestart) {
+                    console.log();
+                    return callHook('serveReady', {url, networkUrl, urls, port, server});
+                }
                 console.log('  URL QRCode is: ');
                 /* eslint-enable no-console */
                 // 打开浏览器地址
@@ -51,9 +161,15 @@ module.exports = function apply(argv, api, projectOptions) {
                         }
                     );
                 }
+                return callHook('serveReady', {url, networkUrl, urls, port, server});
             }
         })
-        .catch(({type, stats, err}) => {
+        .then(() => true)
+        .catch(({type, stats, err, port, close, server}) => {
+            if (type === 'webpack') {
+                // 第一次编译出错时 dev server 已经启动，同样需要监听配置的变化
+                watchConfig({port, close, server});
+            }
             if (type === 'server') {
                 error('Local server start failed！', err);
             } else if (stats && stats.toJson) {
@@ -69,5 +185,6 @@ module.exports = function apply(argv, api, projectOptions) {
             } else {
                 error(err);
             }
+            return type === 'webpack';
         });
 };
@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file test command
+ * @author ksky521
+ */
+
+exports.command = 'test [regexForTestFiles...]';
+exports.description = 'Run unit tests with Jest';
+exports.builder = {
+    watch: {
+        alias: 'w',
+        type: 'boolean',
+        default: false,
+        describe: 'Watch files for changes and rerun tests related to changed files'
+    },
+    'watch-all': {
+        type: 'boolean',
+        default: false,
+        describe: 'Watch files for changes and rerun all tests'
+    },
+    coverage: {
+        type: 'boolean',
+        default: false,
+        describe: 'Collect test coverage information'
+    },
+    'update-snapshot': {
+        alias: 'u',
+        type: 'boolean',
+        default: false,
+        describe: 'Re-record every snapshot that fails during this test run'
+    },
+    'test-name-pattern': {
+        alias: 't',
+        type: 'string',
+        describe: 'Run only tests with a name that matches the regex'
+    },
+    'run-in-band': {
+        alias: 'i',
+        type: 'boolean',
+        default: false,
+        describe: 'Run all tests serially in the current process'
+    },
+    ci: {
+        type: 'boolean',
+        describe: 'Do not write new snapshots automatically'
+    },
+    'pass-with-no-tests': {
+        type: 'boolean',
+        default: false,
+        describe: 'Do not fail when no tests are found'
+    }
+};
+
+exports.handler = cliApi => {
+    const {error} = require('san-cli-utils/ttyLogger');
+    // jest 的默认环境，.env.test 也会被加载
+    process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+    process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+
+    const jestArgv = {
+        watch: cliApi.watch,
+        watchAll: cliApi.watchAll,
+        coverage: cliApi.coverage,
+        updateSnapshot: cliApi.updateSnapshot ? 'all' : undefined,
+        testNamePattern: cliApi.testNamePattern,
+        runInBand: cliApi.runInBand,
+        ci: cliApi.ci,
+        passWithNoTests: cliApi.passWithNoTests,
+        testPathPattern: cliApi.regexForTestFiles || []
+    };
+    // undefined 的参数会覆盖 jest 的默认值
+    Object.keys(jestArgv).forEach(key => jestArgv[key] === undefined && delete jestArgv[key]);
+
+    // watch 模式由 jest 自己监听，不需要 service 的 watch
+    const api = Object.assign(Object.create(cliApi), {watch: false, noProgress: true});
+    require('../lib/service')('test', api, (serviceApi, projectOptions) => {
+        require('san-cli-plugin-jest')
+            .run(serviceApi, projectOptions, jestArgv)
+            .then(results => {
+                if (!jestArgv.watch && !jestArgv.watchAll && !results.success) {
+                    process.exit(1);
+                }
+            })
+            .catch(e => {
+                error(e);
+                process.exit(1);
+            });
+    });
+};
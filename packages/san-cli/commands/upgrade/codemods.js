@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file san.config 的 codemod，升级时改写废弃的配置项
+ * 只修改配置对象的源码片段，保留原来的格式和注释
+ * @author ksky521
+ */
+
+const semver = require('semver');
+
+/**
+ * 按版本排列的 codemod，从低于 version 的版本升级到不低于 version 的版本时执行
+ * 每项为 {version, description, transform(node, s, source)}，
+ * transform 接收配置对象（不嵌套在其他对象中的对象字面量）和 MagicString，返回是否有修改
+ * 目前还没有废弃的配置项，废弃配置项时在这里添加对应的 codemod
+ */
+const codemods = [];
+
+/**
+ * 对配置文件的源码执行 codemod
+ *
+ * @param {string} source 配置文件的源码
+ * @param {Object} options 参数
+ * @param {string} options.filename 配置文件名，用来判断是否按照 TypeScript 解析
+ * @param {string} options.from 升级前的版本
+ * @param {string} options.to 升级后的版本
+ * @return {Object} {code, applied}，applied 为执行过的 codemod 的描述
+ */
+function applyCodemods(source, {filename, from, to}) {
+    const babel = require('@babel/core');
+    const MagicString = require('magic-string');
+    const ast = babel.parseSync(source, {
+        filename,
+        babelrc: false,
+        configFile: false,
+        sourceType: 'unambiguous',
+        parserOpts: {plugins: /\.ts$/.test(filename) ? ['typescript'] : []}
+    });
+    // 配置对象：不嵌套在其他对象中的对象字面量，
+    // 包括 module.exports = {}、export default {}、defineConfig({}) 和配置函数的返回值
+    const configNodes = [];
+    babel.traverse(ast, {
+        ObjectExpression(path) {
+            if (!path.findParent(parent => parent.isObjectExpression())) {
+                configNodes.push(path.node);
+            }
+        }
+    });
+
+    const s = new MagicString(source);
+    const applied = codemods
+        .filter(({version}) => semver.lt(from, version) && semver.gte(to, version))
+        .filter(({transform}) => configNodes.filter(node => transform(node, s, source)).length > 0)
+        .map(({description}) => description);
+    return {code: s.toString(), applied};
+}
+
+exports.codemods = codemods;
+exports.applyCodemods = applyCodemods;
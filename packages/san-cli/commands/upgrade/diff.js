@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file 按行比较配置文件修改前后的内容，输出 unified diff 格式的文本
+ * @author ksky521
+ */
+
+// 修改处前后保留的行数
+const CONTEXT = 2;
+
+/**
+ * 生成 diff
+ *
+ * @param {string} before 修改前的内容
+ * @param {string} after 修改后的内容
+ * @param {string} filename 文件名
+ * @return {string} unified diff，没有修改时返回空字符串
+ */
+module.exports = function diff(before, after, filename) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    // 最长公共子序列，配置文件不大，直接用动态规划
+    const lcs = a.map(() => new Array(b.length + 1).fill(0));
+    lcs.push(new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    // 逐行标记：' ' 不变，'-' 删除，'+' 新增
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({type: ' ', text: a[i], i: i++, j: j++});
+        }
+        else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({type: '-', text: a[i], i: i++, j});
+        }
+        else {
+            lines.push({type: '+', text: b[j], i, j: j++});
+        }
+    }
+
+    // 把修改和附近的上下文合并成 hunk
+    const hunks = [];
+    lines.forEach((line, index) => {
+        if (line.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - CONTEXT);
+        const end = Math.min(lines.length, index + CONTEXT + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        }
+        else {
+            hunks.push({start, end});
+        }
+    });
+    if (!hunks.length) {
+        return '';
+    }
+
+    const output = [`--- a/${filename}`, `+++ b/${filename}`];
+    hunks.forEach(({start, end}) => {
+        const hunk = lines.slice(start, end);
+        const count = type => hunk.filter(line => line.type !== type).length;
+        output.push(`@@ -${hunk[0].i + 1},${count('+')} +${hunk[0].j + 1},${count('-')} @@`);
+        hunk.forEach(({type, text}) => output.push(type + text));
+    });
+    return output.join('\n');
+};
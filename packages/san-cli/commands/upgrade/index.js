@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file upgrade command，升级项目中的 san-cli 包，并改写 san.config 中废弃的配置项
+ * @author ksky521
+ */
+
+exports.command = 'upgrade';
+exports.description = 'Upgrade San CLI packages of the project and migrate san.config.js';
+exports.builder = {
+    'dry-run': {
+        type: 'boolean',
+        default: false,
+        describe: 'Show the changes without installing packages or writing files'
+    }
+};
+
+exports.handler = async argv => {
+    const fs = require('fs');
+    const path = require('path');
+    const semver = require('semver');
+    const {hasYarn} = require('san-cli-utils/env');
+    const SError = require('san-cli-utils/SError');
+    const {info, success, warn, chalk} = require('san-cli-utils/ttyLogger');
+    const {textColor} = require('san-cli-utils/randomColor');
+    const {findExisting} = require('san-cli-utils/path');
+    const {CONFIG_FILES} = require('san-cli-service/loadConfig');
+    const {version: cliVersion} = require('../../package.json');
+    const {applyCodemods} = require('./codemods');
+    const diff = require('./diff');
+
+    const cwd = argv.getCwd();
+    const dryRun = argv.dryRun;
+    const pkgPath = path.join(cwd, 'package.json');
+    if (!fs.existsSync(pkgPath)) {
+        throw new SError(`Cannot find package.json in ${cwd}.`);
+    }
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+
+    // 跟当前 CLI 一起发布的版本，san-cli 本身使用 CLI 的版本
+    const getTargetVersion = name => {
+        if (name === 'san-cli') {
+            return cliVersion;
+        }
+        try {
+            return require(require.resolve(`${name}/package.json`, {paths: [path.join(__dirname, '../..')]}))
+                .version;
+        }
+        catch (e) {
+            return null;
+        }
+    };
+    // 项目中安装的版本，没有安装时使用 package.json 中版本范围的最小版本
+    const getCurrentVersion = (name, range) => {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(cwd, 'node_modules', name, 'package.json'), 'utf-8')).version;
+        }
+        catch (e) {
+            return semver.validRange(range) ? semver.minVersion(range).version : null;
+        }
+    };
+
+    // 1. 找出需要升级的 san-cli 包
+    const packages = [];
+    ['dependencies', 'devDependencies'].forEach(field => {
+        Object.keys(pkg[field] || {})
+            .filter(name => /^san-cli(-|$)/.test(name))
+            .forEach(name => {
+                const range = pkg[field][name];
+                const target = getTargetVersion(name);
+                const current = getCurrentVersion(name, range);
+                if (!target || !current) {
+                    warn(`Skip ${name}@${range}, it is not released with San CLI.`);
+                    return;
+                }
+                packages.push({name, field, range, current, target});
+            });
+    });
+    const outdated = packages.filter(
+        ({range, current, target}) => semver.lt(current, target) || !semver.satisfies(target, range)
+    );
+    if (!packages.length) {
+        info('No San CLI packages found in package.json.');
+    }
+    else if (!outdated.length) {
+        success(`All San CLI packages are up to date with San CLI v${cliVersion}.`);
+    }
+    else {
+        info(`Upgrade San CLI packages to match San CLI v${cliVersion}:`);
+        outdated.forEach(({name, current, target}) => {
+            console.log(`  ${name}  ${chalk.gray(current)} → ${textColor(target)}`);
+        });
+    }
+
+    // 2. 改写配置文件中废弃的配置项
+    // 升级前的版本以 san-cli 为准，其次是 san-cli-service，都没有时执行全部 codemod
+    const base = packages.find(({name}) => name === 'san-cli') || packages.find(({name}) => name === 'san-cli-service');
+    const configFile = argv.configFile ? path.resolve(cwd, argv.configFile) : findExisting(CONFIG_FILES, cwd);
+    if (configFile && fs.existsSync(configFile)) {
+        const filename = path.relative(cwd, configFile);
+        const source = fs.readFileSync(configFile, 'utf-8');
+        const {code, applied} = applyCodemods(source, {
+            filename,
+            from: base ? base.current : '0.0.0',
+            to: cliVersion
+        });
+        if (applied.length) {
+            info(`Migrate ${textColor(filename)}:`);
+            applied.forEach(description => console.log(`  - ${description}`));
+            console.log();
+            const colorize = line => {
+                if (/^\+[^+]/.test(line)) {
+                    return chalk.green(line);
+                }
+                return /^-[^-]/.test(line) ? chalk.red(line) : line;
+            };
+            console.log(diff(source, code, filename).split('\n').map(colorize).join('\n'));
+            console.log();
+            if (!dryRun) {
+                fs.writeFileSync(configFile, code);
+                success(`${filename} has been migrated.`);
+            }
+        }
+    }
+
+    // 3. 使用项目的包管理工具安装
+    if (!outdated.length) {
+        return;
+    }
+    const useYarn = hasYarn() && !fs.existsSync(path.join(cwd, 'package-lock.json'));
+    const commands = ['dependencies', 'devDependencies']
+        .map(field => {
+            const names = outdated.filter(p => p.field === field).map(({name, target}) => `${name}@^${target}`);
+            if (!names.length) {
+                return null;
+            }
+            const isDev = field === 'devDependencies';
+            return useYarn
+                ? ['yarn', ['add', ...names].concat(isDev ? ['--dev'] : [])]
+                : ['npm', ['install', ...names, isDev ? '--save-dev' : '--save']];
+        })
+        .filter(command => command);
+    if (dryRun) {
+        info('Dry run, the following commands are not executed:');
+        commands.forEach(([bin, args]) => console.log(`  ${bin} ${args.join(' ')}`));
+        return;
+    }
+    const execa = require('execa');
+    for (const [bin, args] of commands) {
+        info(`${bin} ${args.join(' ')}`);
+        await execa(bin, args, {cwd, stdio: 'inherit'});
+    }
+    success('San CLI packages have been upgraded.');
+};
@@ -21,7 +21,22 @@ const {textColor, textBold} = require('san-cli-utils/randomColor');
 const {scriptName, version: pkgVersion} = require('../package.json');
 const CommanderAPI = require('./CommanderAPI');
 const {getCommandName} = require('./utils');
-const buildinCmds = ['build', 'serve', 'init', 'inspect', 'command', 'plugin', 'remote', 'docit'];
+const buildinCmds = [
+    'build',
+    'serve',
+    'init',
+    'inspect',
+    'command',
+    'plugin',
+    'remote',
+    'docit',
+    'cache',
+    'lint',
+    'test',
+    'info',
+    'upgrade',
+    'deploy'
+];
 const linkText = `For more information, visit ${textColor('https://ecomfe.github.io/san-cli')}`;
 
 const globalDebug = getDebugLogger();
@@ -136,9 +151,9 @@ module.exports = class Command {
         }
         function getCommonArgv(argv) {
             const cmd = process.argv[2];
-            if (self._fristLog && !process.env.SAN_CLI_MODERN_BUILD && buildinCmds.includes(cmd)) {
+            // --json 输出时不打印，保证输出的是合法的 JSON
+            if (self._fristLog && buildinCmds.includes(cmd) && !argv.json) {
                 self._fristLog = false;
-                // modern 打包不要输出这个了
                 // 打印名字
                 if (cmd === 'init') {
                     console.log(chalk.bold(getCmdLogInfo(cmd)));
@@ -227,6 +242,33 @@ module.exports = class Command {
     }
     run(args) {
         args = args || this.rawArgs;
+        const cmdName = args[0];
+        // 不是已知的命令时，可能是 service 插件注册的命令；输出帮助时也要列出这些命令
+        const isHelp = !cmdName || cmdName === '--help' || cmdName === '-h';
+        const isUnknown = cmdName && !/^-/.test(cmdName) && !this.commandMap.has(cmdName);
+        // 只有项目中有配置文件或者 service 插件时才加载 Service，避免输错命令时也要加载
+        if ((isHelp || isUnknown) && this.hasServiceConfig(args)) {
+            return this.loadServiceCommands(args).then(() => this._run(args));
+        }
+        this._run(args);
+    }
+    /**
+     * 是否有可能注册命令的 service 插件：--config 指定的配置文件、项目中的 san.config.js 或者 rc 文件中的 servicePlugins
+     *
+     * @param {Array} args 命令行参数
+     * @return {boolean} 是否需要加载 Service
+     */
+    hasServiceConfig(args) {
+        const {CONFIG_FILES} = require('san-cli-service/loadConfig');
+        const argv = require('yargs-parser')(args, {alias: {config: ['config-file']}});
+        const {servicePlugins} = this.presets;
+        return Boolean(
+            argv.config
+            || (Array.isArray(servicePlugins) && servicePlugins.length)
+            || findExisting(CONFIG_FILES, this.cwd)
+        );
+    }
+    _run(args) {
         const cli = this.cli;
         // 1. 读取comands，然后添加它
         this._resolveCommand();
@@ -240,6 +282,67 @@ module.exports = class Command {
         // 4. 触发handler
         this.parsedArgv = cli.parse(args);
     }
+    /**
+     * 加载 service 插件通过 api.registerCommand 注册的命令
+     *
+     * @param {Array} args 命令行参数
+     * @return {Promise} 加载完成
+     */
+    async loadServiceCommands(args) {
+        const Service = require('san-cli-service');
+        const {flatten} = require('san-cli-utils/utils');
+        // 这时候 yargs 还没有解析参数，先取出创建 Service 需要的参数
+        const argv = require('yargs-parser')(args, {
+            alias: {config: ['config-file'], mode: ['m']},
+            boolean: ['progress', 'profile']
+        });
+        const {servicePlugins, useBuiltInPlugin = true, projectOptions} = this.presets;
+        // 输出帮助时没有命令名
+        const isHelp = !args[0] || /^-/.test(args[0]);
+        const service = new Service(isHelp ? 'help' : args[0], {
+            cwd: this.cwd,
+            configFile: argv.config,
+            mode: argv.mode || process.env.NODE_ENV,
+            useBuiltInPlugin,
+            projectOptions,
+            plugins: flatten(servicePlugins),
+            useProgress: argv.progress !== false,
+            useProfiler: argv.profile
+        });
+        try {
+            await service.run();
+        }
+        catch (e) {
+            // 配置有错误时仍然可以输出内置命令的帮助
+            if (isHelp) {
+                warn(`Failed to load commands registered by service plugins: ${e.message}`);
+                return;
+            }
+            error(e);
+            process.exit(1);
+        }
+        service.registeredCommands.forEach(({id, command, description, builder, handler}, name) => {
+            if (this.commandMap.has(name)) {
+                warn(`Command \`${name}\` registered by ${id} is ignored, it already exists.`);
+                return;
+            }
+            debug('Service command loaded %s', name);
+            this.command({
+                command,
+                description,
+                builder,
+                handler: async argv => {
+                    try {
+                        await handler(argv);
+                    }
+                    catch (e) {
+                        error(e);
+                        process.exit(1);
+                    }
+                }
+            });
+        });
+    }
     _resolveCommand() {
         const self = this;
         const command = this.cli.command;
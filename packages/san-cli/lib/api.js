@@ -0,0 +1,252 @@
+/**
+ * Copyright (c) Baidu Inc. All rights reserved.
+ *
+ * This source code is licensed under the MIT license.
+ * See LICENSE file in the project root for license information.
+ *
+ * @file Node.js API，不经过命令行直接调用 build/serve/inspect
+ * @author ksky521
+ */
+
+const path = require('path');
+const SError = require('san-cli-utils/SError');
+const {error} = require('san-cli-utils/ttyLogger');
+const flatten = require('san-cli-utils/utils').flatten;
+
+// 跟命令行 builder 的默认值保持一致
+const defaultArgv = {
+    build: {
+        mode: 'production',
+        clean: true,
+        watch: false,
+        analyze: false,
+        modern: false,
+        report: false,
+        statsJson: false
+    },
+    serve: {
+        mode: 'development',
+        port: 8888,
+        https: false
+    },
+    inspect: {
+        mode: 'development'
+    }
+};
+
+function createService(name, argv) {
+    const Service = require('san-cli-service');
+    const {
+        cwd = process.cwd(),
+        configFile,
+        mode,
+        watch,
+        plugins,
+        useBuiltInPlugin = true,
+        projectOptions,
+        progress = false,
+        profile = false
+    } = argv;
+
+    return new Service(name, {
+        cwd,
+        configFile,
+        watch,
+        mode,
+        useBuiltInPlugin,
+        projectOptions,
+        plugins: flatten(plugins),
+        useProgress: progress,
+        useProfiler: profile
+    });
+}
+
+// 将 service.run 的 callback 形式转成 promise
+function runService(name, argv) {
+    const service = createService(name, argv);
+    return new Promise((resolve, reject) => {
+        service
+            .run((api, projectOptions) => resolve({api, projectOptions, argv, service}))
+            .catch(e => {
+                service.close();
+                reject(e);
+            });
+    });
+}
+
+// 跟命令行的 --mode 处理一致设置 NODE_ENV，执行完成之后还原，不影响调用方的进程
+async function withMode(name, options, fn) {
+    const argv = Object.assign({}, defaultArgv[name], options);
+    const {NODE_ENV} = process.env;
+    process.env.NODE_ENV = argv.mode;
+    try {
+        return await fn(argv);
+    }
+    finally {
+        if (NODE_ENV === undefined) {
+            delete process.env.NODE_ENV;
+        }
+        else {
+            process.env.NODE_ENV = NODE_ENV;
+        }
+    }
+}
+
+// 将 san-cli-webpack 的 {err, stats} 转成带有完整错误信息的 Error
+function toStructuredError(reason, type) {
+    const {err, stats} = reason instanceof Error ? {err: reason} : reason || {};
+    const json = stats && stats.toJson ? stats.toJson({all: false, errors: true, warnings: true}) : {};
+    const errors = json.errors || (err ? [err.message || String(err)] : []);
+    const e = err instanceof Error && !stats ? err : new SError(errors[0] || 'Webpack compile failed', type);
+    e.type = e.type || type;
+    e.errors = errors;
+    e.warnings = json.warnings || [];
+    e.stats = stats;
+    return e;
+}
+
+function getAssets(stats, outputDir) {
+    const json = stats.toJson({
+        all: false,
+        assets: true,
+        entrypoints: true,
+        warnings: true,
+        version: true,
+        timings: true,
+        outputPath: true
+    });
+    // pageGroups 打包时是 MultiStats
+    const children = json.children && !json.assets ? json.children : [json];
+    const result = {
+        stats,
+        outputDir,
+        assets: [],
+        entrypoints: {},
+        warnings: json.warnings,
+        time: 0,
+        version: json.version
+    };
+    children.forEach(child => {
+        const childOutputDir = child.outputPath || outputDir;
+        child.assets.forEach(({name, size, chunkNames}) => {
+            result.assets.push({
+                name,
+                size,
+                chunkNames,
+                path: path.join(childOutputDir, name)
+            });
+        });
+        Object.keys(child.entrypoints).forEach(name => {
+            result.entrypoints[name] = child.entrypoints[name].assets;
+        });
+        result.time = Math.max(result.time, child.time || 0);
+    });
+    return result;
+}
+
+/**
+ * 生产打包，跟 `san build` 使用相同的 webpack 配置
+ *
+ * @param {Object} options 跟 `san build` 的参数一致，另外支持 cwd、projectOptions、plugins 等 Service 参数
+ * @return {Promise<Object>} 包含 stats、assets、entrypoints 的结果
+ */
+exports.build = (options = {}) =>
+    withMode('build', options, async argv => {
+        const {api, projectOptions, service} = await runService('build', argv);
+        const getNormalizeWebpackConfig = require('../commands/build/getNormalizeWebpackConfig');
+        const build = require('san-cli-webpack/build');
+
+        const outputDir = api.resolve(argv.dest || projectOptions.outputDir);
+        // 跟 `san build` 一样调用插件的生命周期钩子
+        const compilerCallback = compiler => {
+            (compiler.compilers || [compiler]).forEach(child =>
+                child.hooks.done.tapPromise('san-cli-build', stats => service.callHook('compileDone', stats))
+            );
+            return service.callHook('beforeBuild', compiler);
+        };
+        try {
+            const webpackConfig = getNormalizeWebpackConfig(api, projectOptions, argv);
+            await service.callHook('configResolved', webpackConfig);
+            // 不退出调用方的进程
+            const {stats} = await build({webpackConfig, compilerCallback, exitOnError: false});
+            await service.callHook('afterBuild', stats);
+            return getAssets(stats, outputDir);
+        }
+        catch (e) {
+            // 钩子出错时不影响抛出编译的错误
+            await service.callHook('compileError', (e && e.err) || e).catch(() => {});
+            throw toStructuredError(e, 'BuildError');
+        }
+        finally {
+            // 还原 .env 文件设置的环境变量
+            service.close();
+        }
+    });
+
+/**
+ * 启动 dev server，跟 `san serve` 使用相同的 webpack 配置
+ *
+ * @param {Object} options 跟 `san serve` 的参数一致，另外支持 cwd、projectOptions、plugins 等 Service 参数
+ * @return {Promise<Object>} 第一次编译完成后 resolve，包含 server、urls 和 close 方法
+ */
+exports.serve = (options = {}) =>
+    withMode('serve', options, async argv => {
+        const {api, projectOptions, service} = await runService('serve', argv);
+        const getNormalizeWebpackConfig = require('../commands/serve/getNormalizeWebpackConfig');
+        const devServer = require('san-cli-webpack/serve');
+
+        const close = closeServer => new Promise(resolve => closeServer(resolve)).then(() => service.close());
+        // 跟 `san serve` 一样调用插件的生命周期钩子，钩子出错只打印错误，不影响 dev server
+        const callHook = (name, ...args) => service.callHook(name, ...args).catch(e => error(e));
+        const compilerCallback = compiler => {
+            compiler.hooks.done.tapPromise('san-cli-serve', async stats => {
+                await callHook('compileDone', stats);
+                if (stats.hasErrors()) {
+                    const {getWebpackErrorInfoFromStats} = require('san-cli-webpack/utils');
+                    await callHook('compileError', getWebpackErrorInfoFromStats(undefined, stats).err);
+                }
+            });
+            return callHook('beforeBuild', compiler);
+        };
+        try {
+            const webpackConfig = getNormalizeWebpackConfig(api, projectOptions, argv);
+            await callHook('configResolved', webpackConfig);
+            const result = await devServer({
+                webpackConfig,
+                publicPath: projectOptions.publicPath,
+                devServerConfig: webpackConfig.devServer,
+                compilerCallback
+            });
+            result.close = close.bind(null, result.close);
+            const {url, networkUrl, urls, port, server} = result;
+            await callHook('serveReady', {url, networkUrl, urls, port, server});
+            return result;
+        }
+        catch (e) {
+            // 第一次编译失败时 dev server 已经启动，关闭之后再抛出错误，同时移除 SIGINT 等信号的监听
+            if (e && typeof e.close === 'function') {
+                await close(e.close);
+            }
+            else {
+                service.close();
+            }
+            throw toStructuredError(e, e && e.type === 'server' ? 'ServerError' : 'BuildError');
+        }
+    });
+
+/**
+ * 获取最终的 webpack 配置
+ *
+ * @param {Object} options 包含 cwd、mode、configFile 等 Service 参数
+ * @return {Promise<Object>} webpack 配置
+ */
+exports.inspect = (options = {}) =>
+    withMode('inspect', options, async argv => {
+        const {api, service} = await runService('inspect', argv);
+        try {
+            return api.getWebpackConfig();
+        }
+        finally {
+            service.close();
+        }
+    });
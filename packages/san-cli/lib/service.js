@@ -29,6 +29,7 @@ module.exports = (name, api, callback) => {
         useProgress: !noProgress,
         useProfiler: profile
     });
-    service.run(callback);
+    // 加载配置失败时 reject，调用方可以通过 service.running 处理错误
+    service.running = service.run(callback);
     return service;
 };